@@ -2,13 +2,27 @@ const express = require('express');
 const multer = require('multer');
 const canvasManager = require('../canvas/canvas-manager');
 const BackgroundRemoval = require('../canvas/background-removal');
+const MaskProcessing = require('../canvas/mask-processing');
 const TextRenderer = require('../fonts/text-renderer');
 const Vectorizer = require('../vectorization/vectorizer');
+const ColorQuantizer = require('../vectorization/color-quantizer');
+const Thresholder = require('../vectorization/thresholder');
+const PixelTracer = require('../vectorization/pixel-tracer');
 const cacheManager = require('../utils/cache-manager');
 const performanceMonitor = require('../utils/performance-monitor');
+const {
+  backgroundRemovalValidation,
+  chromaKeyValidation,
+  vectorizationValidation,
+  completeProcessingValidation,
+  rasterizeValidation
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Vectorization output formats rendered as downloadable vector files
+const VECTOR_FILE_FORMATS = ['pdf', 'eps', 'dxf', 'gcode', 'hpgl'];
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -16,30 +30,391 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+    const allowedMimes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/svg+xml'];
     if (allowedMimes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PNG, JPEG, and WebP are allowed.'));
+      cb(new Error('Invalid file type. Only PNG, JPEG, WebP, and SVG are allowed.'));
     }
   }
 });
 
+/**
+ * Build Vectorizer options from request body fields
+ */
+function buildVectorizeOptions(body) {
+  const {
+    scale = 1,
+    fillColor = '#000000',
+    threshold = 128,
+    adaptiveMethod = 'mean',
+    blockSize = 15,
+    adaptiveOffset = 5,
+    turdsize = 5,
+    turnpolicy = 'minority',
+    alphamax = 1,
+    optcurve = true,
+    opttolerance = 1,
+    colorMode = 'mono',
+    colors = 4,
+    palette,
+    layering = 'stacked',
+    mode = 'outline',
+    strokeWidth,
+    style = 'filled',
+    strokeColor,
+    strokeLinejoin = 'round',
+    strokeLinecap = 'round',
+    offset = 0,
+    kerf = 0,
+    offsetUnits = 'px',
+    sticker = false,
+    offsetColor = '#ff0000',
+    stickerColor = '#ffffff',
+    units = 'mm',
+    dpi = 96,
+    feedRate = 1000,
+    power = 1000,
+    simplify = 'none',
+    simplifyTolerance = 1,
+    precision = 3,
+    relative = false,
+    mergePaths = false,
+    tileSize
+  } = body;
+
+  return {
+    scale: parseFloat(scale),
+    fillColor,
+    threshold: Thresholder.parseThreshold(threshold),
+    adaptiveMethod,
+    blockSize: parseInt(blockSize),
+    adaptiveOffset: parseFloat(adaptiveOffset),
+    turdsize: parseInt(turdsize),
+    turnpolicy,
+    alphamax: parseFloat(alphamax),
+    optcurve: optcurve === 'true' || optcurve === true,
+    opttolerance: parseFloat(opttolerance),
+    colorMode,
+    colors: parseInt(colors),
+    palette: ColorQuantizer.parsePalette(palette),
+    layering,
+    mode,
+    strokeWidth: strokeWidth ? parseFloat(strokeWidth) : undefined,
+    style,
+    strokeColor,
+    strokeLinejoin,
+    strokeLinecap,
+    offset: parseFloat(offset) || 0,
+    kerf: parseFloat(kerf) || 0,
+    offsetUnits,
+    sticker: sticker === 'true' || sticker === true,
+    offsetColor,
+    stickerColor,
+    units: units === 'in' ? 'in' : 'mm',
+    dpi: parseFloat(dpi),
+    feedRate: parseFloat(feedRate),
+    power: parseFloat(power),
+    simplify,
+    simplifyTolerance: parseFloat(simplifyTolerance),
+    precision: parseInt(precision),
+    relative: relative === 'true' || relative === true,
+    mergePaths: mergePaths === 'true' || mergePaths === true,
+    tileSize: tileSize ? parseInt(tileSize) : undefined
+  };
+}
+
+/**
+ * Parse a target color field: hex string, JSON RGB array string or array
+ */
+function parseTargetColor(targetColor) {
+  if (typeof targetColor !== 'string') {
+    return targetColor;
+  }
+
+  if (targetColor.startsWith('#')) {
+    const hex = targetColor.slice(1);
+    return [
+      parseInt(hex.slice(0, 2), 16),
+      parseInt(hex.slice(2, 4), 16),
+      parseInt(hex.slice(4, 6), 16)
+    ];
+  }
+
+  return JSON.parse(targetColor);
+}
+
+/**
+ * Parse the refine and refineRadius fields of background removal routes
+ */
+function parseRefinement(body) {
+  const { refine = 'none', refineRadius = 5 } = body;
+  return { matting: refine === 'matting', radius: parseInt(refineRadius) };
+}
+
+/**
+ * Parse the postProcess field of background removal routes, a JSON object
+ * of mask post-processing options. Returns an empty object when the field
+ * is absent.
+ */
+function parsePostProcess(postProcess) {
+  if (!postProcess) {
+    return {};
+  }
+  return typeof postProcess === 'string' ? JSON.parse(postProcess) : postProcess;
+}
+
+/**
+ * Copy of a canvas before background removal, kept for matting refinement
+ * of the result. Returns the copy's id, or null without matting.
+ */
+function keepMatteSource(canvasId, refinement) {
+  return refinement.matting ? canvasManager.cloneCanvas(canvasId).canvasId : null;
+}
+
+/**
+ * Refine a background removal result by alpha matting against the copy
+ * kept before removal. Routes free the copy in a finally block, so it is
+ * not leaked when removal fails.
+ */
+function refineMatte(canvasId, sourceCanvasId, refinement) {
+  if (!sourceCanvasId) {
+    return;
+  }
+
+  BackgroundRemoval.refineMatte(canvasId, sourceCanvasId, refinement.radius);
+}
+
+/**
+ * Parse a GrabCut rectangle field: "x,y,width,height", a JSON array of the
+ * four numbers or an array. Returns undefined when the field is absent.
+ */
+function parseRect(rect) {
+  if (!rect) {
+    return undefined;
+  }
+
+  const values = typeof rect === 'string' ? rect.replace(/[[\]\s]/g, '').split(',') : rect;
+  const [x, y, width, height] = values.map(Number);
+  return { x, y, width, height };
+}
+
+/**
+ * Decode an uploaded mask image scaled to width x height. Returns its RGBA
+ * data.
+ */
+async function decodeMaskImage(file, width, height) {
+  const image = await canvasManager.loadImage(file.buffer, { width, height });
+  const { canvasId, ctx } = canvasManager.createCanvas(width, height);
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  canvasManager.cleanup(canvasId);
+  return data;
+}
+
+/**
+ * Decode an uploaded scribble mask image, scaled to width x height, into a
+ * mask with 1 for every opaque, light pixel (white strokes on black or on
+ * transparency)
+ */
+async function loadScribbleMask(file, width, height) {
+  const data = await decodeMaskImage(file, width, height);
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < mask.length; p++) {
+    const i = p * 4;
+    mask[p] = data[i + 3] >= 128 && Math.max(data[i], data[i + 1], data[i + 2]) >= 128 ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Decode an uploaded alpha mask image, scaled to width x height, into alpha
+ * values (0-255): the gray level times the opacity, so white keeps pixels
+ * and black or transparency removes them
+ */
+async function loadAlphaMask(file, width, height) {
+  const data = await decodeMaskImage(file, width, height);
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < mask.length; p++) {
+    const i = p * 4;
+    const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    mask[p] = Math.round(gray * data[i + 3] / 255);
+  }
+  return mask;
+}
+
+/**
+ * Encode a background removal result in outputFormat. "mask" gives the
+ * alpha channel as a grayscale PNG.
+ */
+function encodeResult(canvasId, outputFormat) {
+  if (outputFormat !== 'mask') {
+    return canvasManager.toBuffer(canvasId, outputFormat);
+  }
+
+  const maskCanvasId = BackgroundRemoval.alphaMask(canvasId);
+  const buffer = canvasManager.toBuffer(maskCanvasId, 'png');
+  canvasManager.cleanup(maskCanvasId);
+  return buffer;
+}
+
+/**
+ * File name of an encoded background removal result
+ */
+function resultFilename(basename, outputFormat) {
+  return outputFormat === 'mask' ? `${basename}_mask.png` : `${basename}.${outputFormat}`;
+}
+
+/**
+ * Send an encoded background removal result as a download
+ */
+function sendResult(res, buffer, outputFormat, basename) {
+  res.setHeader('Content-Type', `image/${outputFormat === 'mask' ? 'png' : outputFormat}`);
+  res.setHeader('Content-Disposition', `attachment; filename="${resultFilename(basename, outputFormat)}"`);
+  res.send(buffer);
+}
+
+/**
+ * Detect the background colors of a canvas for targetColor "auto" and report
+ * them in the X-Detected-Background header as comma separated hex colors
+ * ("none" for a transparent border). Returns the RGB colors.
+ */
+function detectBackground(res, canvasId) {
+  const { colors } = BackgroundRemoval.detectBackground(canvasId);
+  res.setHeader(
+    'X-Detected-Background',
+    colors.length > 0 ? colors.map(color => ColorQuantizer.toHex(color)).join(',') : 'none'
+  );
+  return colors;
+}
+
+/**
+ * Abort signal that fires when the client disconnects before the response
+ * has been sent, cancelling work queued or running in the worker pool
+ */
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Report the applied threshold and node counts as response headers
+ */
+function setTraceHeaders(res, threshold, nodes) {
+  if (threshold !== null) {
+    res.setHeader('X-Threshold', String(threshold));
+  }
+  res.setHeader('X-Nodes-Before', String(nodes.before));
+  res.setHeader('X-Nodes-After', String(nodes.after));
+}
+
+/**
+ * Send traced path data as JSON, with per-color layers in color and pixel
+ * modes, the stroke width in centerline mode, offset and sticker border
+ * outlines and any extra fields (quality report, detected background)
+ */
+function sendPathData(res, traced, vectorizeOptions, extras = {}) {
+  const rendered = Vectorizer.renderLayerData(traced, vectorizeOptions);
+  const { width, height, threshold, nodes } = rendered;
+  const layers = rendered.layers.filter(layer => !layer.kind);
+
+  const response = {
+    success: true,
+    pathData: layers.map(layer => layer.pathData).filter(Boolean).join(' '),
+    width,
+    height,
+    nodes
+  };
+
+  if (threshold !== null) {
+    response.threshold = threshold;
+  }
+
+  if (vectorizeOptions.mode === 'centerline') {
+    response.strokeWidth = layers[0].strokeWidth;
+  } else if (vectorizeOptions.colorMode === 'color' || PixelTracer.MODES.includes(vectorizeOptions.mode)) {
+    response.layers = layers;
+  }
+
+  for (const layer of rendered.layers) {
+    if (layer.kind === 'offset') {
+      response.offsetPathData = layer.pathData;
+    } else if (layer.kind === 'sticker') {
+      response.stickerPathData = layer.pathData;
+    }
+  }
+
+  res.json({ ...response, ...extras });
+}
+
+/**
+ * Send traced shapes as JSON, each with its segments, holes and geometry,
+ * and any extra fields (quality report, detected background)
+ */
+function sendShapes(res, traced, vectorizeOptions, extras = {}) {
+  const { width, height, threshold, nodes, layers, shapes } = Vectorizer.renderShapes(traced, vectorizeOptions);
+
+  const response = { success: true, width, height, nodes, layers, shapes };
+
+  if (threshold !== null) {
+    response.threshold = threshold;
+  }
+
+  res.json({ ...response, ...extras });
+}
+
+/**
+ * Send a traced SVG, reporting the applied threshold and node counts in headers
+ */
+function sendSVG(res, traced, vectorizeOptions, filename) {
+  const { svg, threshold, nodes } = Vectorizer.renderSVG(traced, vectorizeOptions);
+
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  setTraceHeaders(res, threshold, nodes);
+  res.send(svg);
+}
+
+/**
+ * Send traced paths as a native vector file (pdf, eps, dxf, gcode, hpgl)
+ */
+function sendVectorFile(res, traced, format, vectorizeOptions, basename) {
+  const { data, contentType, extension, threshold, nodes } =
+    Vectorizer.renderFile(traced, format, vectorizeOptions);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+  setTraceHeaders(res, threshold, nodes);
+  res.send(data);
+}
+
 // Background Removal Endpoints
 
 /**
  * POST /api/background/remove
  * Remove background using color matching
  */
-router.post('/remove', upload.single('image'), async (req, res) => {
+router.post('/remove', upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'foregroundMask', maxCount: 1 },
+  { name: 'backgroundMask', maxCount: 1 },
+  { name: 'mask', maxCount: 1 }
+]), backgroundRemovalValidation, async (req, res) => {
+  const operationId = `bg-remove-${Date.now()}`;
+  let matteSource = null;
   try {
-    const operationId = `bg-remove-${Date.now()}`;
+    const file = req.files && req.files.image ? req.files.image[0] : null;
     performanceMonitor.startTimer(operationId, { 
       method: req.body.method || 'color',
-      fileSize: req.file ? req.file.size : 0 
+      fileSize: file ? file.size : 0 
     });
 
-    if (!req.file) {
+    if (!file) {
       performanceMonitor.endTimer(operationId, false, new Error('No image file provided'));
       return res.status(400).json({ error: 'No image file provided' });
     }
@@ -48,72 +423,148 @@ router.post('/remove', upload.single('image'), async (req, res) => {
       targetColor = [255, 255, 255],
       tolerance = 10,
       method = 'color',
+      colorSpace = 'rgb',
+      rect,
+      iterations = 5,
+      maskMode = 'apply',
       outputFormat = 'png'
     } = req.body;
 
-    // Check cache for processed image
-    const cachedResult = await cacheManager.getCachedProcessedImage(
-      req.file.buffer, 
-      { method, targetColor: parsedTargetColor, tolerance }
+    const refinement = parseRefinement(req.body);
+    const postProcess = parsePostProcess(req.body.postProcess);
+    const grabCut = method === 'grabcut';
+    const parsedRect = parseRect(rect);
+
+    // Parse target color if it's a string
+    const auto = targetColor === 'auto';
+    const parsedTargetColor = auto ? null : parseTargetColor(targetColor);
+
+    // Check cache for processed image. Detected colors are reported in a
+    // header, so automatic detection always runs, and GrabCut results and
+    // uploaded masks depend on more files than the image.
+    const maskFile = req.files.mask ? req.files.mask[0] : null;
+    const cacheable = !auto && !grabCut && !maskFile;
+    const cacheOptions = { method, targetColor: parsedTargetColor, tolerance, colorSpace };
+    if (refinement.matting) {
+      cacheOptions.refine = 'matting';
+      cacheOptions.refineRadius = refinement.radius;
+    }
+    if (!MaskProcessing.isEmpty(postProcess)) {
+      cacheOptions.postProcess = postProcess;
+    }
+    if (outputFormat === 'mask') {
+      cacheOptions.output = 'mask';
+    }
+    const cachedResult = !cacheable ? null : await cacheManager.getCachedProcessedImage(
+      file.buffer, 
+      cacheOptions
     );
 
     if (cachedResult) {
       performanceMonitor.endTimer(operationId, true);
-      res.setHeader('Content-Type', `image/${outputFormat}`);
       res.setHeader('X-Cache', 'HIT');
-      return res.send(cachedResult);
+      return sendResult(res, cachedResult, outputFormat, 'background_removed');
     }
 
     // Initialize canvas with uploaded image
-    const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
+    const { canvasId, canvas, originalImage } = await canvasManager.initializeWithImage(file.buffer);
+    matteSource = keepMatteSource(canvasId, refinement);
+
+    // An uploaded mask is applied instead of a removal method, or after it
+    // to constrain its result
+    const mask = maskFile && await loadAlphaMask(maskFile, canvas.width, canvas.height);
+    const maskOnly = mask && maskMode === 'apply';
+
+    // Edge detection and GrabCut find the foreground themselves and need no
+    // target color
+    const edgeDetection = method === 'edge-detection';
+    let targetColors = [parsedTargetColor];
+    if (maskOnly) {
+      targetColors = [];
+    } else if (edgeDetection) {
+      targetColors = [];
+      BackgroundRemoval.edgeDetection(canvasId, parseInt(tolerance));
+    } else if (grabCut) {
+      targetColors = [];
+      // The rectangle is in pixels of the uploaded image, which may have
+      // been scaled down
+      const ratio = canvas.width / originalImage.width;
+      const { foregroundMask, backgroundMask } = req.files;
+      let background = backgroundMask && await loadScribbleMask(backgroundMask[0], canvas.width, canvas.height);
+      if (mask) {
+        // Pixels removed by the constraining mask are known background
+        background = background || new Uint8Array(mask.length);
+        mask.forEach((value, p) => {
+          if (value < 128) background[p] = 1;
+        });
+      }
+      BackgroundRemoval.grabCut(canvasId, {
+        rect: parsedRect && {
+          x: parsedRect.x * ratio,
+          y: parsedRect.y * ratio,
+          width: parsedRect.width * ratio,
+          height: parsedRect.height * ratio
+        },
+        foreground: foregroundMask && await loadScribbleMask(foregroundMask[0], canvas.width, canvas.height),
+        background,
+        iterations: parseInt(iterations)
+      });
+    } else if (auto) {
+      targetColors = detectBackground(res, canvasId);
+    }
 
-    // Parse target color if it's a string
-    let parsedTargetColor = targetColor;
-    if (typeof targetColor === 'string') {
-      if (targetColor.startsWith('#')) {
-        // Convert hex to RGB
-        const hex = targetColor.slice(1);
-        parsedTargetColor = [
-          parseInt(hex.slice(0, 2), 16),
-          parseInt(hex.slice(2, 4), 16),
-          parseInt(hex.slice(4, 6), 16)
-        ];
-      } else {
-        parsedTargetColor = JSON.parse(targetColor);
+    // Apply background removal, once per background color
+    const signal = clientAbortSignal(res);
+    let resultCanvasId = canvasId;
+    for (const color of targetColors) {
+      switch (method) {
+        case 'color':
+          resultCanvasId = await Vectorizer.removeBackground(canvasId, {
+            method: 'color',
+            targetColor: color,
+            tolerance: parseInt(tolerance),
+            colorSpace,
+            signal
+          });
+          break;
+        case 'fuzzy':
+          resultCanvasId = BackgroundRemoval.fuzzyRemoval(canvasId, color, parseInt(tolerance), colorSpace);
+          break;
+        case 'edge-preserving':
+          resultCanvasId = BackgroundRemoval.edgePreserving(canvasId, color, parseInt(tolerance), colorSpace);
+          break;
+        default:
+          resultCanvasId = await Vectorizer.removeBackground(canvasId, {
+            method: 'color',
+            targetColor: color,
+            tolerance: parseInt(tolerance),
+            colorSpace,
+            signal
+          });
       }
     }
 
-    // Apply background removal
-    let resultCanvasId;
-    switch (method) {
-      case 'color':
-        resultCanvasId = BackgroundRemoval.removeByColor(canvasId, parsedTargetColor, parseInt(tolerance));
-        break;
-      case 'fuzzy':
-        resultCanvasId = BackgroundRemoval.fuzzyRemoval(canvasId, parsedTargetColor, parseInt(tolerance));
-        break;
-      case 'edge-preserving':
-        resultCanvasId = BackgroundRemoval.edgePreserving(canvasId, parsedTargetColor, parseInt(tolerance));
-        break;
-      default:
-        resultCanvasId = BackgroundRemoval.removeByColor(canvasId, parsedTargetColor, parseInt(tolerance));
+    if (mask) {
+      BackgroundRemoval.applyMask(resultCanvasId, mask);
     }
+    BackgroundRemoval.postProcess(resultCanvasId, postProcess);
+    refineMatte(resultCanvasId, matteSource, refinement);
 
     // Convert to buffer and send response
-    const resultBuffer = canvasManager.toBuffer(resultCanvasId, outputFormat);
+    const resultBuffer = encodeResult(resultCanvasId, outputFormat);
     
     // Cache the result
-    await cacheManager.cacheProcessedImage(
-      req.file.buffer,
-      { method, targetColor: parsedTargetColor, tolerance },
-      resultBuffer
-    );
+    if (cacheable) {
+      await cacheManager.cacheProcessedImage(
+        file.buffer,
+        cacheOptions,
+        resultBuffer
+      );
+    }
 
     performanceMonitor.endTimer(operationId, true);
-    res.setHeader('Content-Type', `image/${outputFormat}`);
     res.setHeader('X-Cache', 'MISS');
-    res.setHeader('Content-Disposition', `attachment; filename="background_removed.${outputFormat}"`);
-    res.send(resultBuffer);
+    sendResult(res, resultBuffer, outputFormat, 'background_removed');
 
     // Cleanup
     canvasManager.cleanup(canvasId);
@@ -122,6 +573,8 @@ router.post('/remove', upload.single('image'), async (req, res) => {
     performanceMonitor.endTimer(operationId, false, error);
     console.error('Background removal error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    if (matteSource) canvasManager.cleanup(matteSource);
   }
 });
 
@@ -129,7 +582,8 @@ router.post('/remove', upload.single('image'), async (req, res) => {
  * POST /api/background/chroma-key
  * Chroma key (green screen) background removal
  */
-router.post('/chroma-key', upload.single('image'), async (req, res) => {
+router.post('/chroma-key', upload.single('image'), chromaKeyValidation, async (req, res) => {
+  let matteSource = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
@@ -139,28 +593,40 @@ router.post('/chroma-key', upload.single('image'), async (req, res) => {
       targetHue = 120, // Green
       hueTolerance = 15,
       saturationMin = 0.3,
+      hueFalloff = 0,
+      saturationFalloff = 0,
+      despill = 0,
       outputFormat = 'png'
     } = req.body;
 
+    const refinement = parseRefinement(req.body);
+    const postProcess = parsePostProcess(req.body.postProcess);
+
     const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
-    const resultCanvasId = BackgroundRemoval.chromaKey(
-      canvasId, 
-      parseFloat(targetHue), 
-      parseFloat(hueTolerance), 
-      parseFloat(saturationMin)
-    );
+    matteSource = keepMatteSource(canvasId, refinement);
+    const resultCanvasId = await Vectorizer.removeBackground(canvasId, {
+      method: 'chroma-key',
+      targetHue: parseFloat(targetHue),
+      hueTolerance: parseFloat(hueTolerance),
+      saturationMin: parseFloat(saturationMin),
+      hueFalloff: parseFloat(hueFalloff) || 0,
+      saturationFalloff: parseFloat(saturationFalloff) || 0,
+      despill: parseFloat(despill) || 0,
+      signal: clientAbortSignal(res)
+    });
+    BackgroundRemoval.postProcess(resultCanvasId, postProcess);
+    refineMatte(resultCanvasId, matteSource, refinement);
 
-    const resultBuffer = canvasManager.toBuffer(resultCanvasId, outputFormat);
-    
-    res.setHeader('Content-Type', `image/${outputFormat}`);
-    res.setHeader('Content-Disposition', `attachment; filename="chroma_key_removed.${outputFormat}"`);
-    res.send(resultBuffer);
+    const resultBuffer = encodeResult(resultCanvasId, outputFormat);
+    sendResult(res, resultBuffer, outputFormat, 'chroma_key_removed');
 
     canvasManager.cleanup(canvasId);
 
   } catch (error) {
     console.error('Chroma key error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    if (matteSource) canvasManager.cleanup(matteSource);
   }
 });
 
@@ -168,7 +634,8 @@ router.post('/chroma-key', upload.single('image'), async (req, res) => {
  * POST /api/background/flood-fill
  * Flood fill background removal
  */
-router.post('/flood-fill', upload.single('image'), async (req, res) => {
+router.post('/flood-fill', upload.single('image'), backgroundRemovalValidation, async (req, res) => {
+  let matteSource = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
@@ -181,25 +648,30 @@ router.post('/flood-fill', upload.single('image'), async (req, res) => {
       outputFormat = 'png'
     } = req.body;
 
+    const refinement = parseRefinement(req.body);
+    const postProcess = parsePostProcess(req.body.postProcess);
+
     const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
+    matteSource = keepMatteSource(canvasId, refinement);
     const resultCanvasId = BackgroundRemoval.floodFill(
       canvasId,
       parseInt(startX),
       parseInt(startY),
       parseInt(tolerance)
     );
+    BackgroundRemoval.postProcess(resultCanvasId, postProcess);
+    refineMatte(resultCanvasId, matteSource, refinement);
 
-    const resultBuffer = canvasManager.toBuffer(resultCanvasId, outputFormat);
-    
-    res.setHeader('Content-Type', `image/${outputFormat}`);
-    res.setHeader('Content-Disposition', `attachment; filename="flood_fill_removed.${outputFormat}"`);
-    res.send(resultBuffer);
+    const resultBuffer = encodeResult(resultCanvasId, outputFormat);
+    sendResult(res, resultBuffer, outputFormat, 'flood_fill_removed');
 
     canvasManager.cleanup(canvasId);
 
   } catch (error) {
     console.error('Flood fill error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    if (matteSource) canvasManager.cleanup(matteSource);
   }
 });
 
@@ -209,40 +681,70 @@ router.post('/flood-fill', upload.single('image'), async (req, res) => {
  */
 router.post('/replace', upload.fields([
   { name: 'image', maxCount: 1 },
-  { name: 'background', maxCount: 1 }
-]), async (req, res) => {
+  { name: 'background', maxCount: 1 },
+  { name: 'mask', maxCount: 1 }
+]), backgroundRemovalValidation, async (req, res) => {
+  let matteSource = null;
   try {
     if (!req.files || !req.files.image) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    const { backgroundColor = '#ffffff', outputFormat = 'png' } = req.body;
+    const {
+      backgroundColor = '#ffffff',
+      targetColor = [255, 255, 255],
+      tolerance = 10,
+      maskMode = 'apply',
+      outputFormat = 'png'
+    } = req.body;
+
+    const refinement = parseRefinement(req.body);
+    const postProcess = parsePostProcess(req.body.postProcess);
 
-    const { canvasId } = await canvasManager.initializeWithImage(req.files.image[0].buffer);
+    const { canvasId, canvas } = await canvasManager.initializeWithImage(req.files.image[0].buffer);
+    matteSource = keepMatteSource(canvasId, refinement);
+    const mask = req.files.mask && await loadAlphaMask(req.files.mask[0], canvas.width, canvas.height);
     
-    // First remove the background
-    const bgRemovedId = BackgroundRemoval.removeByColor(canvasId, [255, 255, 255], 10);
+    // First remove the background, unless an uploaded mask replaces removal
+    let targetColors = [];
+    if (!mask || maskMode === 'constrain') {
+      targetColors = targetColor === 'auto'
+        ? detectBackground(res, canvasId)
+        : [parseTargetColor(targetColor)];
+    }
+    let bgRemovedId = canvasId;
+    for (const color of targetColors) {
+      bgRemovedId = BackgroundRemoval.removeByColor(canvasId, color, parseInt(tolerance));
+    }
+    if (mask) {
+      BackgroundRemoval.applyMask(bgRemovedId, mask);
+    }
+    BackgroundRemoval.postProcess(bgRemovedId, postProcess);
+    refineMatte(bgRemovedId, matteSource, refinement);
     
-    // Then replace with new background
-    let replacement = backgroundColor;
-    if (req.files.background) {
-      // Use uploaded background image
-      const bgImage = await canvasManager.loadImage(req.files.background[0].buffer);
-      replacement = bgImage;
+    // Then replace with new background. The mask output is the alpha of the
+    // subject, which the opaque replacement would hide.
+    let resultCanvasId = bgRemovedId;
+    if (outputFormat !== 'mask') {
+      let replacement = backgroundColor;
+      if (req.files.background) {
+        // Use uploaded background image
+        const bgImage = await canvasManager.loadImage(req.files.background[0].buffer);
+        replacement = bgImage;
+      }
+      resultCanvasId = BackgroundRemoval.replaceBackground(bgRemovedId, replacement);
     }
 
-    const resultCanvasId = BackgroundRemoval.replaceBackground(bgRemovedId, replacement);
-    const resultBuffer = canvasManager.toBuffer(resultCanvasId, outputFormat);
-    
-    res.setHeader('Content-Type', `image/${outputFormat}`);
-    res.setHeader('Content-Disposition', `attachment; filename="background_replaced.${outputFormat}"`);
-    res.send(resultBuffer);
+    const resultBuffer = encodeResult(resultCanvasId, outputFormat);
+    sendResult(res, resultBuffer, outputFormat, 'background_replaced');
 
     canvasManager.cleanup(canvasId);
 
   } catch (error) {
     console.error('Background replacement error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    if (matteSource) canvasManager.cleanup(matteSource);
   }
 });
 
@@ -250,7 +752,7 @@ router.post('/replace', upload.fields([
  * POST /api/background/batch
  * Batch background removal
  */
-router.post('/batch', upload.array('images', 10), async (req, res) => {
+router.post('/batch', upload.array('images', 10), backgroundRemovalValidation, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No image files provided' });
@@ -260,9 +762,13 @@ router.post('/batch', upload.array('images', 10), async (req, res) => {
       method = 'color',
       targetColor = [255, 255, 255],
       tolerance = 10,
+      colorSpace = 'rgb',
       outputFormat = 'png'
     } = req.body;
 
+    const refinement = parseRefinement(req.body);
+    const postProcess = parsePostProcess(req.body.postProcess);
+
     const results = [];
     const canvasIds = [];
 
@@ -273,20 +779,31 @@ router.post('/batch', upload.array('images', 10), async (req, res) => {
     }
 
     // Process batch
-    const options = { targetColor, tolerance };
+    const options = {
+      targetColor: targetColor === 'auto' ? 'auto' : parseTargetColor(targetColor),
+      tolerance: parseInt(tolerance),
+      colorSpace,
+      refine: refinement.matting ? 'matting' : 'none',
+      refineRadius: refinement.radius,
+      postProcess
+    };
     const batchResults = await BackgroundRemoval.batchRemoval(canvasIds, method, options);
 
     // Convert results to buffers
     for (let i = 0; i < batchResults.length; i++) {
       const result = batchResults[i];
       if (result.success) {
-        const buffer = canvasManager.toBuffer(result.canvasId, outputFormat);
-        results.push({
+        const buffer = encodeResult(result.canvasId, outputFormat);
+        const entry = {
           index: i,
           success: true,
-          filename: `processed_${i}.${outputFormat}`,
+          filename: resultFilename(`processed_${i}`, outputFormat),
           data: buffer.toString('base64')
-        });
+        };
+        if (result.detectedBackground) {
+          entry.detectedBackground = result.detectedBackground.map(color => ColorQuantizer.toHex(color));
+        }
+        results.push(entry);
       } else {
         results.push({
           index: i,
@@ -316,7 +833,7 @@ router.post('/batch', upload.array('images', 10), async (req, res) => {
  * POST /api/process/complete
  * Remove background and vectorize
  */
-router.post('/complete', upload.single('image'), async (req, res) => {
+router.post('/complete', upload.single('image'), completeProcessingValidation, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
@@ -325,59 +842,41 @@ router.post('/complete', upload.single('image'), async (req, res) => {
     const {
       targetColor = [255, 255, 255],
       tolerance = 10,
-      scale = 1,
-      outputFormat = 'svg',
-      fillColor = '#000000',
-      threshold = 128,
-      turdsize = 5,
-      optcurve = true,
-      opttolerance = 1
+      outputFormat = 'svg'
     } = req.body;
 
     const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
     
     // Remove background
-    let parsedTargetColor = targetColor;
-    if (typeof targetColor === 'string') {
-      if (targetColor.startsWith('#')) {
-        const hex = targetColor.slice(1);
-        parsedTargetColor = [
-          parseInt(hex.slice(0, 2), 16),
-          parseInt(hex.slice(2, 4), 16),
-          parseInt(hex.slice(4, 6), 16)
-        ];
-      } else {
-        parsedTargetColor = JSON.parse(targetColor);
-      }
-    }
+    const auto = targetColor === 'auto';
+    const targetColors = auto ? detectBackground(res, canvasId) : [parseTargetColor(targetColor)];
     
-    const bgRemovedId = BackgroundRemoval.removeByColor(canvasId, parsedTargetColor, parseInt(tolerance));
+    const signal = clientAbortSignal(res);
+    let bgRemovedId = canvasId;
+    for (const color of targetColors) {
+      bgRemovedId = await Vectorizer.removeBackground(canvasId, {
+        targetColor: color,
+        tolerance: parseInt(tolerance),
+        signal
+      });
+    }
+    const extras = auto ? { detectedBackground: targetColors.map(color => ColorQuantizer.toHex(color)) } : {};
     
     // Vectorize the background-removed image
-    const vectorizeOptions = {
-      scale: parseFloat(scale),
-      fillColor,
-      threshold: parseInt(threshold),
-      turdsize: parseInt(turdsize),
-      optcurve: optcurve === 'true' || optcurve === true,
-      opttolerance: parseFloat(opttolerance)
-    };
+    const vectorizeOptions = { ...buildVectorizeOptions(req.body), signal };
     
     if (outputFormat === 'svg') {
-      const svg = await Vectorizer.vectorizeCanvas(bgRemovedId, vectorizeOptions);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Content-Disposition', 'attachment; filename="vectorized_background_removed.svg"');
-      res.send(svg);
+      const traced = await Vectorizer.traceCanvas(bgRemovedId, vectorizeOptions);
+      sendSVG(res, traced, vectorizeOptions, 'vectorized_background_removed.svg');
     } else if (outputFormat === 'path') {
-      const pathData = await Vectorizer.generatePathData(bgRemovedId, vectorizeOptions);
-      
-      res.json({
-        success: true,
-        pathData: pathData,
-        width: canvasManager.getCanvas(bgRemovedId).canvas.width * parseFloat(scale),
-        height: canvasManager.getCanvas(bgRemovedId).canvas.height * parseFloat(scale)
-      });
+      const traced = await Vectorizer.traceCanvas(bgRemovedId, vectorizeOptions);
+      sendPathData(res, traced, vectorizeOptions, extras);
+    } else if (outputFormat === 'json') {
+      const traced = await Vectorizer.traceCanvas(bgRemovedId, vectorizeOptions);
+      sendShapes(res, traced, vectorizeOptions, extras);
+    } else if (VECTOR_FILE_FORMATS.includes(outputFormat)) {
+      const traced = await Vectorizer.traceCanvas(bgRemovedId, vectorizeOptions);
+      sendVectorFile(res, traced, outputFormat, vectorizeOptions, 'vectorized_background_removed');
     } else {
       // Return processed PNG
       const resultBuffer = canvasManager.toBuffer(bgRemovedId, outputFormat);
@@ -399,33 +898,45 @@ router.post('/complete', upload.single('image'), async (req, res) => {
  * POST /api/vectorize
  * Pure vectorization without background removal
  */
-router.post('/vectorize', upload.single('image'), async (req, res) => {
+router.post('/vectorize', upload.single('image'), vectorizationValidation, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
     const {
-      scale = 1,
       outputFormat = 'svg',
-      fillColor = '#000000',
-      threshold = 128,
-      turdsize = 5,
-      optcurve = true,
-      opttolerance = 1,
       preprocessing = {}
     } = req.body;
+    const tiled = req.body.tiled === 'true' || req.body.tiled === true;
+    const qualityDiff = req.body.qualityDiff === 'true' || req.body.qualityDiff === true;
+    const quality = qualityDiff || req.body.quality === 'true' || req.body.quality === true;
 
-    const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
-    
-    const vectorizeOptions = {
-      scale: parseFloat(scale),
-      fillColor,
-      threshold: parseInt(threshold),
-      turdsize: parseInt(turdsize),
-      optcurve: optcurve === 'true' || optcurve === true,
-      opttolerance: parseFloat(opttolerance)
-    };
+    if (!['svg', 'path', 'json'].includes(outputFormat) && !VECTOR_FILE_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({
+        error: `Vectorization only supports svg, path, json, ${VECTOR_FILE_FORMATS.join(', ')} output formats`
+      });
+    }
+
+    const signal = clientAbortSignal(res);
+    const vectorizeOptions = { ...buildVectorizeOptions(req.body), signal };
+
+    if (tiled && (vectorizeOptions.mode !== 'outline' || vectorizeOptions.colorMode === 'color')) {
+      return res.status(400).json({ error: 'Tiled tracing supports outline mode with mono colors only' });
+    }
+
+    if (tiled && quality) {
+      return res.status(400).json({ error: 'Quality reports are not available for tiled tracing' });
+    }
+
+    const offsetRequested = vectorizeOptions.offset !== 0 || vectorizeOptions.kerf > 0 || vectorizeOptions.sticker;
+    if (offsetRequested && vectorizeOptions.mode === 'centerline') {
+      return res.status(400).json({ error: 'Offset outlines and sticker borders are not available in centerline mode' });
+    }
+
+    if (qualityDiff && outputFormat !== 'path' && outputFormat !== 'json') {
+      return res.status(400).json({ error: 'The quality diff overlay is only returned with path and json output' });
+    }
 
     // Parse preprocessing options
     let parsedPreprocessing = preprocessing;
@@ -436,30 +947,93 @@ router.post('/vectorize', upload.single('image'), async (req, res) => {
         parsedPreprocessing = {};
       }
     }
-    
+
+    let traced;
+    let report = null;
+    if (tiled) {
+      // Full resolution, without the maxImageSize downsampling of canvases
+      const image = await canvasManager.loadImage(req.file.buffer);
+      traced = await Vectorizer.traceTiled(image, vectorizeOptions);
+    } else {
+      const { canvasId } = await canvasManager.initializeWithImage(req.file.buffer);
+
+      if (outputFormat !== 'path') {
+        await Vectorizer.applyPreprocessing(canvasId, { ...parsedPreprocessing, signal });
+      }
+      traced = await Vectorizer.traceCanvas(canvasId, vectorizeOptions);
+
+      if (quality) {
+        report = await Vectorizer.measureQuality(canvasId, traced, { ...vectorizeOptions, qualityDiff });
+      }
+
+      canvasManager.cleanup(canvasId);
+    }
+
+    if (report && outputFormat !== 'path' && outputFormat !== 'json') {
+      res.setHeader('X-Quality-IoU', String(report.iou));
+      res.setHeader('X-Quality-Pixel-Error', String(report.pixelError));
+    }
+
     if (outputFormat === 'svg') {
-      const svg = await Vectorizer.vectorizeWithPreprocessing(canvasId, parsedPreprocessing, vectorizeOptions);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Content-Disposition', 'attachment; filename="vectorized.svg"');
-      res.send(svg);
+      sendSVG(res, traced, vectorizeOptions, 'vectorized.svg');
     } else if (outputFormat === 'path') {
-      const pathData = await Vectorizer.generatePathData(canvasId, vectorizeOptions);
-      
-      res.json({
-        success: true,
-        pathData: pathData,
-        width: canvasManager.getCanvas(canvasId).canvas.width * parseFloat(scale),
-        height: canvasManager.getCanvas(canvasId).canvas.height * parseFloat(scale)
-      });
+      sendPathData(res, traced, vectorizeOptions, report ? { quality: report } : {});
+    } else if (outputFormat === 'json') {
+      sendShapes(res, traced, vectorizeOptions, report ? { quality: report } : {});
     } else {
-      return res.status(400).json({ error: 'Vectorization only supports svg or path output formats' });
+      sendVectorFile(res, traced, outputFormat, vectorizeOptions, 'vectorized');
+    }
+
+  } catch (error) {
+    console.error('Vectorization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/process/rasterize
+ * Render an SVG (uploaded file or svg field) to PNG or JPEG
+ */
+router.post('/rasterize', upload.single('image'), rasterizeValidation, async (req, res) => {
+  try {
+    const source = req.file ? req.file.buffer : (req.body.svg ? Buffer.from(String(req.body.svg)) : null);
+    if (!source) {
+      return res.status(400).json({ error: 'No SVG provided' });
     }
 
+    if (!canvasManager.isSVG(source)) {
+      return res.status(400).json({ error: 'Input is not an SVG document' });
+    }
+
+    const {
+      width,
+      height,
+      dpi = 96,
+      outputFormat = 'png'
+    } = req.body;
+
+    // JPEG has no alpha channel, so it gets a white background by default
+    const background = req.body.background || (outputFormat === 'png' ? 'transparent' : '#ffffff');
+
+    const { canvasId, width: renderedWidth, height: renderedHeight } = await canvasManager.rasterizeSVG(source, {
+      width: width ? parseInt(width) : undefined,
+      height: height ? parseInt(height) : undefined,
+      dpi: parseFloat(dpi),
+      background
+    });
+
+    const resultBuffer = canvasManager.toBuffer(canvasId, outputFormat);
+
+    res.setHeader('Content-Type', `image/${outputFormat}`);
+    res.setHeader('Content-Disposition', `attachment; filename="rasterized.${outputFormat}"`);
+    res.setHeader('X-Image-Width', String(renderedWidth));
+    res.setHeader('X-Image-Height', String(renderedHeight));
+    res.send(resultBuffer);
+
     canvasManager.cleanup(canvasId);
 
   } catch (error) {
-    console.error('Vectorization error:', error);
+    console.error('Rasterization error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -4,6 +4,7 @@ const fontManager = require('../fonts/font-manager');
 const TextRenderer = require('../fonts/text-renderer');
 const config = require('../config/fonts');
 const Vectorizer = require('../vectorization/vectorizer');
+const Thresholder = require('../vectorization/thresholder');
 
 const router = express.Router();
 
@@ -235,9 +236,14 @@ router.post('/vectorize', async (req, res) => {
       outputFormat = 'svg',
       scale = 1,
       threshold = 128,
+      adaptiveMethod = 'mean',
+      blockSize = 15,
+      adaptiveOffset = 5,
       turdsize = 2,
       optcurve = true,
-      opttolerance = 0.5
+      opttolerance = 0.5,
+      mode = 'outline',
+      strokeWidth
     } = req.body;
 
     const options = {
@@ -254,28 +260,41 @@ router.post('/vectorize', async (req, res) => {
     const vectorizeOptions = {
       scale: parseFloat(scale),
       fillColor: color,
-      threshold: parseInt(threshold),
+      threshold: Thresholder.parseThreshold(threshold),
+      adaptiveMethod,
+      blockSize: parseInt(blockSize),
+      adaptiveOffset: parseFloat(adaptiveOffset),
       turdsize: parseInt(turdsize),
       optcurve: optcurve === 'true' || optcurve === true,
-      opttolerance: parseFloat(opttolerance)
+      opttolerance: parseFloat(opttolerance),
+      mode,
+      strokeWidth: strokeWidth ? parseFloat(strokeWidth) : undefined
     };
     
-    const { canvasId, canvas, svg } = await TextRenderer.renderToVectors(options, vectorizeOptions);
+    const { canvasId, canvas, svg, threshold: appliedThreshold } =
+      await TextRenderer.renderToVectors(options, vectorizeOptions);
     
     try {
       if (outputFormat === 'svg') {
         res.setHeader('Content-Type', 'image/svg+xml');
         res.setHeader('Content-Disposition', 'attachment; filename="vectorized_text.svg"');
+        res.setHeader('X-Threshold', String(appliedThreshold));
         res.send(svg);
       } else if (outputFormat === 'path') {
-        const pathData = await Vectorizer.generatePathData(canvasId, vectorizeOptions);
-        
-        res.json({
+        const layers = await Vectorizer.generateLayerData(canvasId, vectorizeOptions);
+        const response = {
           success: true,
-          pathData: pathData,
+          pathData: layers.map(layer => layer.pathData).filter(Boolean).join(' '),
           width: canvas.width * parseFloat(scale),
-          height: canvas.height * parseFloat(scale)
-        });
+          height: canvas.height * parseFloat(scale),
+          threshold: appliedThreshold
+        };
+
+        if (mode === 'centerline') {
+          response.strokeWidth = layers[0].strokeWidth;
+        }
+
+        res.json(response);
       } else {
         res.json({
           success: true,
@@ -0,0 +1,258 @@
+/**
+ * Closed-form alpha matting (Levin, Lischinski and Weiss).
+ *
+ * Within every 3x3 window alpha is assumed to be a linear function of the
+ * color, which gives a quadratic cost in alpha alone (the matting
+ * Laplacian). The alpha of unknown trimap pixels minimizes that cost with
+ * the known pixels fixed, solved with preconditioned conjugate gradients.
+ */
+
+// Trimap labels
+const BACKGROUND = 0;
+const FOREGROUND = 1;
+const UNKNOWN = 2;
+
+// Regularization of the window color covariance, for colors in 0-1
+const EPSILON = 1e-7;
+
+// Conjugate gradient limits
+const MAX_ITERATIONS = 300;
+const TOLERANCE = 1e-4;
+
+// Neighbors sharing a 3x3 window lie within a 5x5 block
+const SPAN = 5;
+
+class AlphaMatting {
+  /**
+   * Alpha (0-1 per pixel) of imageData for a trimap (0 background,
+   * 1 foreground, 2 unknown). initial optionally holds starting alpha
+   * values for the unknown pixels.
+   */
+  static solve(imageData, trimap, initial = null) {
+    const { width, height } = imageData;
+    const alpha = new Float64Array(width * height);
+    const unknown = [];
+    const index = new Int32Array(width * height).fill(-1);
+
+    for (let p = 0; p < trimap.length; p++) {
+      if (trimap[p] === FOREGROUND) {
+        alpha[p] = 1;
+      } else if (trimap[p] === UNKNOWN) {
+        index[p] = unknown.length;
+        unknown.push(p);
+        alpha[p] = initial ? initial[p] : 0.5;
+      }
+    }
+
+    if (unknown.length === 0 || width < 3 || height < 3) {
+      return alpha;
+    }
+
+    const rows = this.laplacianRows(imageData, index, unknown.length);
+    const { matrix, rhs } = this.split(rows, unknown, index, alpha, width);
+    const solution = this.conjugateGradient(matrix, rhs, Float64Array.from(unknown, p => alpha[p]), unknown, index, width);
+
+    unknown.forEach((p, i) => {
+      alpha[p] = Math.min(1, Math.max(0, solution[i]));
+    });
+    return alpha;
+  }
+
+  /**
+   * Matting Laplacian rows of the unknown pixels: SPAN x SPAN coefficients
+   * per row, one per neighbor offset
+   */
+  static laplacianRows(imageData, index, unknownCount) {
+    const { data, width, height } = imageData;
+    const rows = new Float64Array(unknownCount * SPAN * SPAN);
+    const colors = new Float64Array(27);
+    const centered = new Float64Array(27);
+    const products = new Float64Array(27);
+    const pixels = new Int32Array(9);
+
+    for (let cy = 1; cy < height - 1; cy++) {
+      for (let cx = 1; cx < width - 1; cx++) {
+        let any = false;
+        let n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const p = (cy + dy) * width + cx + dx;
+            pixels[n++] = p;
+            if (index[p] !== -1) any = true;
+          }
+        }
+        if (!any) continue;
+
+        // Window mean and covariance
+        const mean = [0, 0, 0];
+        for (let a = 0; a < 9; a++) {
+          for (let c = 0; c < 3; c++) {
+            colors[a * 3 + c] = data[pixels[a] * 4 + c] / 255;
+            mean[c] += colors[a * 3 + c] / 9;
+          }
+        }
+        const covariance = new Array(9).fill(0);
+        for (let a = 0; a < 9; a++) {
+          for (let c = 0; c < 3; c++) {
+            centered[a * 3 + c] = colors[a * 3 + c] - mean[c];
+          }
+          for (let c = 0; c < 3; c++) {
+            for (let d = 0; d < 3; d++) {
+              covariance[c * 3 + d] += centered[a * 3 + c] * centered[a * 3 + d] / 9;
+            }
+          }
+        }
+        covariance[0] += EPSILON / 9;
+        covariance[4] += EPSILON / 9;
+        covariance[8] += EPSILON / 9;
+        const inverse = this.invert(covariance);
+
+        for (let a = 0; a < 9; a++) {
+          for (let c = 0; c < 3; c++) {
+            products[a * 3 + c] =
+              inverse[c * 3] * centered[a * 3] +
+              inverse[c * 3 + 1] * centered[a * 3 + 1] +
+              inverse[c * 3 + 2] * centered[a * 3 + 2];
+          }
+        }
+
+        for (let a = 0; a < 9; a++) {
+          const row = index[pixels[a]];
+          if (row === -1) continue;
+
+          const ax = a % 3;
+          const ay = Math.floor(a / 3);
+          for (let b = 0; b < 9; b++) {
+            const dot =
+              centered[a * 3] * products[b * 3] +
+              centered[a * 3 + 1] * products[b * 3 + 1] +
+              centered[a * 3 + 2] * products[b * 3 + 2];
+            const slot = (Math.floor(b / 3) - ay + 2) * SPAN + (b % 3 - ax + 2);
+            rows[row * SPAN * SPAN + slot] += (a === b ? 1 : 0) - (1 + dot) / 9;
+          }
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Split the Laplacian rows into the unknown-unknown system matrix (in
+   * place) and the right-hand side moving the known pixels over
+   */
+  static split(rows, unknown, index, alpha, width) {
+    const rhs = new Float64Array(unknown.length);
+
+    unknown.forEach((p, i) => {
+      for (let slot = 0; slot < SPAN * SPAN; slot++) {
+        const coefficient = rows[i * SPAN * SPAN + slot];
+        if (coefficient === 0) continue;
+
+        const q = p + (Math.floor(slot / SPAN) - 2) * width + (slot % SPAN) - 2;
+        if (index[q] === -1) {
+          rhs[i] -= coefficient * alpha[q];
+          rows[i * SPAN * SPAN + slot] = 0;
+        }
+      }
+    });
+
+    return { matrix: rows, rhs };
+  }
+
+  /**
+   * Jacobi preconditioned conjugate gradients for matrix x = rhs
+   */
+  static conjugateGradient(matrix, rhs, x, unknown, index, width) {
+    const count = unknown.length;
+    const center = Math.floor(SPAN * SPAN / 2);
+    const multiply = (vector, out) => {
+      for (let i = 0; i < count; i++) {
+        const p = unknown[i];
+        let sum = 0;
+        for (let slot = 0; slot < SPAN * SPAN; slot++) {
+          const coefficient = matrix[i * SPAN * SPAN + slot];
+          if (coefficient === 0) continue;
+          sum += coefficient * vector[index[p + (Math.floor(slot / SPAN) - 2) * width + (slot % SPAN) - 2]];
+        }
+        out[i] = sum;
+      }
+    };
+
+    const residual = new Float64Array(count);
+    const z = new Float64Array(count);
+    const direction = new Float64Array(count);
+    const product = new Float64Array(count);
+
+    multiply(x, product);
+    let rhsNorm = 0;
+    for (let i = 0; i < count; i++) {
+      residual[i] = rhs[i] - product[i];
+      rhsNorm += rhs[i] * rhs[i];
+    }
+    const limit = TOLERANCE * TOLERANCE * Math.max(rhsNorm, 1e-12);
+
+    const precondition = () => {
+      let rz = 0;
+      for (let i = 0; i < count; i++) {
+        const diagonal = matrix[i * SPAN * SPAN + center];
+        z[i] = diagonal > 0 ? residual[i] / diagonal : residual[i];
+        rz += residual[i] * z[i];
+      }
+      return rz;
+    };
+
+    let rz = precondition();
+    direction.set(z);
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      let residualNorm = 0;
+      for (let i = 0; i < count; i++) residualNorm += residual[i] * residual[i];
+      if (residualNorm <= limit) break;
+
+      multiply(direction, product);
+      let curvature = 0;
+      for (let i = 0; i < count; i++) curvature += direction[i] * product[i];
+      if (curvature <= 0) break;
+
+      const step = rz / curvature;
+      for (let i = 0; i < count; i++) {
+        x[i] += step * direction[i];
+        residual[i] -= step * product[i];
+      }
+
+      const previous = rz;
+      rz = precondition();
+      for (let i = 0; i < count; i++) {
+        direction[i] = z[i] + (rz / previous) * direction[i];
+      }
+    }
+
+    return x;
+  }
+
+  static invert(m) {
+    const determinant =
+      m[0] * (m[4] * m[8] - m[5] * m[7]) -
+      m[1] * (m[3] * m[8] - m[5] * m[6]) +
+      m[2] * (m[3] * m[7] - m[4] * m[6]);
+
+    return [
+      (m[4] * m[8] - m[5] * m[7]) / determinant,
+      (m[2] * m[7] - m[1] * m[8]) / determinant,
+      (m[1] * m[5] - m[2] * m[4]) / determinant,
+      (m[5] * m[6] - m[3] * m[8]) / determinant,
+      (m[0] * m[8] - m[2] * m[6]) / determinant,
+      (m[2] * m[3] - m[0] * m[5]) / determinant,
+      (m[3] * m[7] - m[4] * m[6]) / determinant,
+      (m[1] * m[6] - m[0] * m[7]) / determinant,
+      (m[0] * m[4] - m[1] * m[3]) / determinant
+    ];
+  }
+}
+
+AlphaMatting.BACKGROUND = BACKGROUND;
+AlphaMatting.FOREGROUND = FOREGROUND;
+AlphaMatting.UNKNOWN = UNKNOWN;
+
+module.exports = AlphaMatting;
@@ -1,23 +1,42 @@
 const canvasManager = require('./canvas-manager');
+const config = require('../config/canvas');
+const ColorDistance = require('./color-distance');
+const ColorQuantizer = require('../vectorization/color-quantizer');
+const GrabCut = require('./grab-cut');
+const AlphaMatting = require('./alpha-matting');
+const ChromaKey = require('./chroma-key');
+const MaskProcessing = require('./mask-processing');
+
+// Width of the border band sampled for background detection, as a share of
+// the shorter image side
+const BORDER_SHARE = 0.02;
+
+// Border clusters closer than this (CIE76 Delta E) are one background color
+const MERGE_DISTANCE = 10;
+
+// Share of the opaque border pixels a cluster needs to count as background
+const MIN_BACKGROUND_SHARE = 0.2;
+
+// Gaussian kernel (sigma 1.4) smoothing gray levels before edge detection
+const GAUSSIAN_KERNEL = [0.0663, 0.2358, 0.3958, 0.2358, 0.0663];
+
+// Canny low threshold as a share of the high threshold
+const LOW_THRESHOLD_SHARE = 0.4;
 
 class BackgroundRemoval {
   /**
-   * Remove background using simple color matching
+   * Remove background using simple color matching.
+   * colorSpace selects the ColorDistance metric tolerance is measured in.
    */
-  static removeByColor(canvasId, targetColor = [255, 255, 255], tolerance = 10) {
+  static removeByColor(canvasId, targetColor = [255, 255, 255], tolerance = 10, colorSpace = 'rgb') {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
     const data = imageData.data;
+    const distance = ColorDistance.metric(targetColor, colorSpace);
 
     for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-
       // Check if pixel matches target color within tolerance
-      if (Math.abs(r - targetColor[0]) < tolerance &&
-          Math.abs(g - targetColor[1]) < tolerance &&
-          Math.abs(b - targetColor[2]) < tolerance) {
+      if (distance(data[i], data[i + 1], data[i + 2]) < tolerance) {
         data[i + 3] = 0; // Set alpha to 0 (transparent)
       }
     }
@@ -27,25 +46,23 @@ class BackgroundRemoval {
   }
 
   /**
-   * Advanced chroma key removal (green screen)
+   * Advanced chroma key removal (green screen). options.hueFalloff and
+   * options.saturationFalloff soften the cut beyond hueTolerance and
+   * saturationMin, and options.despill (0-1) removes the key color cast
+   * from the remaining pixels; see ChromaKey.
    */
-  static chromaKey(canvasId, targetHue = 120, hueTolerance = 15, saturationMin = 0.3) {
+  static chromaKey(canvasId, targetHue = 120, hueTolerance = 15, saturationMin = 0.3, options = {}) {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
 
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i] / 255;
-      const g = data[i + 1] / 255;
-      const b = data[i + 2] / 255;
-
-      const hsl = this.rgbToHsl(r, g, b);
-      
-      // Check if pixel is within chroma key range
-      if (Math.abs(hsl.h * 360 - targetHue) < hueTolerance && hsl.s > saturationMin) {
-        data[i + 3] = 0; // Make transparent
-      }
-    }
+    ChromaKey.apply(imageData.data, {
+      targetHue,
+      hueTolerance,
+      saturationMin,
+      hueFalloff: options.hueFalloff,
+      saturationFalloff: options.saturationFalloff,
+      despill: options.despill
+    });
 
     ctx.putImageData(imageData, 0, 0);
     return canvasId;
@@ -54,27 +71,20 @@ class BackgroundRemoval {
   /**
    * Fuzzy color matching with wider tolerance
    */
-  static fuzzyRemoval(canvasId, targetColor = [255, 255, 255], tolerance = 30) {
+  static fuzzyRemoval(canvasId, targetColor = [255, 255, 255], tolerance = 30, colorSpace = 'rgb') {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
     const data = imageData.data;
+    // Use Euclidean distance for better color matching in RGB
+    const metric = ColorDistance.metric(targetColor, colorSpace, { euclidean: true });
 
     for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-
-      // Use Euclidean distance for better color matching
-      const distance = Math.sqrt(
-        Math.pow(r - targetColor[0], 2) +
-        Math.pow(g - targetColor[1], 2) +
-        Math.pow(b - targetColor[2], 2)
-      );
+      const distance = metric(data[i], data[i + 1], data[i + 2]);
 
       if (distance < tolerance) {
-        // Gradual transparency based on distance
+        // Gradual transparency based on distance, never more opaque than before
         const alpha = Math.max(0, (distance / tolerance) * 255);
-        data[i + 3] = alpha;
+        data[i + 3] = Math.min(data[i + 3], alpha);
       }
     }
 
@@ -85,7 +95,7 @@ class BackgroundRemoval {
   /**
    * Flood fill background removal
    */
-  static floodFill(canvasId, startX = 0, startY = 0, tolerance = 10) {
+  static floodFill(canvasId, startX = 0, startY = 0, tolerance = 10, colorSpace = 'rgb') {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
     const data = imageData.data;
@@ -95,6 +105,7 @@ class BackgroundRemoval {
     // Get starting pixel color
     const startIndex = (startY * width + startX) * 4;
     const targetColor = [data[startIndex], data[startIndex + 1], data[startIndex + 2]];
+    const distance = ColorDistance.metric(targetColor, colorSpace);
 
     const visited = new Set();
     const stack = [[startX, startY]];
@@ -109,14 +120,9 @@ class BackgroundRemoval {
 
       visited.add(key);
       const index = (y * width + x) * 4;
-      const r = data[index];
-      const g = data[index + 1];
-      const b = data[index + 2];
 
       // Check if pixel matches target color within tolerance
-      if (Math.abs(r - targetColor[0]) <= tolerance &&
-          Math.abs(g - targetColor[1]) <= tolerance &&
-          Math.abs(b - targetColor[2]) <= tolerance) {
+      if (distance(data[index], data[index + 1], data[index + 2]) <= tolerance) {
         data[index + 3] = 0; // Make transparent
 
         // Add neighbors to stack
@@ -128,15 +134,382 @@ class BackgroundRemoval {
     return canvasId;
   }
 
+  /**
+   * Edge detection background removal: keeps the dominant foreground object
+   * enclosed by its edges and makes everything else transparent.
+   * tolerance is the Canny high threshold in percent of the strongest
+   * gradient; closeRadius closes edge gaps up to about twice its size.
+   * The canvas is left unchanged when no enclosed foreground is found.
+   */
+  static edgeDetection(canvasId, tolerance = 20, closeRadius = 2) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const mask = this.edgeMask(imageData, { tolerance, closeRadius });
+
+    if (!mask.includes(1)) {
+      return canvasId;
+    }
+
+    const data = imageData.data;
+    for (let p = 0; p < mask.length; p++) {
+      if (mask[p] === 0) {
+        data[p * 4 + 3] = 0;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvasId;
+  }
+
+  /**
+   * Foreground mask (1 for foreground) of the largest region enclosed by
+   * Canny edges: Gaussian smoothing, Sobel gradients, non-maximum
+   * suppression and hysteresis, then a morphological closing of the edges
+   * and a flood fill of the background from the image border. Objects
+   * touching the border are only enclosed where their edges run along it.
+   */
+  static edgeMask(imageData, options = {}) {
+    const { width, height, data } = imageData;
+    const { tolerance = 20, closeRadius = 2 } = options;
+    const size = width * height;
+
+    const gray = new Float32Array(size);
+    for (let p = 0; p < size; p++) {
+      const i = p * 4;
+      // Transparent pixels count as white
+      const alpha = data[i + 3] / 255;
+      gray[p] = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * alpha + 255 * (1 - alpha);
+    }
+
+    const smooth = this.gaussianBlur(gray, width, height);
+    const edges = this.cannyEdges(smooth, width, height, Math.max(1, tolerance) / 100);
+    const closed = this.erode(this.dilate(edges, width, height, closeRadius), width, height, closeRadius);
+
+    // Background: everything reachable from the border without crossing an edge
+    const mask = new Uint8Array(size).fill(1);
+    const stack = [];
+    const visit = (p) => {
+      if (closed[p] === 0 && mask[p] === 1) {
+        mask[p] = 0;
+        stack.push(p);
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      visit(x);
+      visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      visit(y * width);
+      visit(y * width + width - 1);
+    }
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      if (x > 0) visit(p - 1);
+      if (x < width - 1) visit(p + 1);
+      if (p >= width) visit(p - width);
+      if (p < size - width) visit(p + width);
+    }
+
+    return this.largestComponent(mask, width, height);
+  }
+
+  /**
+   * Separable 5x5 Gaussian blur of a gray level array, clamping at the border
+   */
+  static gaussianBlur(values, width, height) {
+    const radius = (GAUSSIAN_KERNEL.length - 1) / 2;
+    const horizontal = new Float32Array(values.length);
+    const result = new Float32Array(values.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sx = Math.min(width - 1, Math.max(0, x + k));
+          sum += values[y * width + sx] * GAUSSIAN_KERNEL[k + radius];
+        }
+        horizontal[y * width + x] = sum;
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sy = Math.min(height - 1, Math.max(0, y + k));
+          sum += horizontal[sy * width + x] * GAUSSIAN_KERNEL[k + radius];
+        }
+        result[y * width + x] = sum;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Canny edge map (1 for edge pixels) of smoothed gray levels, with the
+   * high threshold as a share of the strongest Sobel gradient
+   */
+  static cannyEdges(gray, width, height, highShare) {
+    const size = width * height;
+    const magnitude = new Float32Array(size);
+    const direction = new Uint8Array(size);
+    let max = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const p = y * width + x;
+        const gx = gray[p - width + 1] + 2 * gray[p + 1] + gray[p + width + 1] -
+          gray[p - width - 1] - 2 * gray[p - 1] - gray[p + width - 1];
+        const gy = gray[p + width - 1] + 2 * gray[p + width] + gray[p + width + 1] -
+          gray[p - width - 1] - 2 * gray[p - width] - gray[p - width + 1];
+
+        magnitude[p] = Math.hypot(gx, gy);
+        if (magnitude[p] > max) max = magnitude[p];
+
+        // Gradient direction rounded to 0, 45, 90 or 135 degrees
+        const angle = (Math.atan2(gy, gx) * 180 / Math.PI + 180) % 180;
+        direction[p] = angle < 22.5 || angle >= 157.5 ? 0 : angle < 67.5 ? 1 : angle < 112.5 ? 2 : 3;
+      }
+    }
+
+    const high = max * highShare;
+    const low = high * LOW_THRESHOLD_SHARE;
+    // Neighbor offsets along the gradient for each direction
+    const steps = [1, width + 1, width, width - 1];
+    const strength = new Uint8Array(size);
+    const stack = [];
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const p = y * width + x;
+        const m = magnitude[p];
+        const step = steps[direction[p]];
+
+        // Non-maximum suppression; ties go to the earlier pixel, so step
+        // edges stay one pixel thin
+        if (m < low || m < magnitude[p - step] || m <= magnitude[p + step]) continue;
+
+        if (m >= high) {
+          strength[p] = 2;
+          stack.push(p);
+        } else {
+          strength[p] = 1;
+        }
+      }
+    }
+
+    // Hysteresis: weak edges connected to strong edges become strong
+    while (stack.length > 0) {
+      const p = stack.pop();
+      for (const offset of [-width - 1, -width, -width + 1, -1, 1, width - 1, width, width + 1]) {
+        if (strength[p + offset] === 1) {
+          strength[p + offset] = 2;
+          stack.push(p + offset);
+        }
+      }
+    }
+
+    const edges = new Uint8Array(size);
+    for (let p = 0; p < size; p++) {
+      edges[p] = strength[p] === 2 ? 1 : 0;
+    }
+    return edges;
+  }
+
+  /**
+   * Disc offsets (dx, dy pairs) of a structuring element with the given radius
+   */
+  static discOffsets(radius) {
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) {
+          offsets.push(dx, dy);
+        }
+      }
+    }
+    return offsets;
+  }
+
+  /**
+   * Binary dilation with a disc
+   */
+  static dilate(mask, width, height, radius) {
+    if (radius <= 0) return mask;
+
+    const offsets = this.discOffsets(radius);
+    const result = new Uint8Array(mask.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (mask[y * width + x] === 0) continue;
+        for (let k = 0; k < offsets.length; k += 2) {
+          const nx = x + offsets[k];
+          const ny = y + offsets[k + 1];
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+            result[ny * width + nx] = 1;
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Binary erosion with a disc; pixels outside the image count as set
+   */
+  static erode(mask, width, height, radius) {
+    if (radius <= 0) return mask;
+
+    const offsets = this.discOffsets(radius);
+    const result = new Uint8Array(mask.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (mask[y * width + x] === 0) continue;
+        let keep = 1;
+        for (let k = 0; k < offsets.length && keep; k += 2) {
+          const nx = x + offsets[k];
+          const ny = y + offsets[k + 1];
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height && mask[ny * width + nx] === 0) {
+            keep = 0;
+          }
+        }
+        result[y * width + x] = keep;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Keep only the largest 4-connected region of a mask
+   */
+  static largestComponent(mask, width, height) {
+    const labels = new Int32Array(mask.length).fill(-1);
+    const stack = [];
+    let best = -1;
+    let bestSize = 0;
+    let label = 0;
+
+    for (let start = 0; start < mask.length; start++) {
+      if (mask[start] === 0 || labels[start] >= 0) continue;
+
+      let count = 0;
+      labels[start] = label;
+      stack.push(start);
+      while (stack.length > 0) {
+        const p = stack.pop();
+        count++;
+        const x = p % width;
+        for (const q of [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width]) {
+          if (q >= 0 && q < mask.length && mask[q] === 1 && labels[q] < 0) {
+            labels[q] = label;
+            stack.push(q);
+          }
+        }
+      }
+
+      if (count > bestSize) {
+        bestSize = count;
+        best = label;
+      }
+      label++;
+    }
+
+    const result = new Uint8Array(mask.length);
+    for (let p = 0; p < mask.length; p++) {
+      result[p] = labels[p] === best ? 1 : 0;
+    }
+    return result;
+  }
+
+  /**
+   * GrabCut background removal: segments the foreground inside
+   * options.rect ({ x, y, width, height }, by default the image inset by 5%)
+   * with color models of foreground and background and a graph cut.
+   * options.foreground and options.background are optional scribble masks
+   * (1 per pixel known to be foreground or background) and
+   * options.iterations the number of refinement rounds (default 5).
+   * Returns the soft alpha mask (0-255 per pixel) applied to the canvas.
+   */
+  static grabCut(canvasId, options = {}) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const alpha = GrabCut.segment(imageData, options);
+
+    const data = imageData.data;
+    for (let p = 0; p < alpha.length; p++) {
+      data[p * 4 + 3] = Math.round(data[p * 4 + 3] * alpha[p] / 255);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return alpha;
+  }
+
+  /**
+   * Alpha matting refinement of a background removal result, for hair, fur
+   * and semi-transparent edges. The result's mask (pixels at least half
+   * opaque) is eroded and dilated by radius into a trimap, and alpha in the
+   * band between is solved from the colors of sourceCanvasId, a copy of the
+   * canvas taken before removal. Only alpha changes, so color corrections
+   * of the removal such as despill are kept; fully transparent pixels,
+   * whose colors the removal may not have kept, get their source colors
+   * back.
+   */
+  static refineMatte(canvasId, sourceCanvasId, radius = 5) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const { ctx: sourceCtx } = canvasManager.getCanvas(sourceCanvasId);
+    const { width, height } = canvas;
+    const resultData = ctx.getImageData(0, 0, width, height);
+    const result = resultData.data;
+    const source = sourceCtx.getImageData(0, 0, width, height);
+
+    const mask = new Uint8Array(width * height);
+    const initial = new Float64Array(width * height);
+    for (let p = 0; p < mask.length; p++) {
+      mask[p] = result[p * 4 + 3] >= 128 ? 1 : 0;
+      initial[p] = result[p * 4 + 3] / 255;
+    }
+
+    const sure = this.erode(mask, width, height, radius);
+    const possible = this.dilate(mask, width, height, radius);
+    const trimap = new Uint8Array(width * height);
+    for (let p = 0; p < trimap.length; p++) {
+      if (sure[p]) trimap[p] = AlphaMatting.FOREGROUND;
+      else if (possible[p]) trimap[p] = AlphaMatting.UNKNOWN;
+    }
+
+    const alpha = AlphaMatting.solve(source, trimap, initial);
+    const data = source.data;
+    for (let p = 0; p < alpha.length; p++) {
+      const i = p * 4;
+      if (result[i + 3] === 0) {
+        result[i] = data[i];
+        result[i + 1] = data[i + 1];
+        result[i + 2] = data[i + 2];
+      }
+      result[i + 3] = Math.round(data[i + 3] * alpha[p]);
+    }
+
+    ctx.putImageData(resultData, 0, 0);
+    return canvasId;
+  }
+
   /**
    * Edge-preserving background removal
    */
-  static edgePreserving(canvasId, targetColor = [255, 255, 255], tolerance = 15) {
+  static edgePreserving(canvasId, targetColor = [255, 255, 255], tolerance = 15, colorSpace = 'rgb') {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
     const data = imageData.data;
     const width = canvas.width;
     const height = canvas.height;
+    const distance = ColorDistance.metric(targetColor, colorSpace);
 
     // First pass: identify background pixels
     const backgroundPixels = new Set();
@@ -144,13 +517,8 @@ class BackgroundRemoval {
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const index = (y * width + x) * 4;
-        const r = data[index];
-        const g = data[index + 1];
-        const b = data[index + 2];
 
-        if (Math.abs(r - targetColor[0]) < tolerance &&
-            Math.abs(g - targetColor[1]) < tolerance &&
-            Math.abs(b - targetColor[2]) < tolerance) {
+        if (distance(data[index], data[index + 1], data[index + 2]) < tolerance) {
           backgroundPixels.add(`${x},${y}`);
         }
       }
@@ -190,6 +558,131 @@ class BackgroundRemoval {
     return canvasId;
   }
 
+  /**
+   * Detect the background color(s) from the pixels along the image border.
+   * Opaque border pixels are clustered, nearby clusters merged, and every
+   * cluster covering at least MIN_BACKGROUND_SHARE of them is a background
+   * color. Returns { colors, shares }: RGB colors, most common first, and
+   * their share of the opaque border pixels. colors is empty when the border
+   * is mostly transparent.
+   */
+  static detectBackground(canvasId) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const { width, height } = canvas;
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const band = Math.max(1, Math.round(Math.min(width, height) * BORDER_SHARE));
+
+    const border = [];
+    for (let y = 0; y < height; y++) {
+      const edgeRow = y < band || y >= height - band;
+      for (let x = 0; x < width; x++) {
+        if (edgeRow || x < band || x >= width - band) {
+          const i = (y * width + x) * 4;
+          border.push(data[i], data[i + 1], data[i + 2], data[i + 3]);
+        }
+      }
+    }
+
+    const pixels = border.length / 4;
+    const { palette, counts } = ColorQuantizer.quantize(
+      { data: border, width: pixels, height: 1 },
+      { colors: 4 }
+    );
+    const opaque = counts.reduce((sum, count) => sum + count, 0);
+
+    if (opaque < pixels / 2) {
+      return { colors: [], shares: [] };
+    }
+
+    const clusters = [];
+    palette
+      .map((color, index) => ({ color, count: counts[index] }))
+      .filter(cluster => cluster.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .forEach(cluster => {
+        const distance = ColorDistance.metric(cluster.color, 'cie76');
+        const match = clusters.find(kept => distance(...kept.color) < MERGE_DISTANCE);
+        if (match) {
+          match.count += cluster.count;
+        } else {
+          clusters.push(cluster);
+        }
+      });
+
+    const background = clusters
+      .filter(cluster => cluster.count / opaque >= MIN_BACKGROUND_SHARE)
+      .sort((a, b) => b.count - a.count);
+    return {
+      colors: background.map(cluster => cluster.color),
+      shares: background.map(cluster => Number((cluster.count / opaque).toFixed(4)))
+    };
+  }
+
+  /**
+   * Morphological post-processing of the alpha channel after removal, with
+   * the options of MaskProcessing.process (removeIslands, fillHoles, open,
+   * close, erode, dilate, feather). Feathering is skipped when
+   * processing.useFeathering is off. Returns the canvas id.
+   */
+  static postProcess(canvasId, options = {}) {
+    const settings = config.processing.useFeathering ? options : { ...options, feather: 0 };
+    if (MaskProcessing.isEmpty(settings)) {
+      return canvasId;
+    }
+
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+    const alpha = new Uint8ClampedArray(canvas.width * canvas.height);
+    for (let p = 0; p < alpha.length; p++) {
+      alpha[p] = data[p * 4 + 3];
+    }
+
+    MaskProcessing.process(alpha, canvas.width, canvas.height, settings);
+    for (let p = 0; p < alpha.length; p++) {
+      data[p * 4 + 3] = alpha[p];
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvasId;
+  }
+
+  /**
+   * Multiply the alpha of a canvas by a mask (0-255 per pixel, 255 keeps
+   * the pixel). Returns the canvas id.
+   */
+  static applyMask(canvasId, mask) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+
+    for (let p = 0; p < mask.length; p++) {
+      data[p * 4 + 3] = Math.round(data[p * 4 + 3] * mask[p] / 255);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvasId;
+  }
+
+  /**
+   * Alpha of a canvas as an opaque grayscale image on a new canvas, white
+   * for kept pixels and black for removed ones. Returns the new canvas id.
+   */
+  static alphaMask(canvasId) {
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const mask = canvasManager.createCanvas(canvas.width, canvas.height);
+    const maskData = mask.ctx.createImageData(canvas.width, canvas.height);
+
+    for (let i = 0; i < data.length; i += 4) {
+      maskData.data[i] = maskData.data[i + 1] = maskData.data[i + 2] = data[i + 3];
+      maskData.data[i + 3] = 255;
+    }
+
+    mask.ctx.putImageData(maskData, 0, 0);
+    return mask.canvasId;
+  }
+
   /**
    * Replace background with new color/image
    */
@@ -224,36 +717,68 @@ class BackgroundRemoval {
   }
 
   /**
-   * Batch background removal
+   * Batch background removal. options.postProcess cleans up every result
+   * (see postProcess), and with options.refine "matting" every result is
+   * then refined by alpha matting (band radius options.refineRadius).
+   * With options.targetColor "auto" the background colors of every image
+   * are detected and removed one after the other, and each result reports
+   * them as detectedBackground.
    */
   static async batchRemoval(canvasIds, method = 'color', options = {}) {
     const results = [];
+    const auto = options.targetColor === 'auto';
     
     for (const canvasId of canvasIds) {
+      const sourceCanvasId = options.refine === 'matting' ? canvasManager.cloneCanvas(canvasId).canvasId : null;
       try {
+        const targetColors = auto ? this.detectBackground(canvasId).colors : [options.targetColor];
+        const eachColor = (remove) => {
+          let result = canvasId;
+          for (const color of targetColors) {
+            result = remove(color);
+          }
+          return result;
+        };
+
         let result;
         switch (method) {
           case 'color':
-            result = this.removeByColor(canvasId, options.targetColor, options.tolerance);
+            result = eachColor(color => this.removeByColor(canvasId, color, options.tolerance, options.colorSpace));
             break;
           case 'chroma-key':
-            result = this.chromaKey(canvasId, options.targetHue, options.hueTolerance, options.saturationMin);
+            result = this.chromaKey(canvasId, options.targetHue, options.hueTolerance, options.saturationMin, options);
             break;
           case 'fuzzy':
-            result = this.fuzzyRemoval(canvasId, options.targetColor, options.tolerance);
+            result = eachColor(color => this.fuzzyRemoval(canvasId, color, options.tolerance, options.colorSpace));
             break;
           case 'flood-fill':
-            result = this.floodFill(canvasId, options.startX, options.startY, options.tolerance);
+            result = this.floodFill(canvasId, options.startX, options.startY, options.tolerance, options.colorSpace);
             break;
           case 'edge-preserving':
-            result = this.edgePreserving(canvasId, options.targetColor, options.tolerance);
+            result = eachColor(color => this.edgePreserving(canvasId, color, options.tolerance, options.colorSpace));
+            break;
+          case 'edge-detection':
+            result = this.edgeDetection(canvasId, options.tolerance);
+            break;
+          case 'grabcut':
+            result = this.grabCut(canvasId, { rect: options.rect, iterations: options.iterations });
             break;
           default:
             throw new Error(`Unknown method: ${method}`);
         }
-        results.push({ canvasId, success: true, result });
+        if (options.postProcess) {
+          this.postProcess(canvasId, options.postProcess);
+        }
+        if (sourceCanvasId) {
+          this.refineMatte(canvasId, sourceCanvasId, options.refineRadius);
+        }
+        results.push(auto
+          ? { canvasId, success: true, result, detectedBackground: targetColors }
+          : { canvasId, success: true, result });
       } catch (error) {
         results.push({ canvasId, success: false, error: error.message });
+      } finally {
+        if (sourceCanvasId) canvasManager.cleanup(sourceCanvasId);
       }
     }
     
@@ -264,26 +789,7 @@ class BackgroundRemoval {
    * RGB to HSL conversion utility
    */
   static rgbToHsl(r, g, b) {
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    let h, s;
-    const l = (max + min) / 2;
-
-    if (max === min) {
-      h = s = 0; // Achromatic
-    } else {
-      const d = max - min;
-      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-      
-      switch (max) {
-        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-        case g: h = (b - r) / d + 2; break;
-        case b: h = (r - g) / d + 4; break;
-      }
-      h /= 6;
-    }
-
-    return { h, s, l };
+    return ChromaKey.rgbToHsl(r, g, b);
   }
 }
 
@@ -3,6 +3,12 @@ const config = require('../config/canvas');
 const memoryManager = require('../utils/memory-manager');
 const performanceMonitor = require('../utils/performance-monitor');
 
+// CSS pixels per unit of SVG lengths
+const SVG_UNITS = { px: 1, pt: 96 / 72, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+// Size of SVG documents without width, height and viewBox, as in browsers
+const DEFAULT_SVG_SIZE = { width: 300, height: 150 };
+
 class CanvasManager {
   constructor() {
     this.canvases = new Map();
@@ -30,13 +36,21 @@ class CanvasManager {
   }
 
   /**
-   * Load image from various sources
+   * Load image from various sources.
+   * SVG buffers are rendered at options.width x options.height, or at their
+   * own size (width and height attributes, else the viewBox), scaled down
+   * to maxImageSize.
    */
-  async loadImage(source) {
+  async loadImage(source, options = {}) {
     try {
       let image;
       
-      if (Buffer.isBuffer(source)) {
+      if (Buffer.isBuffer(source) && this.isSVG(source)) {
+        const markup = source.toString('utf8');
+        const size = this.svgSize(markup);
+        const { width, height } = this.fitSize(options.width || size.width, options.height || size.height);
+        image = await loadImage(Buffer.from(this.resizeSVG(markup, width, height)));
+      } else if (Buffer.isBuffer(source)) {
         image = await loadImage(source);
       } else if (typeof source === 'string') {
         // URL or file path
@@ -74,6 +88,136 @@ class CanvasManager {
     return { canvasId, canvas, ctx, originalImage: image };
   }
 
+  /**
+   * Render an SVG document (buffer or markup) onto a new canvas.
+   * The size is options.width x options.height; with only one of them the
+   * other follows the aspect ratio, and with neither the SVG's own size is
+   * scaled by options.dpi (96 is 1:1). Sizes beyond maxImageSize are scaled
+   * down. options.background fills the canvas first (default transparent).
+   */
+  async rasterizeSVG(source, options = {}) {
+    const markup = Buffer.isBuffer(source) ? source.toString('utf8') : String(source);
+    const size = this.svgSize(markup);
+    const aspect = size.width / size.height;
+    const dpi = options.dpi || 96;
+
+    let width = options.width;
+    let height = options.height;
+    if (!width && !height) {
+      width = size.width * dpi / 96;
+      height = size.height * dpi / 96;
+    } else if (!height) {
+      height = width / aspect;
+    } else if (!width) {
+      width = height * aspect;
+    }
+
+    ({ width, height } = this.fitSize(width, height));
+
+    const image = await this.loadImage(Buffer.from(markup), { width, height });
+    const { canvasId, canvas, ctx } = this.createCanvas(width, height);
+
+    if (options.background && options.background !== 'transparent') {
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return { canvasId, canvas, ctx, width, height };
+  }
+
+  /**
+   * Scale a size down to fit maxImageSize, keeping the aspect ratio, and
+   * round it to whole pixels (at least 1)
+   */
+  fitSize(width, height) {
+    const maxSize = config.maxImageSize;
+    if (width > maxSize || height > maxSize) {
+      const ratio = Math.min(maxSize / width, maxSize / height);
+      width *= ratio;
+      height *= ratio;
+    }
+
+    return {
+      width: Math.max(1, Math.round(width)),
+      height: Math.max(1, Math.round(height))
+    };
+  }
+
+  /**
+   * Whether a buffer holds an SVG document rather than a raster image
+   */
+  isSVG(buffer) {
+    const head = buffer.subarray(0, 4096).toString('utf8').trimStart();
+    return head.startsWith('<') && /<svg[\s>]/i.test(head);
+  }
+
+  /**
+   * Size of an SVG document in CSS pixels, from the width and height of its
+   * root element or else its viewBox. Percentages count as missing.
+   */
+  svgSize(markup) {
+    const root = this.svgRoot(markup);
+    const attribute = (name) => {
+      const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+      return match ? match[1].trim() : null;
+    };
+    const length = (value) => {
+      const match = value && value.match(/^([\d.]+(?:e[-+]?\d+)?)\s*(px|pt|pc|mm|cm|in)?$/i);
+      return match ? parseFloat(match[1]) * SVG_UNITS[(match[2] || 'px').toLowerCase()] : null;
+    };
+
+    const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+    const box = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+      ? { width: viewBox[2], height: viewBox[3] }
+      : null;
+
+    let width = length(attribute('width'));
+    let height = length(attribute('height'));
+
+    if (!width && !height) {
+      return box || { ...DEFAULT_SVG_SIZE };
+    }
+    if (!width) {
+      width = box ? height * box.width / box.height : DEFAULT_SVG_SIZE.width;
+    }
+    if (!height) {
+      height = box ? width * box.height / box.width : DEFAULT_SVG_SIZE.height;
+    }
+
+    return { width, height };
+  }
+
+  /**
+   * Set the width and height of an SVG document's root element. A viewBox
+   * of the original size is added when missing, so the drawing scales with
+   * the new size instead of being cropped.
+   */
+  resizeSVG(markup, width, height) {
+    const root = this.svgRoot(markup);
+    const size = this.svgSize(markup);
+    let tag = root.replace(/\s(width|height)\s*=\s*("[^"]*"|'[^']*')/gi, '');
+
+    if (!/\sviewBox\s*=/i.test(tag)) {
+      tag = tag.replace(/^<svg/i, `<svg viewBox="0 0 ${size.width} ${size.height}"`);
+    }
+    tag = tag.replace(/^<svg/i, `<svg width="${width}" height="${height}"`);
+
+    // A replacer function keeps $ patterns in the attributes literal
+    return markup.replace(root, () => tag);
+  }
+
+  /**
+   * Opening tag of an SVG document's root element
+   */
+  svgRoot(markup) {
+    const match = markup.match(/<svg[\s>][^>]*>?/i);
+    if (!match) {
+      throw new Error('Invalid SVG: no <svg> element');
+    }
+    return match[0];
+  }
+
   /**
    * Get canvas by ID
    */
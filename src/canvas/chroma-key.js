@@ -0,0 +1,138 @@
+/**
+ * Chroma keying of RGBA pixels, shared by background removal on canvases
+ * and in worker threads.
+ *
+ * Pixels whose hue lies within hueTolerance of the key hue and whose
+ * saturation exceeds saturationMin are keyed out completely. Beyond that
+ * inner range transparency falls off linearly over hueFalloff degrees and
+ * saturationFalloff, so edges and motion blur blend instead of fringing.
+ * Despill removes the key color cast from the remaining pixels: the color
+ * is turned around the gray axis until the key hue is green, green is
+ * limited to the larger of red and blue (by despill strength), and the
+ * color is turned back.
+ */
+
+class ChromaKey {
+  /**
+   * Key RGBA data in place. Options: targetHue (degrees, default 120),
+   * hueTolerance (default 15), saturationMin (default 0.3), hueFalloff and
+   * saturationFalloff (default 0, a hard cut) and despill (strength 0-1,
+   * default 0).
+   */
+  static apply(data, options = {}) {
+    const {
+      targetHue = 120,
+      hueTolerance = 15,
+      saturationMin = 0.3,
+      hueFalloff = 0,
+      saturationFalloff = 0,
+      despill = 0
+    } = options;
+    const strength = Math.min(1, Math.max(0, despill));
+    const toGreen = strength > 0 ? this.hueRotation(120 - targetHue) : null;
+    const fromGreen = strength > 0 ? this.hueRotation(targetHue - 120) : null;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const { h, s } = this.rgbToHsl(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255);
+      const key = this.keyAmount(h * 360, s, { targetHue, hueTolerance, saturationMin, hueFalloff, saturationFalloff });
+
+      if (key > 0) {
+        data[i + 3] = Math.round(data[i + 3] * (1 - key));
+      }
+
+      if (strength > 0 && data[i + 3] > 0) {
+        this.despillPixel(data, i, strength, toGreen, fromGreen);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * How much of a pixel with hue h (degrees) and saturation s is key color:
+   * 1 inside the inner range, falling linearly to 0 at the outer range
+   */
+  static keyAmount(h, s, options) {
+    const { targetHue, hueTolerance, saturationMin, hueFalloff = 0, saturationFalloff = 0 } = options;
+    const hueDistance = Math.abs(((h - targetHue) % 360 + 540) % 360 - 180);
+
+    const ramp = (inside, outside, falloff) => {
+      if (inside) return 1;
+      if (falloff <= 0) return 0;
+      return Math.max(0, 1 - outside / falloff);
+    };
+
+    const hueKey = ramp(hueDistance < hueTolerance, hueDistance - hueTolerance, hueFalloff);
+    if (hueKey === 0) return 0;
+
+    return hueKey * ramp(s > saturationMin, saturationMin - s, saturationFalloff);
+  }
+
+  /**
+   * Limit green to the larger of red and blue in the rotated colors
+   */
+  static despillPixel(data, i, strength, toGreen, fromGreen) {
+    const [r, g, b] = this.rotate(toGreen, data[i], data[i + 1], data[i + 2]);
+    const spill = g - Math.max(r, b);
+    if (spill <= 0) return;
+
+    const despilled = this.rotate(fromGreen, r, g - strength * spill, b);
+    data[i] = despilled[0];
+    data[i + 1] = despilled[1];
+    data[i + 2] = despilled[2];
+  }
+
+  /**
+   * RGB matrix turning hues by degrees around the gray axis
+   */
+  static hueRotation(degrees) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle) / Math.sqrt(3);
+    const same = cos + (1 - cos) / 3;
+    const ahead = (1 - cos) / 3 + sin;
+    const behind = (1 - cos) / 3 - sin;
+
+    return [
+      same, behind, ahead,
+      ahead, same, behind,
+      behind, ahead, same
+    ];
+  }
+
+  static rotate(m, r, g, b) {
+    return [
+      m[0] * r + m[1] * g + m[2] * b,
+      m[3] * r + m[4] * g + m[5] * b,
+      m[6] * r + m[7] * g + m[8] * b
+    ];
+  }
+
+  /**
+   * RGB (0-1) to HSL (0-1)
+   */
+  static rgbToHsl(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    let h, s;
+    const l = (max + min) / 2;
+
+    if (max === min) {
+      h = s = 0;
+    } else {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+      switch (max) {
+        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / d + 2; break;
+        case b: h = (r - g) / d + 4; break;
+      }
+      h /= 6;
+    }
+
+    return { h, s, l };
+  }
+}
+
+module.exports = ChromaKey;
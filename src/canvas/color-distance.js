@@ -0,0 +1,185 @@
+/**
+ * Color distance metrics for background removal.
+ *
+ * Distances are measured in the units of their color space, so tolerances
+ * mean the same thing for every method using a space:
+ * - rgb: largest channel difference (0-255), or Euclidean RGB distance
+ * - cie76, ciede2000: Delta E in CIE Lab (about 2.3 is just noticeable)
+ * - hsv: distance in the HSV cone, with saturation and value scaled to 0-100
+ * - ycbcr: Euclidean distance of BT.601 YCbCr (0-255) with luma weighted by
+ *   YCBCR_LUMA_WEIGHT, so shading changes count less than hue changes
+ */
+
+const COLOR_SPACES = ['rgb', 'cie76', 'ciede2000', 'hsv', 'ycbcr'];
+
+const YCBCR_LUMA_WEIGHT = 0.5;
+
+// D65 reference white
+const WHITE = [0.95047, 1, 1.08883];
+
+// sRGB channel value to linear light
+const LINEAR = new Float64Array(256);
+for (let v = 0; v < 256; v++) {
+  const c = v / 255;
+  LINEAR[v] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+class ColorDistance {
+  /**
+   * Distance function (r, g, b) => distance to targetColor in colorSpace.
+   * In rgb space the distance is the largest channel difference, or the
+   * Euclidean distance with options.euclidean.
+   */
+  static metric(targetColor, colorSpace = 'rgb', options = {}) {
+    const [tr, tg, tb] = targetColor;
+
+    switch (colorSpace) {
+      case 'rgb':
+        return options.euclidean
+          ? (r, g, b) => Math.sqrt((r - tr) * (r - tr) + (g - tg) * (g - tg) + (b - tb) * (b - tb))
+          : (r, g, b) => Math.max(Math.abs(r - tr), Math.abs(g - tg), Math.abs(b - tb));
+      case 'cie76': {
+        const target = this.toLab(tr, tg, tb);
+        return (r, g, b) => {
+          const lab = this.toLab(r, g, b);
+          return Math.hypot(lab[0] - target[0], lab[1] - target[1], lab[2] - target[2]);
+        };
+      }
+      case 'ciede2000': {
+        const target = this.toLab(tr, tg, tb);
+        return (r, g, b) => this.ciede2000(target, this.toLab(r, g, b));
+      }
+      case 'hsv': {
+        const target = this.toHsvCone(tr, tg, tb);
+        return (r, g, b) => {
+          const point = this.toHsvCone(r, g, b);
+          return Math.hypot(point[0] - target[0], point[1] - target[1], point[2] - target[2]);
+        };
+      }
+      case 'ycbcr': {
+        const target = this.toYCbCr(tr, tg, tb);
+        return (r, g, b) => {
+          const ycc = this.toYCbCr(r, g, b);
+          return Math.hypot(YCBCR_LUMA_WEIGHT * (ycc[0] - target[0]), ycc[1] - target[1], ycc[2] - target[2]);
+        };
+      }
+      default:
+        throw new Error(`Unknown color space: ${colorSpace}. Use ${COLOR_SPACES.join(', ')}`);
+    }
+  }
+
+  /**
+   * sRGB (0-255) to CIE Lab under D65
+   */
+  static toLab(r, g, b) {
+    const lr = LINEAR[r | 0];
+    const lg = LINEAR[g | 0];
+    const lb = LINEAR[b | 0];
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+    const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE[0]);
+    const fy = f((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE[1]);
+    const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE[2]);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * CIEDE2000 color difference of two Lab colors (Sharma, Wu and Dalal)
+   */
+  static ciede2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => {
+      if (a === 0 && b === 0) return 0;
+      const h = Math.atan2(b, a) / rad;
+      return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanhp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) meanhp /= 2;
+      else meanhp = h1p + h2p < 360 ? (meanhp + 360) / 2 : (meanhp - 360) / 2;
+    }
+
+    const T = 1 - 0.17 * Math.cos((meanhp - 30) * rad) +
+      0.24 * Math.cos(2 * meanhp * rad) +
+      0.32 * Math.cos((3 * meanhp + 6) * rad) -
+      0.20 * Math.cos((4 * meanhp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+    const meanCp7 = Math.pow(meanCp, 7);
+    const Rc = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+    const Sl = 1 + 0.015 * Math.pow(meanLp - 50, 2) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+    const Sc = 1 + 0.045 * meanCp;
+    const Sh = 1 + 0.015 * meanCp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  }
+
+  /**
+   * sRGB (0-255) to a point in the HSV cone: hue as the angle, saturation
+   * times value as the radius and value as the height, all scaled to 0-100
+   */
+  static toHsvCone(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+    let h = 0;
+
+    if (d > 0) {
+      if (max === r) h = ((g - b) / d) % 6;
+      else if (max === g) h = (b - r) / d + 2;
+      else h = (r - g) / d + 4;
+    }
+
+    const angle = h * Math.PI / 3;
+    const radius = d / 255 * 100;
+    return [radius * Math.cos(angle), radius * Math.sin(angle), max / 255 * 100];
+  }
+
+  /**
+   * sRGB (0-255) to full range BT.601 YCbCr
+   */
+  static toYCbCr(r, g, b) {
+    return [
+      0.299 * r + 0.587 * g + 0.114 * b,
+      128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+      128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+    ];
+  }
+}
+
+ColorDistance.COLOR_SPACES = COLOR_SPACES;
+
+module.exports = ColorDistance;
@@ -0,0 +1,535 @@
+const GraphCut = require('./graph-cut');
+
+/**
+ * GrabCut foreground segmentation (Rother, Kolmogorov and Blake).
+ *
+ * Pixels outside a rectangle are background. Foreground and background are
+ * each modelled as a mixture of Gaussians in RGB; every iteration assigns
+ * the pixels inside the rectangle to the better model with a graph cut that
+ * also prefers cuts along color edges, and relearns both mixtures from the
+ * new segmentation. Scribble masks pin pixels to the foreground or the
+ * background.
+ */
+
+// Trimap labels
+const BACKGROUND = 0;
+const FOREGROUND = 1;
+const UNKNOWN = 2;
+
+// Gaussians per color model
+const COMPONENTS = 5;
+
+// Weight of edge smoothness against the color models, and the terminal
+// capacity pinning scribbled pixels (larger than any pixel's edge sum)
+const GAMMA = 50;
+const LAMBDA = 9 * GAMMA;
+
+// Upper bound on segmented pixels: larger images are segmented at a lower
+// resolution and the alpha mask is scaled back up
+const MAX_PIXELS = 200000;
+
+// Default rectangle inset, as a share of the image size
+const DEFAULT_MARGIN = 0.05;
+
+const KMEANS_ITERATIONS = 10;
+
+class GrabCut {
+  /**
+   * Soft alpha mask (0-255 per pixel) of the foreground of imageData.
+   * options.rect ({ x, y, width, height }) encloses the foreground, by
+   * default the image inset by 5%. options.foreground and
+   * options.background are optional masks (1 per scribbled pixel) of
+   * pixels known to be foreground or background; foreground wins where both
+   * are set. options.iterations defaults to 5.
+   */
+  static segment(imageData, options = {}) {
+    const { width, height } = imageData;
+    const iterations = options.iterations || 5;
+    const factor = Math.max(1, Math.ceil(Math.sqrt(width * height / MAX_PIXELS)));
+
+    const trimap = this.trimap(width, height, options, factor);
+    const pixels = this.downsample(imageData, factor);
+    const labels = this.cut(pixels, trimap.map, trimap.width, trimap.height, iterations);
+
+    const alpha = this.upsample(
+      this.feather(labels, trimap.width, trimap.height),
+      trimap.width,
+      trimap.height,
+      width,
+      height,
+      factor
+    );
+
+    // Keep the constraints sharp at full resolution
+    const fixed = factor === 1 ? trimap : this.trimap(width, height, options);
+    for (let p = 0; p < alpha.length; p++) {
+      if (fixed.map[p] === BACKGROUND) alpha[p] = 0;
+      else if (fixed.map[p] === FOREGROUND) alpha[p] = 255;
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Trimap of an image reduced by factor: background outside the
+   * rectangle, unknown inside it and the scribbled labels on top. A reduced
+   * pixel takes the label of any of its pixels, foreground before unknown
+   * before background.
+   */
+  static trimap(width, height, options, factor = 1) {
+    const mapWidth = Math.ceil(width / factor);
+    const mapHeight = Math.ceil(height / factor);
+    const map = new Uint8Array(mapWidth * mapHeight);
+    const rect = this.clipRect(options.rect, width, height);
+
+    const left = Math.floor(rect.x / factor);
+    const right = Math.ceil((rect.x + rect.width) / factor);
+    for (let y = Math.floor(rect.y / factor); y < Math.ceil((rect.y + rect.height) / factor); y++) {
+      map.fill(UNKNOWN, y * mapWidth + left, y * mapWidth + right);
+    }
+
+    const mark = (mask, label) => {
+      if (!mask) return;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (mask[y * width + x]) {
+            map[Math.floor(y / factor) * mapWidth + Math.floor(x / factor)] = label;
+          }
+        }
+      }
+    };
+    mark(options.background, BACKGROUND);
+    mark(options.foreground, FOREGROUND);
+
+    return { map, width: mapWidth, height: mapHeight };
+  }
+
+  /**
+   * Integer rectangle clipped to the image, by default the image inset by
+   * DEFAULT_MARGIN on every side
+   */
+  static clipRect(rect, width, height) {
+    if (!rect) {
+      const marginX = Math.max(1, Math.round(width * DEFAULT_MARGIN));
+      const marginY = Math.max(1, Math.round(height * DEFAULT_MARGIN));
+      rect = { x: marginX, y: marginY, width: width - 2 * marginX, height: height - 2 * marginY };
+    }
+
+    const x = Math.min(width, Math.max(0, Math.round(rect.x)));
+    const y = Math.min(height, Math.max(0, Math.round(rect.y)));
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(width, Math.round(rect.x + rect.width)) - x),
+      height: Math.max(0, Math.min(height, Math.round(rect.y + rect.height)) - y)
+    };
+  }
+
+  /**
+   * RGB of every factor x factor block as the block average, with
+   * transparent pixels counting as white
+   */
+  static downsample(imageData, factor) {
+    const { data, width, height } = imageData;
+    const smallWidth = Math.ceil(width / factor);
+    const smallHeight = Math.ceil(height / factor);
+    const sums = new Float64Array(smallWidth * smallHeight * 3);
+    const counts = new Float64Array(smallWidth * smallHeight);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const s = Math.floor(y / factor) * smallWidth + Math.floor(x / factor);
+        const alpha = data[i + 3] / 255;
+        for (let c = 0; c < 3; c++) {
+          sums[s * 3 + c] += data[i + c] * alpha + 255 * (1 - alpha);
+        }
+        counts[s]++;
+      }
+    }
+
+    for (let s = 0; s < counts.length; s++) {
+      for (let c = 0; c < 3; c++) {
+        sums[s * 3 + c] /= counts[s];
+      }
+    }
+
+    return sums;
+  }
+
+  /**
+   * Hard segmentation (1 for foreground) of RGB pixels with a trimap
+   */
+  static cut(pixels, map, width, height, iterations) {
+    const count = width * height;
+    const foreground = new Uint8Array(count);
+    let foregroundCount = 0;
+    for (let p = 0; p < count; p++) {
+      foreground[p] = map[p] === BACKGROUND ? 0 : 1;
+      foregroundCount += foreground[p];
+    }
+
+    if (foregroundCount === 0 || foregroundCount === count) {
+      throw new Error('GrabCut needs both foreground and background pixels: keep the rectangle inside the image or mark background');
+    }
+
+    const edges = this.edgeWeights(pixels, width, height);
+    const learnModels = (components) => [
+      this.learn(pixels, components, foreground, 0),
+      this.learn(pixels, components, foreground, 1)
+    ];
+    let models = learnModels(this.initComponents(pixels, foreground));
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      models = learnModels(this.assign(pixels, foreground, models));
+
+      const graph = new GraphCut(count, edges.count);
+      for (let p = 0; p < count; p++) {
+        if (map[p] === UNKNOWN) {
+          graph.addTerminal(
+            p,
+            -this.logLikelihood(models[0], pixels, p),
+            -this.logLikelihood(models[1], pixels, p)
+          );
+        } else if (map[p] === FOREGROUND) {
+          graph.addTerminal(p, LAMBDA, 0);
+        } else {
+          graph.addTerminal(p, 0, LAMBDA);
+        }
+      }
+      edges.forEach((p, q, weight) => graph.addEdge(p, q, weight, weight));
+      graph.maxflow();
+
+      for (let p = 0; p < count; p++) {
+        if (map[p] === UNKNOWN) {
+          foreground[p] = graph.isSource(p) ? 1 : 0;
+        }
+      }
+    }
+
+    return foreground;
+  }
+
+  /**
+   * Smoothness weights of the 8-connected pixel grid: GAMMA over the
+   * distance, falling with the squared color difference scaled by its mean
+   */
+  static edgeWeights(pixels, width, height) {
+    // Left, up-left, up and up-right neighbors
+    const directions = [[-1, 0], [-1, -1], [0, -1], [1, -1]];
+    const count = (width - 1) * height + 2 * (width - 1) * (height - 1) + width * (height - 1);
+    const pairs = new Float64Array(count * 4);
+    let e = 0;
+    let total = 0;
+
+    for (const [dx, dy] of directions) {
+      for (let y = -dy; y < height; y++) {
+        for (let x = Math.max(0, -dx); x < width - Math.max(0, dx); x++) {
+          const p = y * width + x;
+          const q = (y + dy) * width + x + dx;
+          const difference = this.squaredDistance(pixels, p, q);
+          pairs.set([p, q, difference, dx !== 0 && dy !== 0 ? Math.SQRT1_2 : 1], e);
+          e += 4;
+          total += difference;
+        }
+      }
+    }
+
+    const beta = total > 0 ? count / (2 * total) : 0;
+
+    return {
+      count,
+      forEach(callback) {
+        for (let e = 0; e < pairs.length; e += 4) {
+          callback(pairs[e], pairs[e + 1], GAMMA * pairs[e + 3] * Math.exp(-beta * pairs[e + 2]));
+        }
+      }
+    };
+  }
+
+  /**
+   * Initial mixture component of every pixel: k-means within the
+   * foreground and within the background, seeded by brightness quantiles
+   */
+  static initComponents(pixels, foreground) {
+    const count = foreground.length;
+    const components = new Int8Array(count);
+
+    for (const side of [0, 1]) {
+      const histogram = new Float64Array(256);
+      let total = 0;
+      for (let p = 0; p < count; p++) {
+        if (foreground[p] !== side) continue;
+        histogram[this.brightness(pixels, p)]++;
+        total++;
+      }
+
+      // Cluster of every brightness level by its median rank
+      const quantile = new Int8Array(256);
+      let below = 0;
+      for (let level = 0; level < 256; level++) {
+        quantile[level] = Math.min(COMPONENTS - 1, Math.floor((below + histogram[level] / 2) / total * COMPONENTS));
+        below += histogram[level];
+      }
+      for (let p = 0; p < count; p++) {
+        if (foreground[p] === side) components[p] = quantile[this.brightness(pixels, p)];
+      }
+
+      const centers = new Float64Array(COMPONENTS * 3);
+      for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sizes = new Float64Array(COMPONENTS);
+        centers.fill(0);
+        for (let p = 0; p < count; p++) {
+          if (foreground[p] !== side) continue;
+          const k = components[p];
+          sizes[k]++;
+          for (let c = 0; c < 3; c++) centers[k * 3 + c] += pixels[p * 3 + c];
+        }
+        for (let k = 0; k < COMPONENTS; k++) {
+          for (let c = 0; c < 3; c++) {
+            centers[k * 3 + c] = sizes[k] > 0 ? centers[k * 3 + c] / sizes[k] : Infinity;
+          }
+        }
+
+        let changed = false;
+        for (let p = 0; p < count; p++) {
+          if (foreground[p] !== side) continue;
+          let best = components[p];
+          let bestDistance = Infinity;
+          for (let k = 0; k < COMPONENTS; k++) {
+            const distance = this.squaredDistance(pixels, p, k, centers);
+            if (distance < bestDistance) {
+              best = k;
+              bestDistance = distance;
+            }
+          }
+          if (best !== components[p]) {
+            components[p] = best;
+            changed = true;
+          }
+        }
+        if (!changed) break;
+      }
+    }
+
+    return components;
+  }
+
+  /**
+   * Gaussian mixture of the pixels on one side (0 background, 1
+   * foreground), one Gaussian per component. Returns per component the
+   * mean, the inverse covariance and the log of weight over the square root
+   * of the covariance determinant; empty components get no weight.
+   */
+  static learn(pixels, components, foreground, side) {
+    const sizes = new Float64Array(COMPONENTS);
+    const sums = new Float64Array(COMPONENTS * 3);
+    const products = new Float64Array(COMPONENTS * 9);
+    let total = 0;
+
+    for (let p = 0; p < foreground.length; p++) {
+      if (foreground[p] !== side) continue;
+      const k = components[p];
+      sizes[k]++;
+      total++;
+      for (let c = 0; c < 3; c++) {
+        const value = pixels[p * 3 + c];
+        sums[k * 3 + c] += value;
+        for (let d = 0; d < 3; d++) {
+          products[k * 9 + c * 3 + d] += value * pixels[p * 3 + d];
+        }
+      }
+    }
+
+    const means = new Float64Array(COMPONENTS * 3);
+    const inverses = new Float64Array(COMPONENTS * 9);
+    const logWeights = new Float64Array(COMPONENTS).fill(-Infinity);
+
+    for (let k = 0; k < COMPONENTS; k++) {
+      if (sizes[k] === 0) continue;
+
+      const mean = [0, 1, 2].map(c => sums[k * 3 + c] / sizes[k]);
+      const covariance = [];
+      for (let c = 0; c < 3; c++) {
+        for (let d = 0; d < 3; d++) {
+          covariance.push(products[k * 9 + c * 3 + d] / sizes[k] - mean[c] * mean[d]);
+        }
+      }
+
+      let determinant = this.determinant(covariance);
+      if (determinant <= Number.EPSILON) {
+        // Flat colors: add a little variance to keep the Gaussian proper
+        covariance[0] += 0.01;
+        covariance[4] += 0.01;
+        covariance[8] += 0.01;
+        determinant = this.determinant(covariance);
+      }
+
+      means.set(mean, k * 3);
+      inverses.set(this.invert(covariance, determinant), k * 9);
+      logWeights[k] = Math.log(sizes[k] / total) - 0.5 * Math.log(determinant);
+    }
+
+    return { means, inverses, logWeights };
+  }
+
+  /**
+   * Most likely component of every pixel in the model of its side
+   */
+  static assign(pixels, foreground, models) {
+    const components = new Int8Array(foreground.length);
+
+    for (let p = 0; p < foreground.length; p++) {
+      const model = models[foreground[p]];
+      let best = 0;
+      let bestLog = -Infinity;
+      for (let k = 0; k < COMPONENTS; k++) {
+        const log = this.componentLog(model, k, pixels, p);
+        if (log > bestLog) {
+          best = k;
+          bestLog = log;
+        }
+      }
+      components[p] = best;
+    }
+
+    return components;
+  }
+
+  /**
+   * Log likelihood of pixel p under a mixture, up to a constant shared by
+   * all mixtures
+   */
+  static logLikelihood(model, pixels, p) {
+    const logs = [];
+    let max = -Infinity;
+    for (let k = 0; k < COMPONENTS; k++) {
+      const log = this.componentLog(model, k, pixels, p);
+      logs.push(log);
+      max = Math.max(max, log);
+    }
+
+    if (max === -Infinity) {
+      return -Infinity;
+    }
+
+    let sum = 0;
+    for (const log of logs) sum += Math.exp(log - max);
+    return max + Math.log(sum);
+  }
+
+  /**
+   * Weighted log density of component k of a mixture at pixel p
+   */
+  static componentLog(model, k, pixels, p) {
+    const { means, inverses, logWeights } = model;
+    if (logWeights[k] === -Infinity) {
+      return -Infinity;
+    }
+
+    const d0 = pixels[p * 3] - means[k * 3];
+    const d1 = pixels[p * 3 + 1] - means[k * 3 + 1];
+    const d2 = pixels[p * 3 + 2] - means[k * 3 + 2];
+    const m = inverses.subarray(k * 9, k * 9 + 9);
+    const mahalanobis =
+      d0 * (d0 * m[0] + d1 * m[3] + d2 * m[6]) +
+      d1 * (d0 * m[1] + d1 * m[4] + d2 * m[7]) +
+      d2 * (d0 * m[2] + d1 * m[5] + d2 * m[8]);
+
+    return logWeights[k] - 0.5 * mahalanobis;
+  }
+
+  /**
+   * Squared RGB distance of pixel p to pixel q, or to center q of centers
+   */
+  static squaredDistance(pixels, p, q, centers = pixels) {
+    let sum = 0;
+    for (let c = 0; c < 3; c++) {
+      const difference = pixels[p * 3 + c] - centers[q * 3 + c];
+      sum += difference * difference;
+    }
+    return sum;
+  }
+
+  /**
+   * Rounded luma of pixel p
+   */
+  static brightness(pixels, p) {
+    return Math.round(0.299 * pixels[p * 3] + 0.587 * pixels[p * 3 + 1] + 0.114 * pixels[p * 3 + 2]);
+  }
+
+  static determinant(m) {
+    return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+      m[1] * (m[3] * m[8] - m[5] * m[6]) +
+      m[2] * (m[3] * m[7] - m[4] * m[6]);
+  }
+
+  static invert(m, determinant) {
+    return [
+      (m[4] * m[8] - m[5] * m[7]) / determinant,
+      (m[2] * m[7] - m[1] * m[8]) / determinant,
+      (m[1] * m[5] - m[2] * m[4]) / determinant,
+      (m[5] * m[6] - m[3] * m[8]) / determinant,
+      (m[0] * m[8] - m[2] * m[6]) / determinant,
+      (m[2] * m[3] - m[0] * m[5]) / determinant,
+      (m[3] * m[7] - m[4] * m[6]) / determinant,
+      (m[1] * m[6] - m[0] * m[7]) / determinant,
+      (m[0] * m[4] - m[1] * m[3]) / determinant
+    ];
+  }
+
+  /**
+   * Soften the cut edge: 3x3 mean of the hard labels
+   */
+  static feather(labels, width, height) {
+    const soft = new Float32Array(labels.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            sum += labels[ny * width + nx];
+            count++;
+          }
+        }
+        soft[y * width + x] = sum / count;
+      }
+    }
+
+    return soft;
+  }
+
+  /**
+   * Bilinear scaling of a 0-1 mask by factor into 0-255 alpha values
+   */
+  static upsample(mask, maskWidth, maskHeight, width, height, factor) {
+    const alpha = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const sy = Math.min(maskHeight - 1, Math.max(0, (y + 0.5) / factor - 0.5));
+      const y0 = Math.floor(sy);
+      const y1 = Math.min(maskHeight - 1, y0 + 1);
+      const fy = sy - y0;
+
+      for (let x = 0; x < width; x++) {
+        const sx = Math.min(maskWidth - 1, Math.max(0, (x + 0.5) / factor - 0.5));
+        const x0 = Math.floor(sx);
+        const x1 = Math.min(maskWidth - 1, x0 + 1);
+        const fx = sx - x0;
+
+        const top = mask[y0 * maskWidth + x0] * (1 - fx) + mask[y0 * maskWidth + x1] * fx;
+        const bottom = mask[y1 * maskWidth + x0] * (1 - fx) + mask[y1 * maskWidth + x1] * fx;
+        alpha[y * width + x] = Math.round((top * (1 - fy) + bottom * fy) * 255);
+      }
+    }
+
+    return alpha;
+  }
+}
+
+module.exports = GrabCut;
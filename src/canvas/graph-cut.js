@@ -0,0 +1,282 @@
+/**
+ * Minimum s-t cut of a graph with terminal and pairwise edges, using the
+ * Boykov-Kolmogorov max-flow algorithm: search trees grown from the source
+ * and the sink are reused between augmentations, which is fast on the
+ * sparse grid graphs of image segmentation.
+ */
+
+const SOURCE = 1;
+const SINK = 2;
+
+// Parent arc markers of nodes outside the trees, next to a terminal and
+// cut off from their tree
+const FREE = -1;
+const TERMINAL = -2;
+const ORPHAN = -3;
+
+class GraphCut {
+  /**
+   * Graph of nodeCount nodes with room for edgeCount pairwise edges
+   */
+  constructor(nodeCount, edgeCount) {
+    this.nodeCount = nodeCount;
+    this.first = new Int32Array(nodeCount).fill(-1);
+    // Residual terminal capacity: positive from the source, negative to the sink
+    this.terminal = new Float64Array(nodeCount);
+    // Arcs come in pairs, arc ^ 1 being the reverse arc
+    this.head = new Int32Array(2 * edgeCount);
+    this.next = new Int32Array(2 * edgeCount);
+    this.capacity = new Float64Array(2 * edgeCount);
+    this.arcCount = 0;
+    this.flow = 0;
+    this.tree = new Uint8Array(nodeCount);
+    this.parent = new Int32Array(nodeCount).fill(FREE);
+  }
+
+  /**
+   * Add an edge between nodes i and j with a capacity in each direction
+   */
+  addEdge(i, j, capacity, reverseCapacity) {
+    const a = this.arcCount;
+    this.head[a] = j;
+    this.next[a] = this.first[i];
+    this.first[i] = a;
+    this.capacity[a] = capacity;
+
+    this.head[a + 1] = i;
+    this.next[a + 1] = this.first[j];
+    this.first[j] = a + 1;
+    this.capacity[a + 1] = reverseCapacity;
+
+    this.arcCount += 2;
+  }
+
+  /**
+   * Add capacities from the source to node i and from node i to the sink.
+   * Only their difference needs an arc, the common part is flow already.
+   */
+  addTerminal(i, source, sink) {
+    const residual = this.terminal[i];
+    if (residual > 0) source += residual;
+    else sink -= residual;
+
+    this.flow += Math.min(source, sink);
+    this.terminal[i] = source - sink;
+  }
+
+  /**
+   * Compute the maximum flow, which equals the cost of the minimum cut
+   */
+  maxflow() {
+    const { nodeCount, first, next, head, capacity, terminal, tree, parent } = this;
+    const time = new Int32Array(nodeCount);
+    const dist = new Int32Array(nodeCount);
+    const inQueue = new Uint8Array(nodeCount);
+    const queue = [];
+    let queueStart = 0;
+    const orphans = [];
+    let clock = 0;
+
+    const activate = (i) => {
+      if (!inQueue[i]) {
+        inQueue[i] = 1;
+        queue.push(i);
+      }
+    };
+
+    const nextActive = () => {
+      while (queueStart < queue.length) {
+        const i = queue[queueStart++];
+        inQueue[i] = 0;
+        if (parent[i] !== FREE) return i;
+      }
+      queue.length = 0;
+      queueStart = 0;
+      return -1;
+    };
+
+    for (let i = 0; i < nodeCount; i++) {
+      tree[i] = 0;
+      parent[i] = FREE;
+      if (terminal[i] !== 0) {
+        tree[i] = terminal[i] > 0 ? SOURCE : SINK;
+        parent[i] = TERMINAL;
+        dist[i] = 1;
+        activate(i);
+      }
+    }
+
+    const orphan = (i) => {
+      parent[i] = ORPHAN;
+      orphans.push(i);
+    };
+
+    // Push the bottleneck flow along the path through arc a, from the source
+    // tree node at its tail to the sink tree node at its head
+    const augment = (a) => {
+      let bottleneck = capacity[a];
+
+      let i = head[a ^ 1];
+      while (parent[i] !== TERMINAL) {
+        bottleneck = Math.min(bottleneck, capacity[parent[i] ^ 1]);
+        i = head[parent[i]];
+      }
+      bottleneck = Math.min(bottleneck, terminal[i]);
+
+      i = head[a];
+      while (parent[i] !== TERMINAL) {
+        bottleneck = Math.min(bottleneck, capacity[parent[i]]);
+        i = head[parent[i]];
+      }
+      bottleneck = Math.min(bottleneck, -terminal[i]);
+
+      capacity[a] -= bottleneck;
+      capacity[a ^ 1] += bottleneck;
+
+      i = head[a ^ 1];
+      while (parent[i] !== TERMINAL) {
+        const arc = parent[i];
+        capacity[arc] += bottleneck;
+        capacity[arc ^ 1] -= bottleneck;
+        const up = head[arc];
+        if (capacity[arc ^ 1] <= 0) orphan(i);
+        i = up;
+      }
+      terminal[i] -= bottleneck;
+      if (terminal[i] <= 0) orphan(i);
+
+      i = head[a];
+      while (parent[i] !== TERMINAL) {
+        const arc = parent[i];
+        capacity[arc ^ 1] += bottleneck;
+        capacity[arc] -= bottleneck;
+        const up = head[arc];
+        if (capacity[arc] <= 0) orphan(i);
+        i = up;
+      }
+      terminal[i] += bottleneck;
+      if (terminal[i] >= 0) orphan(i);
+
+      this.flow += bottleneck;
+    };
+
+    // Find a new parent for an orphan in its own tree, preferring the one
+    // closest to the terminal, or free it
+    const adopt = (i) => {
+      const side = tree[i];
+      let bestArc = -1;
+      let bestDist = Infinity;
+
+      for (let a = first[i]; a !== -1; a = next[a]) {
+        const residual = side === SOURCE ? capacity[a ^ 1] : capacity[a];
+        let j = head[a];
+        if (residual <= 0 || tree[j] !== side || parent[j] === FREE) continue;
+
+        // Distance of j to its terminal, or Infinity when j hangs off an orphan
+        let d = 0;
+        for (;;) {
+          if (time[j] === clock) {
+            d += dist[j];
+            break;
+          }
+          const arc = parent[j];
+          d++;
+          if (arc === TERMINAL) {
+            time[j] = clock;
+            dist[j] = 1;
+            break;
+          }
+          if (arc === ORPHAN) {
+            d = Infinity;
+            break;
+          }
+          j = head[arc];
+        }
+
+        if (d === Infinity) continue;
+        if (d < bestDist) {
+          bestArc = a;
+          bestDist = d;
+        }
+        for (j = head[a]; time[j] !== clock; j = head[parent[j]]) {
+          time[j] = clock;
+          dist[j] = d--;
+        }
+      }
+
+      if (bestArc !== -1) {
+        parent[i] = bestArc;
+        time[i] = clock;
+        dist[i] = bestDist + 1;
+        return;
+      }
+
+      for (let a = first[i]; a !== -1; a = next[a]) {
+        const j = head[a];
+        if (tree[j] !== side || parent[j] === FREE) continue;
+
+        const residual = side === SOURCE ? capacity[a ^ 1] : capacity[a];
+        if (residual > 0) activate(j);
+        if (parent[j] !== TERMINAL && parent[j] !== ORPHAN && head[parent[j]] === i) orphan(j);
+      }
+      parent[i] = FREE;
+    };
+
+    let current = -1;
+    for (;;) {
+      let i = current;
+      if (i === -1 || parent[i] === FREE) {
+        i = nextActive();
+        if (i === -1) break;
+      }
+
+      // Grow the tree of i until it touches the other tree
+      let joinArc = -1;
+      for (let a = first[i]; a !== -1; a = next[a]) {
+        const residual = tree[i] === SOURCE ? capacity[a] : capacity[a ^ 1];
+        if (residual <= 0) continue;
+
+        const j = head[a];
+        if (parent[j] === FREE) {
+          tree[j] = tree[i];
+          parent[j] = a ^ 1;
+          time[j] = time[i];
+          dist[j] = dist[i] + 1;
+          activate(j);
+        } else if (tree[j] !== tree[i]) {
+          joinArc = tree[i] === SOURCE ? a : a ^ 1;
+          break;
+        } else if (time[j] <= time[i] && dist[j] > dist[i]) {
+          // Shorten the path to the terminal
+          parent[j] = a ^ 1;
+          time[j] = time[i];
+          dist[j] = dist[i] + 1;
+        }
+      }
+
+      clock++;
+      if (joinArc === -1) {
+        current = -1;
+        continue;
+      }
+
+      current = i;
+      augment(joinArc);
+      while (orphans.length > 0) {
+        adopt(orphans.pop());
+      }
+    }
+
+    return this.flow;
+  }
+
+  /**
+   * Whether node i is on the source side of the minimum cut. Nodes reached
+   * by neither tree are counted to the source.
+   */
+  isSource(i) {
+    return this.parent[i] === FREE || this.tree[i] === SOURCE;
+  }
+}
+
+module.exports = GraphCut;
@@ -0,0 +1,266 @@
+/**
+ * Morphological clean-up of alpha masks (0-255 per pixel) after background
+ * removal. Speckles and pinholes are removed by their size or by opening
+ * and closing, edges are moved by erosion and dilation, and feathering
+ * softens them.
+ */
+
+// Options in the order they are applied
+const OPERATIONS = ['removeIslands', 'fillHoles', 'open', 'close', 'erode', 'dilate', 'feather'];
+
+// Options measured in pixels of area rather than radius
+const AREA_OPERATIONS = ['removeIslands', 'fillHoles'];
+
+// Largest radius of the structuring disc and the feather
+const MAX_RADIUS = 20;
+
+class MaskProcessing {
+  /**
+   * Post-process alpha in place and return it. Options: removeIslands and
+   * fillHoles remove visible islands and enclosed holes smaller than that
+   * many pixels, open, close, erode and dilate use a disc of that radius,
+   * and feather softens edges inwards over that radius. Operations run in
+   * that order; 0 skips one.
+   */
+  static process(alpha, width, height, options = {}) {
+    const {
+      removeIslands = 0,
+      fillHoles = 0,
+      open = 0,
+      close = 0,
+      erode = 0,
+      dilate = 0,
+      feather = 0
+    } = options;
+    let result = alpha;
+
+    if (removeIslands > 0) {
+      this.removeIslands(result, width, height, removeIslands);
+    }
+    if (fillHoles > 0) {
+      this.fillHoles(result, width, height, fillHoles);
+    }
+    if (open > 0) {
+      result = this.dilate(this.erode(result, width, height, open), width, height, open);
+    }
+    if (close > 0) {
+      result = this.erode(this.dilate(result, width, height, close), width, height, close);
+    }
+    if (erode > 0) {
+      result = this.erode(result, width, height, erode);
+    }
+    if (dilate > 0) {
+      result = this.dilate(result, width, height, dilate);
+    }
+    if (feather > 0) {
+      result = this.feather(result, width, height, feather);
+    }
+
+    if (result !== alpha) {
+      alpha.set(result);
+    }
+    return alpha;
+  }
+
+  /**
+   * Whether options is an object of known operations with non-negative
+   * integer values, radii at most MAX_RADIUS
+   */
+  static isValid(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return false;
+    }
+
+    return Object.entries(options).every(([operation, value]) =>
+      OPERATIONS.includes(operation) &&
+      Number.isInteger(value) &&
+      value >= 0 &&
+      (AREA_OPERATIONS.includes(operation) || value <= MAX_RADIUS)
+    );
+  }
+
+  /**
+   * Whether options request any operation
+   */
+  static isEmpty(options) {
+    return !OPERATIONS.some(operation => options[operation] > 0);
+  }
+
+  /**
+   * Make visible 4-connected regions (alpha above 0) smaller than minSize
+   * pixels transparent
+   */
+  static removeIslands(alpha, width, height, minSize) {
+    const visible = (p) => alpha[p] > 0;
+    this.regions(width, height, visible, (pixels) => {
+      if (pixels.length < minSize) {
+        pixels.forEach(p => { alpha[p] = 0; });
+      }
+    });
+  }
+
+  /**
+   * Make 4-connected regions that are not fully opaque, do not touch the
+   * image border and are smaller than maxSize pixels opaque
+   */
+  static fillHoles(alpha, width, height, maxSize) {
+    const translucent = (p) => alpha[p] < 255;
+    this.regions(width, height, translucent, (pixels, touchesBorder) => {
+      if (!touchesBorder && pixels.length < maxSize) {
+        pixels.forEach(p => { alpha[p] = 255; });
+      }
+    });
+  }
+
+  /**
+   * Call visit with the pixels of every 4-connected region of pixels
+   * passing member, and whether the region touches the image border
+   */
+  static regions(width, height, member, visit) {
+    const seen = new Uint8Array(width * height);
+    // Regions are disjoint, so their pixels share one array
+    const pixels = new Int32Array(width * height);
+    let count = 0;
+    const stack = [];
+
+    for (let start = 0; start < seen.length; start++) {
+      if (seen[start] || !member(start)) continue;
+
+      const first = count;
+      let touchesBorder = false;
+      seen[start] = 1;
+      stack.push(start);
+      while (stack.length > 0) {
+        const p = stack.pop();
+        pixels[count++] = p;
+        const x = p % width;
+        const y = (p - x) / width;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+          touchesBorder = true;
+        }
+        for (const q of [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width]) {
+          if (q >= 0 && q < seen.length && !seen[q] && member(q)) {
+            seen[q] = 1;
+            stack.push(q);
+          }
+        }
+      }
+
+      visit(pixels.subarray(first, count), touchesBorder);
+    }
+  }
+
+  /**
+   * Gray-level erosion (minimum over a disc)
+   */
+  static erode(alpha, width, height, radius) {
+    return this.discExtremum(alpha, width, height, radius, false);
+  }
+
+  /**
+   * Gray-level dilation (maximum over a disc)
+   */
+  static dilate(alpha, width, height, radius) {
+    return this.discExtremum(alpha, width, height, radius, true);
+  }
+
+  /**
+   * Minimum or maximum of alpha over a disc around every pixel, ignoring
+   * pixels outside the image. The disc is split into rows: row extremes
+   * for every half width are grown one pixel at a time, so the cost is
+   * linear in the radius.
+   */
+  static discExtremum(alpha, width, height, radius, maximum) {
+    const better = maximum ? (a, b) => a > b : (a, b) => a < b;
+    const rows = [alpha];
+
+    for (let half = 1; half <= radius; half++) {
+      const previous = rows[half - 1];
+      const row = new Uint8ClampedArray(alpha.length);
+      for (let y = 0; y < height; y++) {
+        const start = y * width;
+        for (let x = 0; x < width; x++) {
+          let value = previous[start + x];
+          if (x >= half && better(alpha[start + x - half], value)) value = alpha[start + x - half];
+          if (x + half < width && better(alpha[start + x + half], value)) value = alpha[start + x + half];
+          row[start + x] = value;
+        }
+      }
+      rows.push(row);
+    }
+
+    const halfWidths = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      halfWidths.push(Math.floor(Math.sqrt(radius * radius - dy * dy)));
+    }
+
+    const result = new Uint8ClampedArray(alpha.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = alpha[y * width + x];
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          const candidate = rows[halfWidths[dy + radius]][ny * width + x];
+          if (better(candidate, value)) value = candidate;
+        }
+        result[y * width + x] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Soften edges inwards: alpha is limited to its box blur of the given
+   * radius, so pixels outside the mask, which keep the removed background
+   * colors, stay transparent
+   */
+  static feather(alpha, width, height, radius) {
+    const blurred = this.boxBlur(alpha, width, height, radius);
+    const result = new Uint8ClampedArray(alpha.length);
+    for (let p = 0; p < alpha.length; p++) {
+      result[p] = Math.min(alpha[p], blurred[p]);
+    }
+    return result;
+  }
+
+  /**
+   * Separable box blur with running sums, clamping at the border
+   */
+  static boxBlur(values, width, height, radius) {
+    const size = 2 * radius + 1;
+    const horizontal = new Float32Array(values.length);
+    const result = new Float32Array(values.length);
+
+    for (let y = 0; y < height; y++) {
+      const start = y * width;
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += values[start + Math.min(width - 1, Math.max(0, k))];
+      }
+      for (let x = 0; x < width; x++) {
+        horizontal[start + x] = sum / size;
+        sum += values[start + Math.min(width - 1, x + radius + 1)] - values[start + Math.max(0, x - radius)];
+      }
+    }
+
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += horizontal[Math.min(height - 1, Math.max(0, k)) * width + x];
+      }
+      for (let y = 0; y < height; y++) {
+        result[y * width + x] = sum / size;
+        sum += horizontal[Math.min(height - 1, y + radius + 1) * width + x] - horizontal[Math.max(0, y - radius) * width + x];
+      }
+    }
+
+    return result;
+  }
+}
+
+MaskProcessing.OPERATIONS = OPERATIONS;
+MaskProcessing.MAX_RADIUS = MAX_RADIUS;
+
+module.exports = MaskProcessing;
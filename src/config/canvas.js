@@ -16,11 +16,23 @@ module.exports = {
   // Processing Options
   processing: {
     useAntiAliasing: true,
-    useFeathering: true,
+    useFeathering: true, // feather option of background removal postProcess
     enableBatch: true,
     maxBatchSize: 10
   },
   
+  // Tiled Tracing (full resolution vectorization beyond maxImageSize)
+  tiling: {
+    tileSize: 1024,
+    minTileSize: 64
+  },
+  
+  // Worker Threads (enabled with USE_WORKER_THREADS=true)
+  workers: {
+    poolSize: 2,
+    taskTimeout: 60000 // 60 seconds, overridden by WORKER_TASK_TIMEOUT
+  },
+  
   // Memory Management
   memory: {
     enableCleanup: true,
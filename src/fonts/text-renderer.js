@@ -276,9 +276,9 @@ class TextRenderer {
       };
 
       const finalOptions = { ...defaultVectorizeOptions, ...vectorizeOptions };
-      const svg = await Vectorizer.vectorizeCanvas(canvasId, finalOptions);
+      const { svg, threshold } = await Vectorizer.traceSVG(canvasId, finalOptions);
       
-      return { canvasId, canvas, svg };
+      return { canvasId, canvas, svg, threshold };
     } catch (error) {
       canvasManager.cleanup(canvasId);
       throw error;
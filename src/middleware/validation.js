@@ -1,4 +1,9 @@
 const { body, query, param, validationResult } = require('express-validator');
+const ContourTracer = require('../vectorization/contour-tracer');
+const ColorDistance = require('../canvas/color-distance');
+const MaskProcessing = require('../canvas/mask-processing');
+const Thresholder = require('../vectorization/thresholder');
+const ColorQuantizer = require('../vectorization/color-quantizer');
 
 /**
  * Validation middleware for API endpoints
@@ -15,35 +20,99 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Background removal validation
-const backgroundRemovalValidation = [
+// Refinement, post-processing and output of background removal results
+const removalResultValidation = [
+  body('refine')
+    .optional()
+    .isIn(['none', 'matting'])
+    .withMessage('Refine must be none or matting'),
+
+  body('refineRadius')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Refine radius must be between 1 and 50'),
+
+  body('postProcess')
+    .optional({ values: 'falsy' })
+    .custom((value) => {
+      try {
+        return MaskProcessing.isValid(typeof value === 'string' ? JSON.parse(value) : value);
+      } catch (error) {
+        return false;
+      }
+    })
+    .withMessage(`Post-processing must be a JSON object of ${MaskProcessing.OPERATIONS.join(', ')} with radii up to ${MaskProcessing.MAX_RADIUS}`),
+
+  body('outputFormat')
+    .optional()
+    .isIn(['png', 'jpeg', 'jpg', 'webp', 'mask'])
+    .withMessage('Invalid output format')
+];
+
+// Target color and tolerance of color matching background removal
+const targetColorValidation = [
   body('targetColor')
     .optional()
     .custom((value) => {
+      if (value === 'auto') {
+        return true;
+      }
       if (typeof value === 'string' && value.startsWith('#')) {
         return /^#[0-9A-Fa-f]{6}$/.test(value);
       }
-      if (Array.isArray(value)) {
-        return value.length === 3 && value.every(v => Number.isInteger(v) && v >= 0 && v <= 255);
+      let color = value;
+      if (typeof value === 'string') {
+        try {
+          color = JSON.parse(value);
+        } catch (error) {
+          return false;
+        }
       }
-      return false;
+      return Array.isArray(color) && color.length === 3 &&
+        color.every(v => Number.isInteger(v) && v >= 0 && v <= 255);
     })
-    .withMessage('Target color must be a valid hex color or RGB array'),
+    .withMessage('Target color must be a valid hex color, RGB array or auto'),
   
   body('tolerance')
     .optional()
     .isInt({ min: 0, max: 100 })
-    .withMessage('Tolerance must be between 0 and 100'),
+    .withMessage('Tolerance must be between 0 and 100')
+];
+
+// Background removal validation
+const backgroundRemovalValidation = [
+  ...targetColorValidation,
   
   body('method')
     .optional()
-    .isIn(['color', 'fuzzy', 'chroma-key', 'flood-fill', 'edge-preserving'])
+    .isIn(['color', 'fuzzy', 'chroma-key', 'flood-fill', 'edge-preserving', 'edge-detection', 'grabcut'])
     .withMessage('Invalid background removal method'),
-  
-  body('outputFormat')
+
+  body('rect')
+    .optional({ values: 'falsy' })
+    .custom((value) => {
+      const values = typeof value === 'string' ? value.replace(/[[\]\s]/g, '').split(',') : value;
+      return Array.isArray(values) && values.length === 4 &&
+        values.every(v => Number.isFinite(Number(v))) && Number(values[2]) > 0 && Number(values[3]) > 0;
+    })
+    .withMessage('Rect must be x,y,width,height with a positive width and height'),
+
+  body('iterations')
     .optional()
-    .isIn(['png', 'jpeg', 'jpg', 'webp'])
-    .withMessage('Invalid output format'),
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Iterations must be between 1 and 10'),
+
+  body('maskMode')
+    .optional()
+    .isIn(['apply', 'constrain'])
+    .withMessage('Mask mode must be apply or constrain'),
+
+  body('colorSpace')
+    .optional()
+    .isIn(ColorDistance.COLOR_SPACES)
+    .withMessage(`Color space must be one of ${ColorDistance.COLOR_SPACES.join(', ')}`),
+
+  ...removalResultValidation,
   
   handleValidationErrors
 ];
@@ -64,10 +133,223 @@ const chromaKeyValidation = [
     .optional()
     .isFloat({ min: 0, max: 1 })
     .withMessage('Minimum saturation must be between 0 and 1'),
+
+  body('hueFalloff')
+    .optional()
+    .isFloat({ min: 0, max: 180 })
+    .withMessage('Hue falloff must be between 0 and 180'),
+
+  body('saturationFalloff')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Saturation falloff must be between 0 and 1'),
+
+  body('despill')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Despill strength must be between 0 and 1'),
+
+  ...removalResultValidation,
   
   handleValidationErrors
 ];
 
+// Vectorization validation
+const vectorizationValidation = [
+  body('outputFormat')
+    .optional()
+    .isIn(['svg', 'path', 'json', 'pdf', 'eps', 'dxf', 'gcode', 'hpgl', 'png', 'jpeg'])
+    .withMessage('Invalid output format'),
+
+  body('scale')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Scale must be greater than 0 and at most 100'),
+
+  body('threshold')
+    .optional()
+    .custom((value) => {
+      if (value === 'otsu' || value === 'adaptive') {
+        return true;
+      }
+      const level = Number(value);
+      return Number.isInteger(level) && level >= 0 && level <= 255;
+    })
+    .withMessage('Threshold must be between 0 and 255, otsu or adaptive'),
+
+  body('adaptiveMethod')
+    .optional()
+    .isIn(['mean', 'gaussian'])
+    .withMessage('Adaptive method must be mean or gaussian'),
+
+  body('blockSize')
+    .optional()
+    .isInt({ min: 3, max: Thresholder.MAX_BLOCK_SIZE })
+    .withMessage(`Block size must be between 3 and ${Thresholder.MAX_BLOCK_SIZE}`),
+
+  body('adaptiveOffset')
+    .optional()
+    .isFloat({ min: -255, max: 255 })
+    .withMessage('Adaptive offset must be between -255 and 255'),
+
+  body('turdsize')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Turdsize must be a non-negative integer'),
+
+  body('turnpolicy')
+    .optional()
+    .isIn(ContourTracer.TURN_POLICIES)
+    .withMessage(`Turn policy must be one of ${ContourTracer.TURN_POLICIES.join(', ')}`),
+
+  body('alphamax')
+    .optional()
+    .isFloat({ min: 0, max: 1.3334 })
+    .withMessage('Alphamax must be between 0 (all corners) and 1.3334 (no corners)'),
+
+  body('opttolerance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opttolerance must be a non-negative number'),
+
+  body('optcurve')
+    .optional()
+    .isBoolean()
+    .withMessage('Optcurve must be true or false'),
+
+  body('colorMode')
+    .optional()
+    .isIn(['mono', 'color'])
+    .withMessage('Color mode must be mono or color'),
+
+  body('colors')
+    .optional()
+    .isInt({ min: 2, max: 32 })
+    .withMessage('Colors must be between 2 and 32'),
+
+  body('palette')
+    .optional({ values: 'falsy' })
+    .custom((value) => {
+      let colors;
+      try {
+        colors = ColorQuantizer.parsePalette(value);
+      } catch (error) {
+        return false;
+      }
+      return Array.isArray(colors) && colors.length > 0 && colors.length <= 256 &&
+        colors.every(color => typeof color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(color));
+    })
+    .withMessage('Palette must be a JSON array or comma separated list of up to 256 hex colors'),
+
+  body('mode')
+    .optional()
+    .isIn(['outline', 'centerline', 'pixel', 'depixelize'])
+    .withMessage('Mode must be outline, centerline, pixel or depixelize'),
+
+  body('style')
+    .optional()
+    .isIn(['filled', 'stroke', 'both'])
+    .withMessage('Style must be filled, stroke or both'),
+
+  body('strokeColor')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Stroke color must be a valid hex color'),
+
+  body('strokeWidth')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Stroke width must be a positive number'),
+
+  body('strokeLinejoin')
+    .optional()
+    .isIn(['miter', 'round', 'bevel'])
+    .withMessage('Stroke line join must be miter, round or bevel'),
+
+  body('strokeLinecap')
+    .optional()
+    .isIn(['butt', 'round', 'square'])
+    .withMessage('Stroke line cap must be butt, round or square'),
+
+  body('offset')
+    .optional()
+    .isFloat({ min: -500, max: 500 })
+    .withMessage('Offset must be between -500 and 500'),
+
+  body('kerf')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Kerf must be between 0 and 100'),
+
+  body('offsetUnits')
+    .optional()
+    .isIn(['px', 'mm', 'in'])
+    .withMessage('Offset units must be px, mm or in'),
+
+  body('sticker')
+    .optional()
+    .isBoolean()
+    .withMessage('Sticker must be true or false'),
+
+  body(['offsetColor', 'stickerColor'])
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Offset and sticker colors must be valid hex colors'),
+
+  body('units')
+    .optional()
+    .isIn(['mm', 'in'])
+    .withMessage('Units must be mm or in'),
+
+  body('dpi')
+    .optional()
+    .isFloat({ min: 1, max: 2400 })
+    .withMessage('DPI must be between 1 and 2400'),
+
+  body(['feedRate', 'power'])
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Feed rate and power must be positive numbers'),
+
+  body('simplify')
+    .optional()
+    .isIn(['none', 'douglas-peucker', 'visvalingam'])
+    .withMessage('Simplify must be none, douglas-peucker or visvalingam'),
+
+  body('precision')
+    .optional()
+    .isInt({ min: 0, max: 8 })
+    .withMessage('Precision must be between 0 and 8'),
+
+  body('tiled')
+    .optional()
+    .isBoolean()
+    .withMessage('Tiled must be true or false'),
+
+  body('tileSize')
+    .optional()
+    .isInt({ min: 64, max: 2048 })
+    .withMessage('Tile size must be between 64 and 2048'),
+
+  body('quality')
+    .optional()
+    .isBoolean()
+    .withMessage('Quality must be true or false'),
+
+  body('qualityDiff')
+    .optional()
+    .isBoolean()
+    .withMessage('Quality diff must be true or false'),
+
+  handleValidationErrors
+];
+
+// Background removal followed by vectorization
+const completeProcessingValidation = [
+  ...targetColorValidation,
+  ...vectorizationValidation
+];
+
 // Text rendering validation
 const textRenderValidation = [
   body('text')
@@ -139,6 +421,31 @@ const fontUploadValidation = [
   handleValidationErrors
 ];
 
+// SVG rasterization validation
+const rasterizeValidation = [
+  body(['width', 'height'])
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Width and height must be between 1 and 10000'),
+
+  body('dpi')
+    .optional()
+    .isFloat({ min: 1, max: 2400 })
+    .withMessage('DPI must be between 1 and 2400'),
+
+  body('background')
+    .optional()
+    .matches(/^(#[0-9A-Fa-f]{6}|transparent)$/)
+    .withMessage('Background must be a hex color or transparent'),
+
+  body('outputFormat')
+    .optional()
+    .isIn(['png', 'jpeg'])
+    .withMessage('Output format must be png or jpeg'),
+
+  handleValidationErrors
+];
+
 // Text measurement validation
 const textMeasureValidation = [
   body('text')
@@ -156,10 +463,13 @@ const textMeasureValidation = [
 
 module.exports = {
   backgroundRemovalValidation,
+  vectorizationValidation,
+  completeProcessingValidation,
   chromaKeyValidation,
   textRenderValidation,
   textOverlayValidation,
   fontUploadValidation,
   textMeasureValidation,
+  rasterizeValidation,
   handleValidationErrors
 };
\ No newline at end of file
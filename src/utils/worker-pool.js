@@ -32,7 +32,8 @@ class WorkerPool {
     });
 
     worker.on('exit', (code) => {
-      if (code !== 0) {
+      // Workers terminated by the pool have already left it
+      if (code !== 0 && this.workers.includes(worker)) {
         console.error(`Worker exited with code ${code}`);
         this.replaceWorker(worker);
       }
@@ -43,32 +44,59 @@ class WorkerPool {
   }
 
   /**
-   * Replace a failed worker
+   * Replace a failed, timed out or cancelled worker.
+   * Workers that are no longer in the pool (already replaced, or terminated
+   * by shutdown) are ignored so their exit events do not spawn new workers.
    */
   replaceWorker(failedWorker) {
     const index = this.workers.indexOf(failedWorker);
-    if (index > -1) {
-      this.workers.splice(index, 1);
-      const availableIndex = this.availableWorkers.indexOf(failedWorker);
-      if (availableIndex > -1) {
-        this.availableWorkers.splice(availableIndex, 1);
-      }
+    if (index === -1) {
+      return;
+    }
+
+    this.workers.splice(index, 1);
+    const availableIndex = this.availableWorkers.indexOf(failedWorker);
+    if (availableIndex > -1) {
+      this.availableWorkers.splice(availableIndex, 1);
     }
 
     failedWorker.terminate();
     this.createWorker();
+    this.runNext();
   }
 
   /**
-   * Execute task in worker pool
+   * Execute task in worker pool.
+   * Options:
+   * - timeout: milliseconds before the task is rejected and its worker replaced
+   * - signal: AbortSignal that cancels the task, queued or running
+   * - transferList: ArrayBuffers moved to the worker instead of copied
    */
-  async execute(data) {
+  async execute(data, options = {}) {
+    const { timeout = 0, signal = null, transferList = [] } = options;
+
     return new Promise((resolve, reject) => {
-      const task = { data, resolve, reject };
+      if (signal && signal.aborted) {
+        reject(this.abortError());
+        return;
+      }
+
+      const task = { data, transferList, timeout, signal, resolve, reject };
 
       if (this.availableWorkers.length > 0) {
         this.runTask(task);
       } else {
+        if (signal) {
+          // Drop the task from the queue when cancelled before it starts
+          task.onQueuedAbort = () => {
+            const queueIndex = this.taskQueue.indexOf(task);
+            if (queueIndex > -1) {
+              this.taskQueue.splice(queueIndex, 1);
+              reject(this.abortError());
+            }
+          };
+          signal.addEventListener('abort', task.onQueuedAbort, { once: true });
+        }
         this.taskQueue.push(task);
       }
     });
@@ -79,44 +107,115 @@ class WorkerPool {
    */
   runTask(task) {
     const worker = this.availableWorkers.pop();
-    
-    const handleMessage = (result) => {
+    let timer = null;
+
+    if (task.onQueuedAbort) {
+      task.signal.removeEventListener('abort', task.onQueuedAbort);
+    }
+
+    const settle = () => {
       worker.off('message', handleMessage);
       worker.off('error', handleError);
+      clearTimeout(timer);
+      if (task.signal) {
+        task.signal.removeEventListener('abort', handleAbort);
+      }
+    };
+
+    const handleMessage = (result) => {
+      settle();
       this.availableWorkers.push(worker);
       
       // Process next task if any
-      if (this.taskQueue.length > 0) {
-        this.runTask(this.taskQueue.shift());
-      }
+      this.runNext();
       
       task.resolve(result);
     };
 
     const handleError = (error) => {
-      worker.off('message', handleMessage);
-      worker.off('error', handleError);
+      settle();
       this.replaceWorker(worker);
       task.reject(error);
     };
 
+    // A busy worker cannot be interrupted, so a timed out or cancelled
+    // task terminates its worker and a fresh one takes its place
+    const handleAbort = () => {
+      settle();
+      this.replaceWorker(worker);
+      task.reject(this.abortError());
+    };
+
     worker.on('message', handleMessage);
     worker.on('error', handleError);
-    worker.postMessage(task.data);
+
+    if (task.timeout > 0) {
+      timer = setTimeout(() => {
+        settle();
+        this.replaceWorker(worker);
+        task.reject(new Error(`Worker task timed out after ${task.timeout}ms`));
+      }, task.timeout);
+    }
+
+    if (task.signal) {
+      task.signal.addEventListener('abort', handleAbort, { once: true });
+    }
+
+    try {
+      worker.postMessage(task.data, task.transferList);
+    } catch (error) {
+      // Data that cannot be cloned never reaches the worker
+      settle();
+      this.availableWorkers.push(worker);
+      this.runNext();
+      task.reject(error);
+    }
+  }
+
+  /**
+   * Start the next queued task when a worker is free
+   */
+  runNext() {
+    while (this.taskQueue.length > 0 && this.availableWorkers.length > 0) {
+      const task = this.taskQueue.shift();
+
+      // Tasks cancelled while the abort event is still being dispatched
+      if (task.signal && task.signal.aborted) {
+        task.signal.removeEventListener('abort', task.onQueuedAbort);
+        task.reject(this.abortError());
+        continue;
+      }
+
+      this.runTask(task);
+    }
+  }
+
+  /**
+   * Error used to reject cancelled tasks
+   */
+  abortError() {
+    const error = new Error('Worker task was cancelled');
+    error.name = 'AbortError';
+    return error;
   }
 
   /**
    * Shutdown worker pool
    */
   async shutdown() {
-    const terminationPromises = this.workers.map(worker => {
-      return worker.terminate();
-    });
+    const workers = this.workers;
+    const pending = this.taskQueue;
 
-    await Promise.all(terminationPromises);
+    // Clear the pool first so exit events of terminated workers are ignored
     this.workers = [];
     this.availableWorkers = [];
     this.taskQueue = [];
+
+    for (const task of pending) {
+      task.reject(new Error('Worker pool is shutting down'));
+    }
+
+    await Promise.all(workers.map(worker => worker.terminate()));
   }
 
   /**
@@ -0,0 +1,367 @@
+/**
+ * DXF, G-code and HPGL output for cutters and plotters.
+ *
+ * Traced pixel coordinates are converted to physical units with
+ * units per pixel = scale / dpi (x 25.4 for millimeters), and the y axis is
+ * flipped so the origin sits at the bottom-left corner like on the machine bed.
+ * Curves are flattened into polylines and contours are ordered to keep
+ * travel moves short, cutting inner contours before the ones around them.
+ */
+
+const PRODUCER = 'convec-api';
+const HPGL_UNITS_PER_MM = 40;
+
+class CncExporter {
+  /**
+   * Render traced layers as an ASCII DXF (R12) drawing with one DXF layer per color
+   */
+  static toDXF(traced, options = {}) {
+    const { toMachine, extent, precision } = this.machineSpace(traced, options);
+    const layers = this.orderedLayers(traced, options, toMachine);
+    const fmt = (value) => String(Number(value.toFixed(precision)));
+    const lines = [];
+    const add = (code, value) => lines.push(String(code), String(value));
+
+    add(999, `${PRODUCER} DXF`);
+    add(0, 'SECTION');
+    add(2, 'HEADER');
+    add(9, '$ACADVER');
+    add(1, 'AC1009');
+    add(9, '$EXTMIN');
+    add(10, 0);
+    add(20, 0);
+    add(9, '$EXTMAX');
+    add(10, fmt(extent.width));
+    add(20, fmt(extent.height));
+    add(0, 'ENDSEC');
+
+    add(0, 'SECTION');
+    add(2, 'TABLES');
+    add(0, 'TABLE');
+    add(2, 'LAYER');
+    add(70, layers.length);
+    for (const layer of layers) {
+      add(0, 'LAYER');
+      add(2, layer.name);
+      add(70, 0);
+      add(62, 7);
+      add(6, 'CONTINUOUS');
+    }
+    add(0, 'ENDTAB');
+    add(0, 'ENDSEC');
+
+    add(0, 'SECTION');
+    add(2, 'ENTITIES');
+    for (const layer of layers) {
+      for (const polyline of layer.polylines) {
+        add(0, 'POLYLINE');
+        add(8, layer.name);
+        add(66, 1);
+        add(70, polyline.closed ? 1 : 0);
+        for (const point of polyline.points) {
+          add(0, 'VERTEX');
+          add(8, layer.name);
+          add(10, fmt(point.x));
+          add(20, fmt(point.y));
+        }
+        add(0, 'SEQEND');
+        add(8, layer.name);
+      }
+    }
+    add(0, 'ENDSEC');
+    add(0, 'EOF');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render traced layers as G-code for laser cutters: travel with G0 and the
+   * laser off, cut with G1 at feedRate and spindle/laser power S
+   */
+  static toGCode(traced, options = {}) {
+    const { feedRate = 1000, power = 1000 } = options;
+    const { toMachine, precision } = this.machineSpace(traced, options);
+    const layers = this.orderedLayers(traced, options, toMachine);
+    const fmt = (value) => String(Number(value.toFixed(precision)));
+    const xy = (point) => `X${fmt(point.x)} Y${fmt(point.y)}`;
+
+    const lines = [
+      `; ${PRODUCER} G-code`,
+      options.units === 'in' ? 'G20' : 'G21',
+      'G90',
+      'M5'
+    ];
+
+    for (const layer of layers) {
+      lines.push(`; Layer ${layer.color}`);
+
+      for (const polyline of layer.polylines) {
+        const points = polyline.closed
+          ? polyline.points.concat([polyline.points[0]])
+          : polyline.points;
+
+        lines.push(`G0 ${xy(points[0])}`);
+        lines.push(`M3 S${power}`);
+        lines.push(`G1 ${xy(points[1] || points[0])} F${feedRate}`);
+        for (let i = 2; i < points.length; i++) {
+          lines.push(`G1 ${xy(points[i])}`);
+        }
+        lines.push('M5');
+      }
+    }
+
+    lines.push('G0 X0 Y0');
+    lines.push('M2');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render traced layers as HPGL for pen plotters and vinyl cutters,
+   * one pen per color, in plotter units of 0.025 mm
+   */
+  static toHPGL(traced, options = {}) {
+    const { toMachine } = this.machineSpace(traced, { ...options, units: 'mm' });
+    const layers = this.orderedLayers(traced, options, toMachine);
+    const plu = (point) => `${Math.round(point.x * HPGL_UNITS_PER_MM)},${Math.round(point.y * HPGL_UNITS_PER_MM)}`;
+    let hpgl = 'IN;';
+
+    layers.forEach((layer, index) => {
+      hpgl += `SP${index + 1};`;
+
+      for (const polyline of layer.polylines) {
+        const points = polyline.closed
+          ? polyline.points.concat([polyline.points[0]])
+          : polyline.points;
+
+        hpgl += `PU${plu(points[0])};`;
+        hpgl += `PD${points.slice(1).map(plu).join(',')};`;
+      }
+    });
+
+    hpgl += 'PU;SP0;';
+    return hpgl + '\n';
+  }
+
+  /**
+   * Pixel to machine coordinate transform and drawing extent
+   */
+  static machineSpace(traced, options) {
+    const { units = 'mm', dpi = 96 } = options;
+    const scale = options.scale || 1;
+    const factor = scale / (dpi > 0 ? dpi : 96) * (units === 'in' ? 1 : 25.4);
+
+    return {
+      toMachine: (point) => ({ x: point.x * factor, y: (traced.height - point.y) * factor }),
+      extent: { width: traced.width * factor, height: traced.height * factor },
+      precision: units === 'in' ? 4 : 3
+    };
+  }
+
+  /**
+   * Flatten every layer into machine space polylines in cutting order
+   */
+  static orderedLayers(traced, options, toMachine) {
+    let position = { x: 0, y: 0 };
+
+    // Sticker borders are printed, not cut; their outline is the CutContour layer
+    return traced.layers.filter(layer => layer.kind !== 'sticker').map(layer => {
+      const polylines = [];
+
+      for (const shape of layer.paths) {
+        if (options.mode !== 'centerline' && shape.outline.segments.length < 2) continue;
+
+        for (const path of [shape.outline, ...shape.holes]) {
+          polylines.push({
+            points: this.flatten(path).map(toMachine),
+            closed: path.closed
+          });
+        }
+      }
+
+      const ordered = this.orderPaths(polylines, position);
+      if (ordered.length > 0) {
+        const last = ordered[ordered.length - 1];
+        position = last.closed ? last.points[0] : last.points[last.points.length - 1];
+      }
+
+      return {
+        color: layer.color,
+        name: layer.name ? layer.name.toUpperCase() : `COLOR_${String(layer.color).replace(/^#/, '').toUpperCase()}`,
+        polylines: ordered
+      };
+    });
+  }
+
+  /**
+   * Convert a fitted path into a polyline, subdividing cubic segments
+   * roughly every two pixels
+   */
+  static flatten(path) {
+    const points = [path.start];
+    let current = path.start;
+
+    for (const segment of path.segments) {
+      if (segment.type === 'C') {
+        const [c1, c2, end] = segment.points;
+        const length = Math.hypot(c1.x - current.x, c1.y - current.y) +
+          Math.hypot(c2.x - c1.x, c2.y - c1.y) +
+          Math.hypot(end.x - c2.x, end.y - c2.y);
+        const steps = Math.max(2, Math.min(64, Math.ceil(length / 2)));
+
+        for (let i = 1; i <= steps; i++) {
+          const t = i / steps;
+          const s = 1 - t;
+          points.push({
+            x: s * s * s * current.x + 3 * s * s * t * c1.x + 3 * s * t * t * c2.x + t * t * t * end.x,
+            y: s * s * s * current.y + 3 * s * s * t * c1.y + 3 * s * t * t * c2.y + t * t * t * end.y
+          });
+        }
+        current = end;
+      } else {
+        current = segment.points[0];
+        points.push(current);
+      }
+    }
+
+    // The closing segment of a closed path ends on its start point
+    if (path.closed && points.length > 1) {
+      const last = points[points.length - 1];
+      if (Math.abs(last.x - path.start.x) < 1e-9 && Math.abs(last.y - path.start.y) < 1e-9) {
+        points.pop();
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Greedy nearest-neighbor ordering: always continue with the polyline whose
+   * entry point is closest to the current tool position. Closed polylines may
+   * be entered at any vertex, open ones at either end. A closed polyline is
+   * only cut once every polyline inside it is, so holes come before their
+   * outline, innermost first, and parts are not cut free too early.
+   */
+  static orderPaths(polylines, start = { x: 0, y: 0 }) {
+    const enclosing = this.enclosingPaths(polylines);
+    const insideCount = polylines.map(() => 0);
+    enclosing.forEach(outers => outers.forEach(outer => { insideCount[outer]++; }));
+
+    const remaining = polylines.map((polyline, id) => ({ ...polyline, id }));
+    const ordered = [];
+    let position = start;
+
+    while (remaining.length > 0) {
+      let best = null;
+
+      remaining.forEach((polyline, index) => {
+        if (insideCount[polyline.id] > 0) return;
+
+        const { points } = polyline;
+        const candidates = polyline.closed
+          ? points.map((point, vertex) => ({ point, vertex }))
+          : [{ point: points[0], vertex: 0 }, { point: points[points.length - 1], vertex: points.length - 1 }];
+
+        for (const { point, vertex } of candidates) {
+          const distance = (point.x - position.x) ** 2 + (point.y - position.y) ** 2;
+          if (!best || distance < best.distance) {
+            best = { index, vertex, distance };
+          }
+        }
+      });
+
+      const [polyline] = remaining.splice(best.index, 1);
+      let points = polyline.points;
+
+      if (polyline.closed) {
+        points = points.slice(best.vertex).concat(points.slice(0, best.vertex));
+      } else if (best.vertex !== 0) {
+        points = points.slice().reverse();
+      }
+
+      ordered.push({ points, closed: polyline.closed });
+      position = polyline.closed ? points[0] : points[points.length - 1];
+      enclosing[polyline.id].forEach(outer => { insideCount[outer]--; });
+    }
+
+    return ordered;
+  }
+
+  /**
+   * For every polyline, the indexes of the larger closed polylines around
+   * its first point. Comparing areas keeps equal contours from waiting on
+   * each other.
+   */
+  static enclosingPaths(polylines) {
+    const bounds = polylines.map(({ points }) => {
+      const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, area: this.area(points) };
+      for (const { x, y } of points) {
+        box.minX = Math.min(box.minX, x);
+        box.minY = Math.min(box.minY, y);
+        box.maxX = Math.max(box.maxX, x);
+        box.maxY = Math.max(box.maxY, y);
+      }
+      return box;
+    });
+
+    return polylines.map((inner, index) => {
+      const probe = inner.points[0];
+      const outers = [];
+
+      polylines.forEach((outer, other) => {
+        const box = bounds[other];
+        if (other === index || !outer.closed || box.area <= bounds[index].area) return;
+        if (probe.x < box.minX || probe.x > box.maxX || probe.y < box.minY || probe.y > box.maxY) return;
+        if (this.contains(outer.points, probe)) {
+          outers.push(other);
+        }
+      });
+
+      return outers;
+    });
+  }
+
+  /**
+   * Even-odd point in polygon test
+   */
+  static contains(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Unsigned shoelace area of a polygon
+   */
+  static area(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += points[j].x * points[i].y - points[i].x * points[j].y;
+    }
+    return Math.abs(area / 2);
+  }
+
+  /**
+   * Total travel distance between consecutive polylines from a start position
+   */
+  static travelDistance(polylines, start = { x: 0, y: 0 }) {
+    let position = start;
+    let distance = 0;
+
+    for (const { points, closed } of polylines) {
+      distance += Math.hypot(points[0].x - position.x, points[0].y - position.y);
+      position = closed ? points[0] : points[points.length - 1];
+    }
+
+    return distance;
+  }
+}
+
+module.exports = CncExporter;
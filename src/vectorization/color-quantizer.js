@@ -0,0 +1,221 @@
+/**
+ * Color quantization for posterized (multi-color) vectorization
+ */
+class ColorQuantizer {
+  /**
+   * Reduce image data to a small palette.
+   * Returns { palette, indices, counts } where indices holds the palette index
+   * of every pixel, or -1 for transparent pixels.
+   */
+  static quantize(imageData, options = {}) {
+    const {
+      colors = 4,
+      palette = null,
+      alphaThreshold = 128,
+      iterations = 5
+    } = options;
+
+    const data = imageData.data;
+    const pixelCount = imageData.width * imageData.height;
+    const samples = this.samplePixels(data, pixelCount, alphaThreshold);
+
+    let centers;
+    if (palette && palette.length > 0) {
+      centers = palette.map(color => this.parseColor(color));
+    } else {
+      const count = Math.max(2, Math.min(32, parseInt(colors) || 4));
+      centers = this.refine(samples, this.medianCut(samples, count), iterations);
+    }
+
+    const indices = new Int16Array(pixelCount);
+    const counts = new Array(centers.length).fill(0);
+    const lookup = new Map();
+
+    for (let p = 0; p < pixelCount; p++) {
+      const i = p * 4;
+      if (data[i + 3] < alphaThreshold) {
+        indices[p] = -1;
+        continue;
+      }
+
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let index = lookup.get(key);
+      if (index === undefined) {
+        index = this.nearest(centers, data[i], data[i + 1], data[i + 2]);
+        lookup.set(key, index);
+      }
+
+      indices[p] = index;
+      counts[index]++;
+    }
+
+    return {
+      palette: centers.map(c => c.map(v => Math.round(v))),
+      indices,
+      counts
+    };
+  }
+
+  /**
+   * Collect opaque pixels, striding over large images to bound the cost
+   */
+  static samplePixels(data, pixelCount, alphaThreshold, maxSamples = 20000) {
+    const stride = Math.max(1, Math.floor(pixelCount / maxSamples));
+    const samples = [];
+
+    for (let p = 0; p < pixelCount; p += stride) {
+      const i = p * 4;
+      if (data[i + 3] >= alphaThreshold) {
+        samples.push([data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Median cut: split the box with the widest channel range until
+   * the requested number of colors is reached
+   */
+  static medianCut(samples, count) {
+    if (samples.length === 0) {
+      return [[0, 0, 0]];
+    }
+
+    const boxes = [samples];
+
+    while (boxes.length < count) {
+      let bestBox = -1;
+      let bestRange = 0;
+      let bestChannel = 0;
+
+      boxes.forEach((box, index) => {
+        if (box.length < 2) return;
+        for (let channel = 0; channel < 3; channel++) {
+          let min = 255, max = 0;
+          for (const sample of box) {
+            if (sample[channel] < min) min = sample[channel];
+            if (sample[channel] > max) max = sample[channel];
+          }
+          if (max - min > bestRange) {
+            bestRange = max - min;
+            bestBox = index;
+            bestChannel = channel;
+          }
+        }
+      });
+
+      if (bestBox < 0) break;
+
+      const box = boxes[bestBox].sort((a, b) => a[bestChannel] - b[bestChannel]);
+      const median = Math.floor(box.length / 2);
+      boxes.splice(bestBox, 1, box.slice(0, median), box.slice(median));
+    }
+
+    return boxes.map(box => this.average(box));
+  }
+
+  /**
+   * Refine palette with a few k-means iterations
+   */
+  static refine(samples, centers, iterations) {
+    for (let iter = 0; iter < iterations; iter++) {
+      const sums = centers.map(() => [0, 0, 0, 0]);
+
+      for (const [r, g, b] of samples) {
+        const sum = sums[this.nearest(centers, r, g, b)];
+        sum[0] += r;
+        sum[1] += g;
+        sum[2] += b;
+        sum[3]++;
+      }
+
+      centers = centers.map((center, i) => {
+        const [r, g, b, n] = sums[i];
+        return n > 0 ? [r / n, g / n, b / n] : center;
+      });
+    }
+
+    return centers;
+  }
+
+  /**
+   * Index of the palette entry closest to an RGB color
+   */
+  static nearest(centers, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < centers.length; i++) {
+      const dr = r - centers[i][0];
+      const dg = g - centers[i][1];
+      const db = b - centers[i][2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Average color of a set of samples
+   */
+  static average(samples) {
+    const sum = [0, 0, 0];
+
+    for (const sample of samples) {
+      sum[0] += sample[0];
+      sum[1] += sample[1];
+      sum[2] += sample[2];
+    }
+
+    return sum.map(v => v / samples.length);
+  }
+
+  /**
+   * Parse a palette entry given as hex string or RGB array
+   */
+  static parseColor(color) {
+    if (Array.isArray(color)) {
+      return color.slice(0, 3).map(Number);
+    }
+
+    const hex = String(color).trim().replace(/^#/, '');
+    if (!/^[0-9A-Fa-f]{6}$/.test(hex)) {
+      throw new Error(`Invalid palette color: ${color}`);
+    }
+
+    return [
+      parseInt(hex.slice(0, 2), 16),
+      parseInt(hex.slice(2, 4), 16),
+      parseInt(hex.slice(4, 6), 16)
+    ];
+  }
+
+  /**
+   * Parse a palette from a request value: JSON array or comma separated hex list
+   */
+  static parsePalette(value) {
+    if (!value) return null;
+    if (Array.isArray(value)) return value;
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+      return JSON.parse(text);
+    }
+
+    return text.split(',').map(color => color.trim()).filter(Boolean);
+  }
+
+  /**
+   * Convert RGB array to hex string
+   */
+  static toHex(color) {
+    return '#' + color.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+  }
+}
+
+module.exports = ColorQuantizer;
@@ -0,0 +1,260 @@
+/**
+ * Boundary tracing on pixel edges (potrace path decomposition).
+ *
+ * Contours run along the lattice between pixels, so every contour is a closed
+ * path of unit steps. After a contour is traced its interior is inverted in a
+ * working copy of the bitmap; holes then show up as contours of their own,
+ * marked with sign '-'.
+ */
+
+// How to resolve diagonal pixel pairs, see ContourTracer.turnsRight
+const TURN_POLICIES = ['black', 'white', 'left', 'right', 'minority', 'majority', 'random'];
+
+class ContourTracer {
+  /**
+   * Trace all contours of a binary bitmap ({ data, width, height }, 1 = ink).
+   * Contours enclosing turdsize pixels or fewer are dropped.
+   */
+  static trace(bitmap, options = {}) {
+    const { turdsize = 0, turnpolicy = 'minority' } = options;
+
+    if (!TURN_POLICIES.includes(turnpolicy)) {
+      throw new Error(`Invalid turn policy: ${turnpolicy}. Use ${TURN_POLICIES.join(', ')}`);
+    }
+
+    const { width, height } = bitmap;
+    const original = Uint8Array.from(bitmap.data);
+    const work = Uint8Array.from(bitmap.data);
+    const contours = [];
+    let index = 0;
+
+    while (true) {
+      while (index < work.length && work[index] !== 1) index++;
+      if (index >= work.length) break;
+
+      const x = index % width;
+      const y = Math.floor(index / width);
+      const sign = original[index] === 1 ? '+' : '-';
+      const contour = this.findPath(work, width, height, x, y, sign, turnpolicy);
+
+      this.xorPath(work, width, contour);
+
+      if (contour.area > turdsize) {
+        contours.push(contour);
+      }
+    }
+
+    return contours;
+  }
+
+  /**
+   * Follow the boundary starting at the top-left corner of pixel (x, y),
+   * keeping ink on the right-hand side
+   */
+  static findPath(work, width, height, startX, startY, sign, turnpolicy = 'minority') {
+    const at = (px, py) => px >= 0 && px < width && py >= 0 && py < height && work[py * width + px] === 1;
+    const contour = {
+      points: [],
+      sign,
+      area: 0,
+      minX: startX,
+      maxX: startX,
+      minY: startY,
+      maxY: startY,
+      seed: { x: startX, y: startY }
+    };
+
+    let x = startX;
+    let y = startY;
+    let dirx = 0;
+    let diry = 1;
+
+    while (true) {
+      contour.points.push({ x, y });
+      if (x > contour.maxX) contour.maxX = x;
+      if (x < contour.minX) contour.minX = x;
+      if (y > contour.maxY) contour.maxY = y;
+      if (y < contour.minY) contour.minY = y;
+
+      x += dirx;
+      y += diry;
+      contour.area -= x * diry;
+
+      if (x === startX && y === startY) break;
+
+      const l = at(x + (dirx + diry - 1) / 2, y + (diry - dirx - 1) / 2);
+      const r = at(x + (dirx - diry - 1) / 2, y + (diry + dirx - 1) / 2);
+      let tmp;
+
+      if (r && !l) {
+        // Ambiguous diagonal configuration: resolved by the turn policy
+        if (this.turnsRight(turnpolicy, sign, at, x, y)) {
+          tmp = dirx; dirx = -diry; diry = tmp;
+        } else {
+          tmp = dirx; dirx = diry; diry = -tmp;
+        }
+      } else if (r) {
+        tmp = dirx; dirx = -diry; diry = tmp;
+      } else if (!l) {
+        tmp = dirx; dirx = diry; diry = -tmp;
+      }
+    }
+
+    return contour;
+  }
+
+  /**
+   * Turn policy decision at an ambiguous lattice point, where two ink pixels
+   * only touch diagonally. Turning right keeps the current contour's pixels
+   * connected through the corner, turning left separates them:
+   * black connects ink, white connects background, minority/majority connect
+   * the locally less/more frequent color and random decides per point.
+   */
+  static turnsRight(turnpolicy, sign, at, x, y) {
+    switch (turnpolicy) {
+      case 'right':
+        return true;
+      case 'left':
+        return false;
+      case 'black':
+        return sign === '+';
+      case 'white':
+        return sign === '-';
+      case 'majority':
+        return this.majority(at, x, y);
+      case 'random':
+        return this.detrand(x, y);
+      default:
+        return !this.majority(at, x, y);
+    }
+  }
+
+  /**
+   * Deterministic pseudo-random bit for a lattice point, so random
+   * turn policy output is reproducible
+   */
+  static detrand(x, y) {
+    let z = Math.imul(Math.imul(0x04b3e375, x) ^ y, 0x05a8ef93) >>> 0;
+    z ^= z >>> 16;
+    z ^= z >>> 8;
+    z ^= z >>> 4;
+    z ^= z >>> 2;
+    z ^= z >>> 1;
+    return (z & 1) === 1;
+  }
+
+  /**
+   * Whether ink is the locally dominant color around lattice point (x, y)
+   */
+  static majority(at, x, y) {
+    for (let i = 2; i < 5; i++) {
+      let ct = 0;
+      for (let a = -i + 1; a <= i - 1; a++) {
+        ct += at(x + a, y + i - 1) ? 1 : -1;
+        ct += at(x + i - 1, y + a - 1) ? 1 : -1;
+        ct += at(x + a - 1, y - i) ? 1 : -1;
+        ct += at(x - i, y + a) ? 1 : -1;
+      }
+      if (ct > 0) return true;
+      if (ct < 0) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Invert the interior of a traced contour in the working bitmap
+   */
+  static xorPath(work, width, contour) {
+    const points = contour.points;
+    let y1 = points[0].y;
+
+    for (let i = 1; i < points.length; i++) {
+      const { x, y } = points[i];
+      if (y !== y1) {
+        const minY = y1 < y ? y1 : y;
+        for (let j = x; j < contour.maxX; j++) {
+          work[minY * width + j] ^= 1;
+        }
+        y1 = y;
+      }
+    }
+  }
+
+  /**
+   * Link each contour to the innermost contour that encloses it.
+   * Sets parent/children on every contour and returns the top-level contours.
+   */
+  static buildTree(contours) {
+    const roots = [];
+
+    contours.forEach(contour => {
+      contour.parent = null;
+      contour.children = [];
+    });
+
+    for (const contour of contours) {
+      const px = contour.seed.x + 0.5;
+      const py = contour.seed.y + 0.5;
+      let parent = null;
+
+      for (const candidate of contours) {
+        if (candidate === contour) continue;
+        if (px < candidate.minX || px > candidate.maxX || py < candidate.minY || py > candidate.maxY) continue;
+        if (parent && candidate.area >= parent.area) continue;
+        if (this.containsPoint(candidate.points, px, py)) {
+          parent = candidate;
+        }
+      }
+
+      contour.parent = parent;
+      if (parent) {
+        parent.children.push(contour);
+      } else {
+        roots.push(contour);
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Group contours into compound shapes: each ink contour with its direct holes.
+   * Hole points are reversed so holes wind against their outline.
+   */
+  static toShapes(contours) {
+    this.buildTree(contours);
+
+    return contours
+      .filter(contour => contour.sign === '+')
+      .map(contour => ({
+        outline: contour.points,
+        holes: contour.children
+          .filter(child => child.sign === '-')
+          .map(child => child.points.slice().reverse()),
+        area: contour.area - contour.children
+          .filter(child => child.sign === '-')
+          .reduce((sum, child) => sum + child.area, 0)
+      }));
+  }
+
+  /**
+   * Even-odd point in polygon test
+   */
+  static containsPoint(points, x, y) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+}
+
+ContourTracer.TURN_POLICIES = TURN_POLICIES;
+
+module.exports = ContourTracer;
@@ -0,0 +1,881 @@
+/**
+ * Potrace-style curve fitting for traced outlines.
+ *
+ * Takes a closed lattice path (consecutive points one unit step apart) and
+ * turns it into a compact outline made of straight corners and cubic Bezier
+ * curves: optimal polygon -> vertex adjustment -> corner detection (alphamax)
+ * -> curve merging (opttolerance).
+ */
+
+function mod(a, n) {
+  return a >= n ? a % n : a >= 0 ? a : n - 1 - (-1 - a) % n;
+}
+
+function sign(x) {
+  return x > 0 ? 1 : x < 0 ? -1 : 0;
+}
+
+function xprod(p1, p2) {
+  return p1.x * p2.y - p1.y * p2.x;
+}
+
+function cyclic(a, b, c) {
+  if (a <= c) {
+    return a <= b && b < c;
+  }
+  return a <= b || b < c;
+}
+
+function floorDiv(a, b) {
+  return Math.floor(a / b);
+}
+
+function interval(lambda, a, b) {
+  return {
+    x: a.x + lambda * (b.x - a.x),
+    y: a.y + lambda * (b.y - a.y)
+  };
+}
+
+function dorthInfty(p0, p2) {
+  return { x: -sign(p2.y - p0.y), y: sign(p2.x - p0.x) };
+}
+
+function dpara(p0, p1, p2) {
+  return (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+}
+
+function ddenom(p0, p2) {
+  const r = dorthInfty(p0, p2);
+  return r.y * (p2.x - p0.x) - r.x * (p2.y - p0.y);
+}
+
+function cprod(p0, p1, p2, p3) {
+  return (p1.x - p0.x) * (p3.y - p2.y) - (p3.x - p2.x) * (p1.y - p0.y);
+}
+
+function iprod(p0, p1, p2) {
+  return (p1.x - p0.x) * (p2.x - p0.x) + (p1.y - p0.y) * (p2.y - p0.y);
+}
+
+function iprod1(p0, p1, p2, p3) {
+  return (p1.x - p0.x) * (p3.x - p2.x) + (p1.y - p0.y) * (p3.y - p2.y);
+}
+
+function ddist(p, q) {
+  return Math.sqrt((p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y));
+}
+
+function bezier(t, p0, p1, p2, p3) {
+  const s = 1 - t;
+  return {
+    x: s * s * s * p0.x + 3 * (s * s * t) * p1.x + 3 * (t * t * s) * p2.x + t * t * t * p3.x,
+    y: s * s * s * p0.y + 3 * (s * s * t) * p1.y + 3 * (t * t * s) * p2.y + t * t * t * p3.y
+  };
+}
+
+function tangent(p0, p1, p2, p3, q0, q1) {
+  const A = cprod(p0, p1, q0, q1);
+  const B = cprod(p1, p2, q0, q1);
+  const C = cprod(p2, p3, q0, q1);
+
+  const a = A - 2 * B + C;
+  const b = -2 * A + 2 * B;
+  const c = A;
+  const d = b * b - 4 * a * c;
+
+  if (a === 0 || d < 0) return -1;
+
+  const s = Math.sqrt(d);
+  const r1 = (-b + s) / (2 * a);
+  const r2 = (-b - s) / (2 * a);
+
+  if (r1 >= 0 && r1 <= 1) return r1;
+  if (r2 >= 0 && r2 <= 1) return r2;
+  return -1;
+}
+
+function quadform(Q, w) {
+  const v = [w.x, w.y, 1];
+  let sum = 0;
+
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      sum += v[i] * Q[i * 3 + j] * v[j];
+    }
+  }
+
+  return sum;
+}
+
+function createCurve(n) {
+  return {
+    n,
+    tag: new Array(n),
+    c: new Array(n * 3),
+    vertex: new Array(n),
+    alpha: new Array(n),
+    alpha0: new Array(n),
+    beta: new Array(n)
+  };
+}
+
+class CurveFitter {
+  /**
+   * Fit a closed lattice path with corners and cubic Bezier segments.
+   * Returns { start, segments, closed } or null when the path cannot be fitted.
+   */
+  static fit(points, options = {}) {
+    const {
+      alphamax = 1,
+      optcurve = true,
+      opttolerance = 1
+    } = options;
+
+    if (!this.isClosedLatticePath(points)) {
+      return null;
+    }
+
+    const path = { pt: this.rotateToCorner(points), len: points.length };
+
+    this.calcSums(path);
+    this.calcLon(path);
+    this.bestPolygon(path);
+    this.adjustVertices(path);
+    this.smooth(path.curve, alphamax);
+
+    if (optcurve) {
+      this.optiCurve(path, opttolerance);
+    }
+
+    return this.toSegments(path.curve);
+  }
+
+  /**
+   * Check that a path is closed and made of unit axis-aligned steps
+   */
+  static isClosedLatticePath(points) {
+    if (!points || points.length < 4) return false;
+
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const q = points[(i + 1) % points.length];
+      if (Math.abs(q.x - p.x) + Math.abs(q.y - p.y) !== 1) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Rotate a closed path so it starts at a direction change, which the
+   * polygon stage relies on
+   */
+  static rotateToCorner(points) {
+    const n = points.length;
+
+    for (let i = 0; i < n; i++) {
+      const prev = points[mod(i - 1, n)];
+      const curr = points[i];
+      const next = points[mod(i + 1, n)];
+      if (curr.x - prev.x !== next.x - curr.x || curr.y - prev.y !== next.y - curr.y) {
+        return i === 0 ? points : points.slice(i).concat(points.slice(0, i));
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Convert a potrace curve into generic line/cubic segments
+   */
+  static toSegments(curve) {
+    const n = curve.n;
+    const start = curve.c[(n - 1) * 3 + 2];
+    const segments = [];
+
+    for (let i = 0; i < n; i++) {
+      if (curve.tag[i] === 'CURVE') {
+        segments.push({
+          type: 'C',
+          points: [curve.c[i * 3], curve.c[i * 3 + 1], curve.c[i * 3 + 2]]
+        });
+      } else {
+        segments.push({ type: 'L', points: [curve.c[i * 3 + 1]] });
+        segments.push({ type: 'L', points: [curve.c[i * 3 + 2]] });
+      }
+    }
+
+    return { start, segments, closed: true };
+  }
+
+  /**
+   * Precompute prefix sums of coordinates for fast line fitting
+   */
+  static calcSums(path) {
+    const pt = path.pt;
+    path.x0 = pt[0].x;
+    path.y0 = pt[0].y;
+    path.sums = [{ x: 0, y: 0, xy: 0, x2: 0, y2: 0 }];
+
+    for (let i = 0; i < path.len; i++) {
+      const x = pt[i].x - path.x0;
+      const y = pt[i].y - path.y0;
+      const s = path.sums[i];
+      path.sums.push({
+        x: s.x + x,
+        y: s.y + y,
+        xy: s.xy + x * y,
+        x2: s.x2 + x * x,
+        y2: s.y2 + y * y
+      });
+    }
+  }
+
+  /**
+   * For each point, find the furthest point reachable by a straight subpath
+   */
+  static calcLon(path) {
+    const pt = path.pt;
+    const n = path.len;
+    const pivk = new Array(n);
+    const nc = new Array(n);
+    const ct = [0, 0, 0, 0];
+    const constraint = [{ x: 0, y: 0 }, { x: 0, y: 0 }];
+    const cur = { x: 0, y: 0 };
+    const off = { x: 0, y: 0 };
+    const dk = { x: 0, y: 0 };
+    let k = 0;
+
+    // nc[i] is the furthest point connected to i by a straight axis segment
+    for (let i = n - 1; i >= 0; i--) {
+      if (pt[i].x !== pt[k].x && pt[i].y !== pt[k].y) {
+        k = i + 1;
+      }
+      nc[i] = k;
+    }
+
+    path.lon = new Array(n);
+
+    for (let i = n - 1; i >= 0; i--) {
+      ct[0] = ct[1] = ct[2] = ct[3] = 0;
+
+      let dir = (3 + 3 * (pt[mod(i + 1, n)].x - pt[i].x) + (pt[mod(i + 1, n)].y - pt[i].y)) / 2;
+      ct[dir]++;
+
+      constraint[0].x = constraint[0].y = 0;
+      constraint[1].x = constraint[1].y = 0;
+
+      k = nc[i];
+      let k1 = i;
+      let foundk = false;
+
+      while (true) {
+        dir = (3 + 3 * sign(pt[k].x - pt[k1].x) + sign(pt[k].y - pt[k1].y)) / 2;
+        ct[dir]++;
+
+        // A path using all four directions cannot be straight
+        if (ct[0] && ct[1] && ct[2] && ct[3]) {
+          pivk[i] = k1;
+          foundk = true;
+          break;
+        }
+
+        cur.x = pt[k].x - pt[i].x;
+        cur.y = pt[k].y - pt[i].y;
+
+        if (xprod(constraint[0], cur) < 0 || xprod(constraint[1], cur) > 0) {
+          break;
+        }
+
+        if (Math.abs(cur.x) > 1 || Math.abs(cur.y) > 1) {
+          off.x = cur.x + ((cur.y >= 0 && (cur.y > 0 || cur.x < 0)) ? 1 : -1);
+          off.y = cur.y + ((cur.x <= 0 && (cur.x < 0 || cur.y < 0)) ? 1 : -1);
+          if (xprod(constraint[0], off) >= 0) {
+            constraint[0].x = off.x;
+            constraint[0].y = off.y;
+          }
+
+          off.x = cur.x + ((cur.y <= 0 && (cur.y < 0 || cur.x < 0)) ? 1 : -1);
+          off.y = cur.y + ((cur.x >= 0 && (cur.x > 0 || cur.y < 0)) ? 1 : -1);
+          if (xprod(constraint[1], off) <= 0) {
+            constraint[1].x = off.x;
+            constraint[1].y = off.y;
+          }
+        }
+
+        k1 = k;
+        k = nc[k1];
+        if (!cyclic(k, i, k1)) break;
+      }
+
+      if (!foundk) {
+        dk.x = sign(pt[k].x - pt[k1].x);
+        dk.y = sign(pt[k].y - pt[k1].y);
+        cur.x = pt[k1].x - pt[i].x;
+        cur.y = pt[k1].y - pt[i].y;
+
+        const a = xprod(constraint[0], cur);
+        const b = xprod(constraint[0], dk);
+        const c = xprod(constraint[1], cur);
+        const d = xprod(constraint[1], dk);
+
+        let j = 10000000;
+        if (b < 0) j = floorDiv(a, -b);
+        if (d > 0) j = Math.min(j, floorDiv(-c, d));
+
+        pivk[i] = mod(k1 + j, n);
+      }
+    }
+
+    let j = pivk[n - 1];
+    path.lon[n - 1] = j;
+
+    for (let i = n - 2; i >= 0; i--) {
+      if (cyclic(i + 1, pivk[i], j)) {
+        j = pivk[i];
+      }
+      path.lon[i] = j;
+    }
+
+    for (let i = n - 1; cyclic(mod(i + 1, n), j, path.lon[i]); i--) {
+      path.lon[i] = j;
+    }
+  }
+
+  /**
+   * Penalty for approximating points i..j with a single straight segment
+   */
+  static penalty3(path, i, j) {
+    const n = path.len;
+    const pt = path.pt;
+    const sums = path.sums;
+    let r = 0;
+
+    if (j >= n) {
+      j -= n;
+      r = 1;
+    }
+
+    const x = sums[j + 1].x - sums[i].x + r * sums[n].x;
+    const y = sums[j + 1].y - sums[i].y + r * sums[n].y;
+    const x2 = sums[j + 1].x2 - sums[i].x2 + r * sums[n].x2;
+    const xy = sums[j + 1].xy - sums[i].xy + r * sums[n].xy;
+    const y2 = sums[j + 1].y2 - sums[i].y2 + r * sums[n].y2;
+    const k = j + 1 - i + r * n;
+
+    const px = (pt[i].x + pt[j].x) / 2 - pt[0].x;
+    const py = (pt[i].y + pt[j].y) / 2 - pt[0].y;
+    const ey = pt[j].x - pt[i].x;
+    const ex = -(pt[j].y - pt[i].y);
+
+    const a = (x2 - 2 * x * px) / k + px * px;
+    const b = (xy - x * py - y * px) / k + px * py;
+    const c = (y2 - 2 * y * py) / k + py * py;
+
+    const s = ex * ex * a + 2 * ex * ey * b + ey * ey * c;
+    return Math.sqrt(Math.max(0, s));
+  }
+
+  /**
+   * Find the optimal polygon (fewest segments, then least penalty)
+   */
+  static bestPolygon(path) {
+    const n = path.len;
+    const pen = new Array(n + 1);
+    const prev = new Array(n + 1);
+    const clip0 = new Array(n);
+    const clip1 = new Array(n + 1);
+    const seg0 = new Array(n + 1);
+    const seg1 = new Array(n + 1);
+    let i, j, k;
+
+    for (i = 0; i < n; i++) {
+      let c = mod(path.lon[mod(i - 1, n)] - 1, n);
+      if (c === i) {
+        c = mod(i + 1, n);
+      }
+      clip0[i] = c < i ? n : c;
+    }
+
+    j = 1;
+    for (i = 0; i < n; i++) {
+      while (j <= clip0[i]) {
+        clip1[j] = i;
+        j++;
+      }
+    }
+
+    i = 0;
+    for (j = 0; i < n; j++) {
+      seg0[j] = i;
+      i = clip0[i];
+    }
+    seg0[j] = n;
+    const m = j;
+
+    i = n;
+    for (j = m; j > 0; j--) {
+      seg1[j] = i;
+      i = clip1[i];
+    }
+    seg1[0] = 0;
+
+    pen[0] = 0;
+    for (j = 1; j <= m; j++) {
+      for (i = seg1[j]; i <= seg0[j]; i++) {
+        let best = -1;
+        for (k = seg0[j - 1]; k >= clip1[i]; k--) {
+          const thispen = this.penalty3(path, k, i) + pen[k];
+          if (best < 0 || thispen < best) {
+            prev[i] = k;
+            best = thispen;
+          }
+        }
+        pen[i] = best;
+      }
+    }
+
+    path.m = m;
+    path.po = new Array(m);
+
+    for (i = n, j = m - 1; i > 0; j--) {
+      i = prev[i];
+      path.po[j] = i;
+    }
+  }
+
+  /**
+   * Best-fit line (center and direction) through points i..j
+   */
+  static pointSlope(path, i, j, ctr, dir) {
+    const n = path.len;
+    const sums = path.sums;
+    let r = 0;
+
+    while (j >= n) { j -= n; r += 1; }
+    while (i >= n) { i -= n; r -= 1; }
+    while (j < 0) { j += n; r -= 1; }
+    while (i < 0) { i += n; r += 1; }
+
+    const x = sums[j + 1].x - sums[i].x + r * sums[n].x;
+    const y = sums[j + 1].y - sums[i].y + r * sums[n].y;
+    const x2 = sums[j + 1].x2 - sums[i].x2 + r * sums[n].x2;
+    const xy = sums[j + 1].xy - sums[i].xy + r * sums[n].xy;
+    const y2 = sums[j + 1].y2 - sums[i].y2 + r * sums[n].y2;
+    const k = j + 1 - i + r * n;
+
+    ctr.x = x / k;
+    ctr.y = y / k;
+
+    let a = (x2 - x * x / k) / k;
+    const b = (xy - x * y / k) / k;
+    let c = (y2 - y * y / k) / k;
+
+    // Larger eigenvalue of the covariance matrix
+    const lambda2 = (a + c + Math.sqrt((a - c) * (a - c) + 4 * b * b)) / 2;
+    a -= lambda2;
+    c -= lambda2;
+
+    let l;
+    if (Math.abs(a) >= Math.abs(c)) {
+      l = Math.sqrt(a * a + b * b);
+      if (l !== 0) {
+        dir.x = -b / l;
+        dir.y = a / l;
+      }
+    } else {
+      l = Math.sqrt(c * c + b * b);
+      if (l !== 0) {
+        dir.x = -c / l;
+        dir.y = b / l;
+      }
+    }
+
+    if (l === 0) {
+      dir.x = dir.y = 0;
+    }
+  }
+
+  /**
+   * Move polygon vertices to the intersection of neighbouring best-fit lines,
+   * constrained to the unit square around the original lattice point
+   */
+  static adjustVertices(path) {
+    const m = path.m;
+    const po = path.po;
+    const n = path.len;
+    const pt = path.pt;
+    const x0 = path.x0;
+    const y0 = path.y0;
+    const ctr = new Array(m);
+    const dir = new Array(m);
+    const q = new Array(m);
+    const v = [0, 0, 0];
+
+    path.curve = createCurve(m);
+
+    for (let i = 0; i < m; i++) {
+      let j = po[mod(i + 1, m)];
+      j = mod(j - po[i], n) + po[i];
+      ctr[i] = { x: 0, y: 0 };
+      dir[i] = { x: 0, y: 0 };
+      this.pointSlope(path, po[i], j, ctr[i], dir[i]);
+    }
+
+    // Quadratic forms measuring squared distance to each best-fit line
+    for (let i = 0; i < m; i++) {
+      q[i] = new Array(9).fill(0);
+      const d = dir[i].x * dir[i].x + dir[i].y * dir[i].y;
+
+      if (d !== 0) {
+        v[0] = dir[i].y;
+        v[1] = -dir[i].x;
+        v[2] = -v[1] * ctr[i].y - v[0] * ctr[i].x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            q[i][l * 3 + k] = v[l] * v[k] / d;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < m; i++) {
+      const s = { x: pt[po[i]].x - x0, y: pt[po[i]].y - y0 };
+      const w = { x: 0, y: 0 };
+      const j = mod(i - 1, m);
+      const Q = new Array(9);
+
+      for (let l = 0; l < 9; l++) {
+        Q[l] = q[j][l] + q[i][l];
+      }
+
+      while (true) {
+        const det = Q[0] * Q[4] - Q[1] * Q[3];
+        if (det !== 0) {
+          w.x = (-Q[2] * Q[4] + Q[5] * Q[1]) / det;
+          w.y = (Q[2] * Q[3] - Q[5] * Q[0]) / det;
+          break;
+        }
+
+        // Lines are parallel: add a constraint through the original point
+        if (Q[0] > Q[4]) {
+          v[0] = -Q[1];
+          v[1] = Q[0];
+        } else if (Q[4]) {
+          v[0] = -Q[4];
+          v[1] = Q[3];
+        } else {
+          v[0] = 1;
+          v[1] = 0;
+        }
+        const d = v[0] * v[0] + v[1] * v[1];
+        v[2] = -v[1] * s.y - v[0] * s.x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            Q[l * 3 + k] += v[l] * v[k] / d;
+          }
+        }
+      }
+
+      if (Math.abs(w.x - s.x) <= 0.5 && Math.abs(w.y - s.y) <= 0.5) {
+        path.curve.vertex[i] = { x: w.x + x0, y: w.y + y0 };
+        continue;
+      }
+
+      // Intersection lies outside the unit square: minimize on its boundary
+      let min = quadform(Q, s);
+      let xmin = s.x;
+      let ymin = s.y;
+
+      if (Q[0] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          w.y = s.y - 0.5 + z;
+          w.x = -(Q[1] * w.y + Q[2]) / Q[0];
+          const cand = quadform(Q, w);
+          if (Math.abs(w.x - s.x) <= 0.5 && cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      if (Q[4] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          w.x = s.x - 0.5 + z;
+          w.y = -(Q[3] * w.x + Q[5]) / Q[4];
+          const cand = quadform(Q, w);
+          if (Math.abs(w.y - s.y) <= 0.5 && cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      for (let l = 0; l < 2; l++) {
+        for (let k = 0; k < 2; k++) {
+          w.x = s.x - 0.5 + l;
+          w.y = s.y - 0.5 + k;
+          const cand = quadform(Q, w);
+          if (cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      path.curve.vertex[i] = { x: xmin + x0, y: ymin + y0 };
+    }
+  }
+
+  /**
+   * Decide for each vertex whether it is a corner or a smooth curve.
+   * Vertices whose alpha reaches alphamax become corners.
+   */
+  static smooth(curve, alphamax) {
+    const m = curve.n;
+
+    for (let i = 0; i < m; i++) {
+      const j = mod(i + 1, m);
+      const k = mod(i + 2, m);
+      const p4 = interval(0.5, curve.vertex[k], curve.vertex[j]);
+      const denom = ddenom(curve.vertex[i], curve.vertex[k]);
+      let alpha;
+
+      if (denom !== 0) {
+        const dd = Math.abs(dpara(curve.vertex[i], curve.vertex[j], curve.vertex[k]) / denom);
+        alpha = dd > 1 ? (1 - 1 / dd) : 0;
+        alpha = alpha / 0.75;
+      } else {
+        alpha = 4 / 3;
+      }
+
+      curve.alpha0[j] = alpha;
+
+      if (alpha >= alphamax) {
+        curve.tag[j] = 'CORNER';
+        curve.c[3 * j + 1] = curve.vertex[j];
+        curve.c[3 * j + 2] = p4;
+      } else {
+        if (alpha < 0.55) {
+          alpha = 0.55;
+        } else if (alpha > 1) {
+          alpha = 1;
+        }
+        curve.tag[j] = 'CURVE';
+        curve.c[3 * j] = interval(0.5 + 0.5 * alpha, curve.vertex[i], curve.vertex[j]);
+        curve.c[3 * j + 1] = interval(0.5 + 0.5 * alpha, curve.vertex[k], curve.vertex[j]);
+        curve.c[3 * j + 2] = p4;
+      }
+
+      curve.alpha[j] = alpha;
+      curve.beta[j] = 0.5;
+    }
+  }
+
+  /**
+   * Penalty for merging curve segments i..j into a single Bezier.
+   * Returns true when the merge is not possible.
+   */
+  static optiPenalty(curve, i, j, res, opttolerance, convc, areac) {
+    const m = curve.n;
+    const vertex = curve.vertex;
+
+    if (i === j) return true;
+
+    const i1 = mod(i + 1, m);
+    let k1 = mod(i + 1, m);
+    const conv = convc[k1];
+    if (conv === 0) return true;
+
+    // All segments must be convex in the same direction and turn < 179 degrees
+    let d = ddist(vertex[i], vertex[i1]);
+    for (let k = k1; k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      const k2 = mod(k + 2, m);
+      if (convc[k1] !== conv) return true;
+      if (sign(cprod(vertex[i], vertex[i1], vertex[k1], vertex[k2])) !== conv) return true;
+      if (iprod1(vertex[i], vertex[i1], vertex[k1], vertex[k2]) < d * ddist(vertex[k1], vertex[k2]) * -0.999847695156) {
+        return true;
+      }
+    }
+
+    const p0 = curve.c[mod(i, m) * 3 + 2];
+    let p1 = vertex[mod(i + 1, m)];
+    let p2 = vertex[mod(j, m)];
+    const p3 = curve.c[mod(j, m) * 3 + 2];
+
+    let area = areac[j] - areac[i];
+    area -= dpara(vertex[0], curve.c[i * 3 + 2], curve.c[j * 3 + 2]) / 2;
+    if (i >= j) {
+      area += areac[m];
+    }
+
+    const A1 = dpara(p0, p1, p2);
+    const A2 = dpara(p0, p1, p3);
+    const A3 = dpara(p0, p2, p3);
+    const A4 = A1 + A3 - A2;
+
+    if (A2 === A1) return true;
+
+    let t = A3 / (A3 - A4);
+    const s = A2 / (A2 - A1);
+    const A = A2 * t / 2;
+
+    if (A === 0) return true;
+
+    const R = area / A;
+    const alpha = 2 - Math.sqrt(4 - R / 0.3);
+
+    res.c = [interval(t * alpha, p0, p1), interval(s * alpha, p3, p2)];
+    res.alpha = alpha;
+    res.t = t;
+    res.s = s;
+
+    p1 = res.c[0];
+    p2 = res.c[1];
+    res.pen = 0;
+
+    // The merged curve must stay close to every original edge
+    for (let k = mod(i + 1, m); k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      t = tangent(p0, p1, p2, p3, vertex[k], vertex[k1]);
+      if (t < -0.5) return true;
+      const pt = bezier(t, p0, p1, p2, p3);
+      d = ddist(vertex[k], vertex[k1]);
+      if (d === 0) return true;
+      const d1 = dpara(vertex[k], vertex[k1], pt) / d;
+      if (Math.abs(d1) > opttolerance) return true;
+      if (iprod(vertex[k], vertex[k1], pt) < 0 || iprod(vertex[k1], vertex[k], pt) < 0) return true;
+      res.pen += d1 * d1;
+    }
+
+    // ...and to every original corner
+    for (let k = i; k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      t = tangent(p0, p1, p2, p3, curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (t < -0.5) return true;
+      const pt = bezier(t, p0, p1, p2, p3);
+      d = ddist(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (d === 0) return true;
+      let d1 = dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], pt) / d;
+      let d2 = dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], vertex[k1]) / d;
+      d2 *= 0.75 * curve.alpha[k1];
+      if (d2 < 0) {
+        d1 = -d1;
+        d2 = -d2;
+      }
+      if (d1 < d2 - opttolerance) return true;
+      if (d1 < d2) {
+        res.pen += (d1 - d2) * (d1 - d2);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Merge runs of curve segments into fewer Beziers within opttolerance
+   */
+  static optiCurve(path, opttolerance) {
+    const curve = path.curve;
+    const m = curve.n;
+    const vert = curve.vertex;
+    const pt = new Array(m + 1);
+    const pen = new Array(m + 1);
+    const len = new Array(m + 1);
+    const opt = new Array(m + 1);
+    const convc = new Array(m);
+    const areac = new Array(m + 1);
+    let o = {};
+
+    for (let i = 0; i < m; i++) {
+      if (curve.tag[i] === 'CURVE') {
+        convc[i] = sign(dpara(vert[mod(i - 1, m)], vert[i], vert[mod(i + 1, m)]));
+      } else {
+        convc[i] = 0;
+      }
+    }
+
+    // Cumulative area for fast area-under-curve lookups
+    let area = 0;
+    areac[0] = 0;
+    const p0 = curve.vertex[0];
+    for (let i = 0; i < m; i++) {
+      const i1 = mod(i + 1, m);
+      if (curve.tag[i1] === 'CURVE') {
+        const alpha = curve.alpha[i1];
+        area += 0.3 * alpha * (4 - alpha) * dpara(curve.c[i * 3 + 2], vert[i1], curve.c[i1 * 3 + 2]) / 2;
+        area += dpara(p0, curve.c[i * 3 + 2], curve.c[i1 * 3 + 2]) / 2;
+      }
+      areac[i + 1] = area;
+    }
+
+    pt[0] = -1;
+    pen[0] = 0;
+    len[0] = 0;
+
+    for (let j = 1; j <= m; j++) {
+      pt[j] = j - 1;
+      pen[j] = pen[j - 1];
+      len[j] = len[j - 1] + 1;
+
+      for (let i = j - 2; i >= 0; i--) {
+        if (this.optiPenalty(curve, i, mod(j, m), o, opttolerance, convc, areac)) {
+          break;
+        }
+        if (len[j] > len[i] + 1 || (len[j] === len[i] + 1 && pen[j] > pen[i] + o.pen)) {
+          pt[j] = i;
+          pen[j] = pen[i] + o.pen;
+          len[j] = len[i] + 1;
+          opt[j] = o;
+          o = {};
+        }
+      }
+    }
+
+    const om = len[m];
+    const ocurve = createCurve(om);
+    const s = new Array(om);
+    const t = new Array(om);
+
+    let j = m;
+    for (let i = om - 1; i >= 0; i--) {
+      const jm = mod(j, m);
+      if (pt[j] === j - 1) {
+        ocurve.tag[i] = curve.tag[jm];
+        ocurve.c[i * 3] = curve.c[jm * 3];
+        ocurve.c[i * 3 + 1] = curve.c[jm * 3 + 1];
+        ocurve.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        ocurve.vertex[i] = curve.vertex[jm];
+        ocurve.alpha[i] = curve.alpha[jm];
+        ocurve.alpha0[i] = curve.alpha0[jm];
+        ocurve.beta[i] = curve.beta[jm];
+        s[i] = t[i] = 1;
+      } else {
+        ocurve.tag[i] = 'CURVE';
+        ocurve.c[i * 3] = opt[j].c[0];
+        ocurve.c[i * 3 + 1] = opt[j].c[1];
+        ocurve.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        ocurve.vertex[i] = interval(opt[j].s, curve.c[jm * 3 + 2], vert[jm]);
+        ocurve.alpha[i] = opt[j].alpha;
+        ocurve.alpha0[i] = opt[j].alpha;
+        s[i] = opt[j].s;
+        t[i] = opt[j].t;
+      }
+      j = pt[j];
+    }
+
+    for (let i = 0; i < om; i++) {
+      ocurve.beta[i] = s[i] / (s[i] + t[mod(i + 1, om)]);
+    }
+
+    path.curve = ocurve;
+  }
+}
+
+module.exports = CurveFitter;
@@ -0,0 +1,297 @@
+const CurveFitter = require('./curve-fitter');
+const ColorQuantizer = require('./color-quantizer');
+const ContourTracer = require('./contour-tracer');
+const Skeletonizer = require('./skeletonizer');
+const Thresholder = require('./thresholder');
+const PathSimplifier = require('./path-simplifier');
+const PixelTracer = require('./pixel-tracer');
+
+/**
+ * Tracing of raw image data ({ data, width, height }) into fitted layers.
+ * Has no canvas dependency so it runs both in the main thread and in workers.
+ */
+class ImageTracer {
+  /**
+   * Trace image data into layers and apply path simplification.
+   * Options must already include the vectorizer defaults.
+   * Returns { width, height, layers, threshold, nodes } where nodes holds the
+   * node counts before and after simplification.
+   */
+  static trace(imageData, opts) {
+    return this.simplify(this.traceLayers(imageData, opts), opts);
+  }
+
+  /**
+   * Apply path simplification to traced layers, adding the node counts
+   * before and after simplification
+   */
+  static simplify(traced, opts) {
+    const before = this.countNodes(traced.layers);
+    const layers = this.simplifyLayers(traced.layers, opts);
+
+    return {
+      ...traced,
+      layers,
+      nodes: { before, after: this.countNodes(layers) }
+    };
+  }
+
+  /**
+   * Trace image data into layers: one fill layer in mono mode, one fill layer
+   * per quantized color in color mode, one stroke layer in centerline mode,
+   * or one fill layer per exact color in the pixel modes
+   */
+  static traceLayers(imageData, opts) {
+    const { width, height } = imageData;
+
+    // Pixel art keeps its own colors and ignores colorMode
+    if (PixelTracer.MODES.includes(opts.mode)) {
+      return {
+        width,
+        height,
+        layers: PixelTracer.trace(imageData, opts),
+        threshold: null
+      };
+    }
+
+    // Centerline tracing works on the mono bitmap and ignores colorMode
+    if (opts.colorMode === 'color' && opts.mode !== 'centerline') {
+      return {
+        width,
+        height,
+        layers: this.traceColorLayers(imageData, opts),
+        threshold: null
+      };
+    }
+    
+    // Convert to binary bitmap for potrace-like algorithm
+    const bitmap = this.createBitmap(imageData, opts.threshold ?? 128, opts);
+
+    if (opts.mode === 'centerline') {
+      return {
+        width,
+        height,
+        layers: [this.traceCenterlines(bitmap, opts)],
+        threshold: bitmap.threshold
+      };
+    }
+    
+    // Trace paths
+    const paths = this.tracePaths(bitmap, width, height, opts);
+
+    return {
+      width,
+      height,
+      layers: [{ color: opts.fillColor || '#000000', paths }],
+      threshold: bitmap.threshold
+    };
+  }
+
+  /**
+   * Quantize image data and trace one layer per color.
+   * Stacked layers are ordered by area and each covers every color drawn
+   * above it, so no gaps show between neighbouring colors. Cut-out layers
+   * only cover their own pixels.
+   */
+  static traceColorLayers(imageData, opts) {
+    const { width, height } = imageData;
+    const { palette, indices, counts } = ColorQuantizer.quantize(imageData, {
+      colors: opts.colors,
+      palette: opts.palette
+    });
+
+    const order = palette
+      .map((color, index) => index)
+      .filter(index => counts[index] > 0)
+      .sort((a, b) => counts[b] - counts[a]);
+
+    const rank = new Array(palette.length).fill(-1);
+    order.forEach((colorIndex, position) => {
+      rank[colorIndex] = position;
+    });
+
+    const stacked = opts.layering !== 'cutout';
+
+    return order.map((colorIndex, position) => {
+      const data = new Array(width * height);
+
+      for (let p = 0; p < data.length; p++) {
+        const index = indices[p];
+        if (index < 0) {
+          data[p] = 0;
+        } else {
+          data[p] = (stacked ? rank[index] >= position : index === colorIndex) ? 1 : 0;
+        }
+      }
+
+      return {
+        color: ColorQuantizer.toHex(palette[colorIndex]),
+        paths: this.tracePaths({ data, width, height }, width, height, opts)
+      };
+    });
+  }
+
+  /**
+   * Create binary bitmap from image data.
+   * threshold is a gray level, "otsu" or "adaptive"; the bitmap reports the
+   * threshold that was applied.
+   */
+  static createBitmap(imageData, threshold = 128, options = {}) {
+    return Thresholder.binarize(imageData, threshold, options);
+  }
+
+  /**
+   * Trace paths as compound shapes: a fitted outline plus its fitted holes.
+   * Shapes enclosing turdsize pixels or fewer are dropped.
+   */
+  static tracePaths(bitmap, width, height, options) {
+    const contours = ContourTracer.trace(
+      { data: bitmap.data, width, height },
+      { turdsize: options.turdsize, turnpolicy: options.turnpolicy }
+    );
+
+    return this.fitShapes(contours, options);
+  }
+
+  /**
+   * Group traced contours into compound shapes and fit curves to
+   * their outlines and holes
+   */
+  static fitShapes(contours, options) {
+    return ContourTracer.toShapes(contours).map(shape => ({
+      outline: this.smoothPath(shape.outline, options),
+      holes: shape.holes.map(hole => this.smoothPath(hole, options)),
+      area: shape.area
+    }));
+  }
+
+  /**
+   * Trace the skeleton of line art as open stroked paths.
+   * Stroke width is taken from options.strokeWidth or estimated from the
+   * thickness of the original lines. Strokes of turdsize pixels or fewer are dropped.
+   */
+  static traceCenterlines(bitmap, options) {
+    const skeleton = Skeletonizer.thin(bitmap);
+    const strokeWidth = options.strokeWidth > 0
+      ? options.strokeWidth
+      : Skeletonizer.estimateStrokeWidth(bitmap, skeleton);
+
+    const paths = Skeletonizer.tracePolylines(skeleton)
+      .filter(line => line.points.length > options.turdsize)
+      .map(line => ({
+        outline: this.smoothPolyline(line, options),
+        holes: [],
+        area: 0
+      }));
+
+    return {
+      color: options.fillColor || '#000000',
+      paths,
+      strokeWidth
+    };
+  }
+
+  /**
+   * Simplify a skeleton polyline and, with optcurve, pass Catmull-Rom
+   * splines through the remaining points
+   */
+  static smoothPolyline(line, options) {
+    const tolerance = options.opttolerance === undefined ? 1 : options.opttolerance;
+    let points = PathSimplifier.douglasPeucker(line.points, tolerance);
+
+    if (line.closed && points.length > 2) {
+      points = points.concat([points[0]]);
+    }
+
+    if (!options.optcurve || points.length < 3) {
+      return {
+        start: points[0],
+        segments: points.slice(1).map(point => ({ type: 'L', points: [point] })),
+        closed: line.closed
+      };
+    }
+
+    const at = (i) => {
+      if (line.closed) {
+        // Skip the duplicated start point when wrapping around
+        const n = points.length - 1;
+        return points[((i % n) + n) % n];
+      }
+      return points[Math.max(0, Math.min(points.length - 1, i))];
+    };
+
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = at(i - 1);
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const p3 = at(i + 2);
+
+      segments.push({
+        type: 'C',
+        points: [
+          { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+          { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+          p2
+        ]
+      });
+    }
+
+    return { start: points[0], segments, closed: line.closed };
+  }
+
+  /**
+   * Reduce the nodes of straight runs with douglas-peucker or visvalingam.
+   * Pixel modes keep their exact edges.
+   */
+  static simplifyLayers(layers, opts) {
+    if (!opts.simplify || opts.simplify === 'none' || PixelTracer.MODES.includes(opts.mode)) {
+      return layers;
+    }
+
+    const simplifyOptions = { method: opts.simplify, tolerance: opts.simplifyTolerance };
+
+    return layers.map(layer => ({
+      ...layer,
+      paths: layer.paths.map(shape => ({
+        ...shape,
+        outline: PathSimplifier.simplifyPath(shape.outline, simplifyOptions),
+        holes: shape.holes.map(hole => PathSimplifier.simplifyPath(hole, simplifyOptions))
+      }))
+    }));
+  }
+
+  /**
+   * Total number of path nodes in traced layers
+   */
+  static countNodes(layers) {
+    let count = 0;
+    for (const layer of layers) {
+      for (const shape of layer.paths) {
+        for (const path of [shape.outline, ...shape.holes]) {
+          count += PathSimplifier.countNodes(path);
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Smooth path using potrace-style curve fitting.
+   * Falls back to a plain polygon when the contour is not a closed lattice path.
+   */
+  static smoothPath(path, options) {
+    const curve = CurveFitter.fit(path, options);
+    if (curve) {
+      return curve;
+    }
+
+    return {
+      start: path[0],
+      segments: path.slice(1).map(point => ({ type: 'L', points: [point] })),
+      closed: true
+    };
+  }
+}
+
+module.exports = ImageTracer;
@@ -0,0 +1,333 @@
+const ContourTracer = require('./contour-tracer');
+const ImageTracer = require('./image-tracer');
+const CncExporter = require('./cnc-exporter');
+
+/**
+ * Offset (outset/inset) outlines around traced artwork, for cut lines and
+ * sticker borders.
+ *
+ * The shapes of all layers are rasterized as one union on a supersampled
+ * grid, grown or shrunk with a Euclidean distance transform and traced back
+ * into curves. Growing by distance gives rounded joins, and shapes that grow
+ * into each other merge into a single outline.
+ */
+
+// Upper bound on supersampled grid cells, and on the supersampling factor
+const MAX_GRID_CELLS = 4000000;
+const MAX_SUPERSAMPLING = 4;
+
+// Units per inch for the physical offsetUnits
+const UNITS_PER_INCH = { mm: 25.4, in: 1 };
+
+class PathOffsetter {
+  /**
+   * Add offset layers to traced artwork ({ width, height, layers }).
+   * options.offset grows (positive) or shrinks (negative) the outline and
+   * options.kerf moves it outwards by half the cutter width; both are in
+   * offsetUnits. The outline becomes a stroked "CutContour" layer on top.
+   * With options.sticker holes are closed and the area within offset is
+   * filled with stickerColor as a "StickerBorder" layer behind the artwork.
+   * When the outline grows, the canvas grows by the same margin on every
+   * side. Traced artwork without offset options is returned as it is.
+   */
+  static apply(traced, options = {}) {
+    const offset = this.toPixels(options.offset, options);
+    const kerf = this.toPixels(options.kerf, options);
+    const sticker = options.sticker === true;
+
+    if (offset === 0 && kerf <= 0 && !sticker) {
+      return traced;
+    }
+
+    if (options.mode === 'centerline') {
+      throw new Error('Offset outlines need filled shapes and are not available in centerline mode');
+    }
+
+    const cut = offset + Math.max(0, kerf) / 2;
+    const margin = Math.max(0, Math.ceil(cut));
+    const grid = this.grid(traced.width, traced.height, margin + 1);
+    const mask = this.rasterize(traced.layers, grid);
+
+    if (sticker) {
+      this.fillHoles(mask, grid.width, grid.height);
+    }
+
+    const outline = (distance) => {
+      const grown = this.offsetMask(mask, grid, distance);
+      if (sticker) {
+        this.fillHoles(grown, grid.width, grid.height);
+      }
+      return this.traceMask(grown, grid, margin, options);
+    };
+
+    const cutPaths = outline(cut);
+    const layers = [
+      ...traced.layers.map(layer => ({
+        ...layer,
+        paths: layer.paths.map(shape => this.translateShape(shape, margin))
+      })),
+      { color: options.offsetColor || '#ff0000', paths: cutPaths, kind: 'offset', name: 'CutContour' }
+    ];
+
+    if (sticker) {
+      layers.unshift({
+        color: options.stickerColor || '#ffffff',
+        paths: cut === offset ? cutPaths : outline(offset),
+        kind: 'sticker',
+        name: 'StickerBorder'
+      });
+    }
+
+    return {
+      ...traced,
+      width: traced.width + 2 * margin,
+      height: traced.height + 2 * margin,
+      layers
+    };
+  }
+
+  /**
+   * Convert a distance in offsetUnits (px, mm or in) to source pixels.
+   * Physical units use dpi like the CNC output: pixels times scale over dpi.
+   */
+  static toPixels(value, options = {}) {
+    const distance = parseFloat(value) || 0;
+    const perInch = UNITS_PER_INCH[options.offsetUnits];
+
+    if (!perInch) {
+      return distance;
+    }
+
+    const dpi = options.dpi > 0 ? options.dpi : 96;
+    return distance / perInch * dpi / (options.scale || 1);
+  }
+
+  /**
+   * Supersampled grid covering the image plus padding pixels on every side
+   */
+  static grid(width, height, padding) {
+    const paddedWidth = width + 2 * padding;
+    const paddedHeight = height + 2 * padding;
+    const factor = Math.max(1, Math.min(
+      MAX_SUPERSAMPLING,
+      Math.floor(Math.sqrt(MAX_GRID_CELLS / (paddedWidth * paddedHeight)))
+    ));
+
+    return {
+      factor,
+      padding,
+      width: paddedWidth * factor,
+      height: paddedHeight * factor
+    };
+  }
+
+  /**
+   * Union of all shapes as a grid mask, sampling cell centers.
+   * Shapes of one layer are filled together with the even-odd rule, which
+   * keeps islands inside holes.
+   */
+  static rasterize(layers, grid) {
+    const mask = new Uint8Array(grid.width * grid.height);
+    const toGrid = (value) => (value + grid.padding) * grid.factor;
+
+    for (const layer of layers) {
+      const rows = new Map();
+
+      for (const shape of layer.paths) {
+        if (shape.outline.segments.length < 2) continue;
+
+        for (const path of [shape.outline, ...shape.holes]) {
+          const points = CncExporter.flatten(path).map(point => ({ x: toGrid(point.x), y: toGrid(point.y) }));
+
+          points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const top = Math.max(0, Math.ceil(Math.min(a.y, b.y) - 0.5));
+            const bottom = Math.min(grid.height - 1, Math.ceil(Math.max(a.y, b.y) - 0.5) - 1);
+
+            for (let row = top; row <= bottom; row++) {
+              const y = row + 0.5;
+              if (!rows.has(row)) rows.set(row, []);
+              rows.get(row).push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+            }
+          });
+        }
+      }
+
+      for (const [row, crossings] of rows) {
+        crossings.sort((a, b) => a - b);
+
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+          const first = Math.max(0, Math.ceil(crossings[i] - 0.5));
+          const last = Math.min(grid.width, Math.ceil(crossings[i + 1] - 0.5));
+          mask.fill(1, row * grid.width + first, row * grid.width + Math.max(first, last));
+        }
+      }
+    }
+
+    return mask;
+  }
+
+  /**
+   * Fill the enclosed background of a mask in place: every cell not
+   * connected to the border
+   */
+  static fillHoles(mask, width, height) {
+    const outside = new Uint8Array(width * height);
+    const stack = [];
+    const visit = (index) => {
+      if (mask[index] === 0 && outside[index] === 0) {
+        outside[index] = 1;
+        stack.push(index);
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      visit(x);
+      visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      visit(y * width);
+      visit(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      if (x > 0) visit(index - 1);
+      if (x < width - 1) visit(index + 1);
+      if (index >= width) visit(index - width);
+      if (index < (height - 1) * width) visit(index + width);
+    }
+
+    for (let i = 0; i < mask.length; i++) {
+      if (outside[i] === 0) mask[i] = 1;
+    }
+  }
+
+  /**
+   * Grow (positive distance) or shrink (negative distance) a mask by a
+   * distance in source pixels
+   */
+  static offsetMask(mask, grid, distance) {
+    const grow = distance >= 0;
+    // Cell centers sit half a cell inside the outline
+    const limit = Math.abs(distance) * grid.factor + 0.5;
+    const squared = this.distanceField(mask, grid.width, grid.height, grow ? 1 : 0);
+    const result = new Uint8Array(mask.length);
+
+    for (let i = 0; i < mask.length; i++) {
+      result[i] = grow
+        ? (squared[i] <= limit * limit ? 1 : 0)
+        : (squared[i] > limit * limit ? 1 : 0);
+    }
+
+    return result;
+  }
+
+  /**
+   * Squared Euclidean distance of every cell to the nearest cell whose
+   * mask value is target (Felzenszwalb and Huttenlocher)
+   */
+  static distanceField(mask, width, height, target) {
+    const infinity = 1e20;
+    const field = new Float64Array(width * height);
+    for (let i = 0; i < field.length; i++) {
+      field[i] = mask[i] === target ? 0 : infinity;
+    }
+
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    const transform = (n) => {
+      let k = 0;
+      v[0] = 0;
+      z[0] = -Infinity;
+      z[1] = Infinity;
+
+      for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+          k--;
+          s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+      }
+
+      k = 0;
+      for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) f[y] = field[y * width + x];
+      transform(height);
+      for (let y = 0; y < height; y++) field[y * width + x] = d[y];
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) f[x] = field[y * width + x];
+      transform(width);
+      for (let x = 0; x < width; x++) field[y * width + x] = d[x];
+    }
+
+    return field;
+  }
+
+  /**
+   * Trace a grid mask into fitted shapes in output coordinates
+   */
+  static traceMask(mask, grid, margin, options) {
+    const contours = ContourTracer.trace(
+      { data: mask, width: grid.width, height: grid.height },
+      { turdsize: 0, turnpolicy: 'minority' }
+    );
+    const shift = margin - grid.padding;
+    const toOutput = (point) => ({ x: point.x / grid.factor + shift, y: point.y / grid.factor + shift });
+
+    return ImageTracer.fitShapes(contours, options).map(shape => ({
+      outline: this.mapPath(shape.outline, toOutput),
+      holes: shape.holes.map(hole => this.mapPath(hole, toOutput)),
+      area: shape.area / (grid.factor * grid.factor)
+    }));
+  }
+
+  /**
+   * Move a shape by margin pixels right and down
+   */
+  static translateShape(shape, margin) {
+    if (margin === 0) {
+      return shape;
+    }
+
+    const move = (point) => ({ x: point.x + margin, y: point.y + margin });
+    return {
+      ...shape,
+      outline: this.mapPath(shape.outline, move),
+      holes: shape.holes.map(hole => this.mapPath(hole, move))
+    };
+  }
+
+  /**
+   * Apply a point transform to every point of a fitted path
+   */
+  static mapPath(path, transform) {
+    return {
+      ...path,
+      start: transform(path.start),
+      segments: path.segments.map(segment => ({
+        ...segment,
+        points: segment.points.map(transform)
+      }))
+    };
+  }
+}
+
+module.exports = PathOffsetter;
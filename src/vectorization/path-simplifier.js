@@ -0,0 +1,229 @@
+/**
+ * Node reduction for traced paths: Douglas-Peucker and Visvalingam-Whyatt
+ */
+class PathSimplifier {
+  /**
+   * Simplify the straight runs of a fitted path ({ start, segments, closed }).
+   * Curve segments and the points they join are kept as they are.
+   * tolerance is the maximum deviation in pixels for douglas-peucker; for
+   * visvalingam points spanning a triangle smaller than tolerance squared are dropped.
+   */
+  static simplifyPath(path, options = {}) {
+    const { method = 'douglas-peucker', tolerance = 1 } = options;
+    if (method === 'none' || tolerance <= 0 || path.segments.length < 2) {
+      return path;
+    }
+
+    const simplifyLine = (points, closed) => (method === 'visvalingam'
+      ? this.visvalingam(points, tolerance * tolerance, closed)
+      : this.douglasPeucker(points, tolerance, closed));
+
+    const ends = path.segments.map(segment => segment.points[segment.points.length - 1]);
+    const last = ends[ends.length - 1];
+    const explicitClose = path.closed && last.x === path.start.x && last.y === path.start.y;
+
+    // Polygon: simplify as a ring
+    if (path.closed && path.segments.every(segment => segment.type === 'L')) {
+      const ring = [path.start, ...ends];
+      if (explicitClose) ring.pop();
+
+      const kept = simplifyLine(ring, true);
+      const points = explicitClose ? kept.slice(1).concat([kept[0]]) : kept.slice(1);
+
+      return {
+        start: kept[0],
+        segments: points.map(point => ({ type: 'L', points: [point] })),
+        closed: true
+      };
+    }
+
+    const segments = [];
+    let run = [path.start];
+
+    const flush = () => {
+      for (const point of simplifyLine(run, false).slice(1)) {
+        segments.push({ type: 'L', points: [point] });
+      }
+    };
+
+    for (const segment of path.segments) {
+      if (segment.type === 'L') {
+        run.push(segment.points[0]);
+      } else {
+        flush();
+        segments.push(segment);
+        run = [segment.points[segment.points.length - 1]];
+      }
+    }
+    flush();
+
+    return { start: path.start, segments, closed: path.closed };
+  }
+
+  /**
+   * Number of nodes (start point plus segment end points) in a fitted path
+   */
+  static countNodes(path) {
+    return 1 + path.segments.length;
+  }
+
+  /**
+   * Douglas-Peucker simplification. Open polylines keep both end points;
+   * rings are split at the point farthest from their first point.
+   */
+  static douglasPeucker(points, tolerance, closed = false) {
+    if (points.length < 3 || tolerance <= 0) {
+      return points.slice();
+    }
+
+    if (closed) {
+      let far = 0;
+      let farDistance = -1;
+      points.forEach((point, i) => {
+        const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+        if (distance > farDistance) {
+          farDistance = distance;
+          far = i;
+        }
+      });
+
+      const first = this.douglasPeucker(points.slice(0, far + 1), tolerance);
+      const second = this.douglasPeucker(points.slice(far).concat([points[0]]), tolerance);
+      const ring = first.concat(second.slice(1, -1));
+
+      return ring.length >= 3 ? ring : points.slice();
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      let maxDistance = 0;
+      let index = -1;
+
+      for (let i = first + 1; i < last; i++) {
+        const distance = this.segmentDistance(points[i], points[first], points[last]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          index = i;
+        }
+      }
+
+      if (index >= 0 && maxDistance > tolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  /**
+   * Visvalingam-Whyatt simplification: repeatedly drop the point whose
+   * triangle with its neighbors has the smallest area, while that area is
+   * below minArea. Open polylines keep both end points; rings keep at least three.
+   */
+  static visvalingam(points, minArea, closed = false) {
+    const n = points.length;
+    const minPoints = closed ? 3 : 2;
+    if (n <= minPoints || minArea <= 0) {
+      return points.slice();
+    }
+
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    const areas = new Float64Array(n);
+    const removed = new Uint8Array(n);
+
+    for (let i = 0; i < n; i++) {
+      prev[i] = closed ? (i + n - 1) % n : i - 1;
+      next[i] = closed ? (i + 1) % n : (i + 1 < n ? i + 1 : -1);
+    }
+
+    const area = (i) => {
+      if (prev[i] < 0 || next[i] < 0) return Infinity;
+      const a = points[prev[i]];
+      const b = points[i];
+      const c = points[next[i]];
+      return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+    };
+
+    // Binary min-heap of [area, index] with lazy invalidation
+    const heap = [];
+    const push = (item) => {
+      heap.push(item);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const end = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = end;
+        let i = 0;
+        while (true) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    for (let i = 0; i < n; i++) {
+      areas[i] = area(i);
+      if (areas[i] < Infinity) push([areas[i], i]);
+    }
+
+    let remaining = n;
+    while (heap.length > 0 && remaining > minPoints) {
+      const [value, i] = pop();
+      if (removed[i] || value !== areas[i]) continue;
+      if (value >= minArea) break;
+
+      removed[i] = 1;
+      remaining--;
+      next[prev[i]] = next[i];
+      if (next[i] >= 0) prev[next[i]] = prev[i];
+
+      for (const j of [prev[i], next[i]]) {
+        if (j < 0 || removed[j]) continue;
+        // Keep importance monotonic so later removals never undercut earlier ones
+        areas[j] = Math.max(area(j), value);
+        if (areas[j] < Infinity) push([areas[j], j]);
+      }
+    }
+
+    return points.filter((point, i) => !removed[i]);
+  }
+
+  /**
+   * Distance from point p to segment ab
+   */
+  static segmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    if (lengthSquared === 0) {
+      return Math.hypot(p.x - a.x, p.y - a.y);
+    }
+
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+  }
+}
+
+module.exports = PathSimplifier;
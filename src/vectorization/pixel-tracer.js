@@ -0,0 +1,238 @@
+const ColorQuantizer = require('./color-quantizer');
+const ContourTracer = require('./contour-tracer');
+
+/**
+ * Pixel art tracing.
+ *
+ * Mode "pixel" traces every run of same colored pixels into an exact polygon
+ * along the pixel edges, so scaled output matches nearest-neighbor upscaling.
+ * Mode "depixelize" additionally smooths shallow diagonal staircases, in the
+ * spirit of Kopf and Lischinski's "Depixelizing Pixel Art": staircase corners
+ * move a quarter pixel towards the pixel that sticks out, while single pixels,
+ * blocks and long straight edges keep their corners. Corners move by lattice
+ * point rather than by polygon, so neighboring colors keep sharing their edges.
+ */
+
+const MODES = ['pixel', 'depixelize'];
+
+// Images with more distinct colors are quantized instead of traced exactly
+const MAX_EXACT_COLORS = 256;
+
+// Longest straight run (in pixels) next to a staircase corner that still gets smoothed
+const MAX_STEP_RUN = 2;
+
+// Pixels around a lattice point: top-left, top-right, bottom-left, bottom-right
+const QUADRANTS = [[-1, -1], [0, -1], [-1, 0], [0, 0]];
+
+class PixelTracer {
+  /**
+   * Trace image data ({ data, width, height }) into one layer per color.
+   * Layers never overlap and are ordered by pixel count. Every shape is a
+   * polygon of straight segments with its area in pixels.
+   */
+  static trace(imageData, options = {}) {
+    const { width, height } = imageData;
+    const { colors, indices, counts } = this.indexColors(imageData, options);
+    const offsets = options.mode === 'depixelize'
+      ? this.staircaseOffsets(indices, width, height)
+      : null;
+
+    const order = colors
+      .map((color, index) => index)
+      .filter(index => counts[index] > 0)
+      .sort((a, b) => counts[b] - counts[a]);
+
+    return order.map(colorIndex => {
+      const data = new Uint8Array(width * height);
+      for (let p = 0; p < data.length; p++) {
+        data[p] = indices[p] === colorIndex ? 1 : 0;
+      }
+
+      // Every pixel counts, so turdsize does not apply
+      const contours = ContourTracer.trace(
+        { data, width, height },
+        { turdsize: 0, turnpolicy: options.turnpolicy }
+      );
+
+      return {
+        color: colors[colorIndex],
+        paths: ContourTracer.toShapes(contours).map(shape => ({
+          outline: this.toPolygon(shape.outline, offsets, width),
+          holes: shape.holes.map(hole => this.toPolygon(hole, offsets, width)),
+          area: shape.area
+        }))
+      };
+    });
+  }
+
+  /**
+   * Index every pixel by its exact color. Falls back to ColorQuantizer when
+   * a palette is given or the image has more than MAX_EXACT_COLORS colors.
+   * Returns { colors, indices, counts }, with hex colors and -1 for
+   * transparent pixels.
+   */
+  static indexColors(imageData, options = {}) {
+    const { data } = imageData;
+    const pixelCount = imageData.width * imageData.height;
+
+    if (!options.palette || options.palette.length === 0) {
+      const indices = new Int16Array(pixelCount);
+      const lookup = new Map();
+      const colors = [];
+      const counts = [];
+
+      for (let p = 0; p < pixelCount && colors.length <= MAX_EXACT_COLORS; p++) {
+        const i = p * 4;
+        if (data[i + 3] < 128) {
+          indices[p] = -1;
+          continue;
+        }
+
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let index = lookup.get(key);
+        if (index === undefined) {
+          index = colors.length;
+          lookup.set(key, index);
+          colors.push(ColorQuantizer.toHex([data[i], data[i + 1], data[i + 2]]));
+          counts.push(0);
+        }
+
+        indices[p] = index;
+        counts[index]++;
+      }
+
+      if (colors.length <= MAX_EXACT_COLORS) {
+        return { colors, indices, counts };
+      }
+    }
+
+    const { palette, indices, counts } = ColorQuantizer.quantize(imageData, {
+      colors: options.colors,
+      palette: options.palette
+    });
+
+    return { colors: palette.map(color => ColorQuantizer.toHex(color)), indices, counts };
+  }
+
+  /**
+   * Quarter pixel offsets of the staircase corners, as x, y pairs per
+   * lattice point of a width x height image.
+   * A lattice point is a staircase corner when exactly one of its four pixels
+   * differs from the others, and both edges of that pixel leaving the point
+   * run at most MAX_STEP_RUN pixels before the staircase steps back: at a
+   * corner whose odd pixel has the other color, or at a diagonal pixel pair.
+   */
+  static staircaseOffsets(indices, width, height) {
+    const stride = width + 1;
+    const offsets = new Int8Array(stride * (height + 1) * 2);
+    const at = (px, py) => (px >= 0 && px < width && py >= 0 && py < height ? indices[py * width + px] : -1);
+    const quadrants = (x, y) => QUADRANTS.map(([dx, dy]) => at(x + dx, y + dy));
+
+    // Index of the only pixel around a lattice point with a different color, or -1
+    const oddPixel = (colors) => {
+      for (let k = 0; k < 4; k++) {
+        const others = colors.filter((color, j) => j !== k);
+        if (others[0] !== colors[k] && others.every(color => color === others[0])) {
+          return k;
+        }
+      }
+      return -1;
+    };
+
+    // Whether the staircase steps back at (x, y) after an edge with color a on one side and b on the other
+    const stepsBack = (x, y, a, b) => {
+      const colors = quadrants(x, y);
+      if (!colors.every(color => color === a || color === b)) return false;
+
+      const bCount = colors.filter(color => color === b).length;
+      return bCount === 1 || (bCount === 2 && colors[0] === colors[3]);
+    };
+
+    // Length of the straight run along an edge of the odd pixel, or Infinity past MAX_STEP_RUN
+    const runEnd = (x, y, stepX, stepY, oddSide, otherSide, a, b) => {
+      for (let k = 0; k <= MAX_STEP_RUN; k++) {
+        const px = x + stepX * k;
+        const py = y + stepY * k;
+        if (at(px + oddSide[0], py + oddSide[1]) !== a || at(px + otherSide[0], py + otherSide[1]) !== b) {
+          return k > 0 && stepsBack(px, py, a, b) ? k : Infinity;
+        }
+      }
+      return Infinity;
+    };
+
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x <= width; x++) {
+        const colors = quadrants(x, y);
+        const k = oddPixel(colors);
+        if (k < 0) continue;
+
+        const [ox, oy] = QUADRANTS[k];
+        const a = colors[k];
+        const b = colors[k ^ 1];
+        const sx = ox < 0 ? -1 : 1;
+        const sy = oy < 0 ? -1 : 1;
+
+        // Pixels on either side of the edge starting at a lattice point, relative to that point
+        const horizontal = runEnd(x, y, sx, 0, [ox, oy], [ox, -1 - oy], a, b);
+        const vertical = runEnd(x, y, 0, sy, [ox, oy], [-1 - ox, oy], a, b);
+
+        if (horizontal <= MAX_STEP_RUN && vertical <= MAX_STEP_RUN) {
+          const i = (y * stride + x) * 2;
+          offsets[i] = sx;
+          offsets[i + 1] = sy;
+        }
+      }
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Turn a traced contour into a polygon path, moving staircase corners by
+   * their offsets and dropping points in the middle of straight runs
+   */
+  static toPolygon(points, offsets, width) {
+    const stride = width + 1;
+    const moved = offsets
+      ? points.map(({ x, y }) => {
+        const i = (y * stride + x) * 2;
+        return { x: x + offsets[i] / 4, y: y + offsets[i + 1] / 4 };
+      })
+      : points;
+
+    const corners = this.corners(moved);
+
+    return {
+      start: corners[0],
+      segments: corners.slice(1).map(point => ({ type: 'L', points: [point] })),
+      closed: true
+    };
+  }
+
+  /**
+   * Points of a closed polygon where it changes direction
+   */
+  static corners(points) {
+    const n = points.length;
+    const turns = (a, b, c) => (b.x - a.x) * (c.y - b.y) !== (b.y - a.y) * (c.x - b.x);
+
+    let start = 0;
+    while (start < n - 1 && !turns(points[(start + n - 1) % n], points[start], points[(start + 1) % n])) {
+      start++;
+    }
+
+    const corners = [points[start]];
+    for (let k = 1; k < n; k++) {
+      const i = (start + k) % n;
+      if (turns(corners[corners.length - 1], points[i], points[(i + 1) % n])) {
+        corners.push(points[i]);
+      }
+    }
+
+    return corners;
+  }
+}
+
+PixelTracer.MODES = MODES;
+
+module.exports = PixelTracer;
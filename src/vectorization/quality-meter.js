@@ -0,0 +1,131 @@
+const ColorQuantizer = require('./color-quantizer');
+const ImageTracer = require('./image-tracer');
+const PixelTracer = require('./pixel-tracer');
+
+/**
+ * Fidelity metrics for traced layers.
+ *
+ * The input and the rendered trace are both reduced to one label per pixel:
+ * the index of the layer covering it, or -1 for background. Mono and
+ * centerline traces label the ink of the thresholded bitmap; color and pixel
+ * traces label every opaque pixel with the nearest layer color.
+ */
+
+// Overlay colors for the diff image
+const MISSED_COLOR = [255, 0, 0];
+const EXTRA_COLOR = [0, 0, 255];
+const WRONG_LAYER_COLOR = [255, 0, 255];
+
+class QualityMeter {
+  /**
+   * Layer labels of the input image data, as the tracer saw it
+   */
+  static referenceLabels(imageData, traced, opts) {
+    const pixelCount = imageData.width * imageData.height;
+    const multiColor = opts.mode !== 'centerline' &&
+      (opts.colorMode === 'color' || PixelTracer.MODES.includes(opts.mode));
+
+    if (multiColor) {
+      if (traced.layers.length === 0) {
+        return new Int32Array(pixelCount).fill(-1);
+      }
+
+      const { indices } = ColorQuantizer.quantize(imageData, {
+        palette: traced.layers.map(layer => layer.color)
+      });
+      return Int32Array.from(indices);
+    }
+
+    const bitmap = ImageTracer.createBitmap(imageData, opts.threshold ?? 128, opts);
+    const labels = new Int32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+      labels[p] = bitmap.data[p] === 1 ? 0 : -1;
+    }
+    return labels;
+  }
+
+  /**
+   * Compare rendered labels against reference labels.
+   * Missed pixels are covered in the input but not (or by another layer) in
+   * the trace; extra pixels are covered by the trace but not (or by another
+   * layer) in the input. iou is the intersection over union summed over all
+   * layers; pixelError is the share of pixels with a different label.
+   */
+  static compare(reference, rendered, layers) {
+    const intersections = new Array(layers.length).fill(0);
+    const referenceCounts = new Array(layers.length).fill(0);
+    const renderedCounts = new Array(layers.length).fill(0);
+    let missed = 0;
+    let extra = 0;
+    let different = 0;
+
+    for (let p = 0; p < reference.length; p++) {
+      const expected = reference[p];
+      const actual = rendered[p];
+
+      if (expected >= 0) referenceCounts[expected]++;
+      if (actual >= 0) renderedCounts[actual]++;
+
+      if (expected === actual) {
+        if (expected >= 0) intersections[expected]++;
+        continue;
+      }
+
+      different++;
+      if (expected >= 0) missed++;
+      if (actual >= 0) extra++;
+    }
+
+    const ratio = (part, whole) => (whole > 0 ? Number((part / whole).toFixed(4)) : 1);
+    let intersection = 0;
+    let union = 0;
+
+    const layerReports = layers.map((layer, index) => {
+      const layerUnion = referenceCounts[index] + renderedCounts[index] - intersections[index];
+      intersection += intersections[index];
+      union += layerUnion;
+      return { color: layer.color, iou: ratio(intersections[index], layerUnion) };
+    });
+
+    return {
+      iou: ratio(intersection, union),
+      pixelError: Number((different / reference.length).toFixed(4)),
+      missed,
+      extra,
+      layers: layerReports
+    };
+  }
+
+  /**
+   * RGBA overlay of the input: faded grayscale with missed pixels in red,
+   * extra pixels in blue and pixels of the wrong layer in magenta
+   */
+  static diffOverlay(imageData, reference, rendered) {
+    const { data } = imageData;
+    const overlay = new Uint8ClampedArray(reference.length * 4);
+
+    for (let p = 0; p < reference.length; p++) {
+      const i = p * 4;
+      const expected = reference[p];
+      const actual = rendered[p];
+
+      if (expected !== actual) {
+        if (expected >= 0 && actual >= 0) {
+          overlay.set(WRONG_LAYER_COLOR, i);
+        } else {
+          overlay.set(expected >= 0 ? MISSED_COLOR : EXTRA_COLOR, i);
+        }
+      } else {
+        // Transparent pixels fade like white
+        const alpha = data[i + 3] / 255;
+        const gray = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * alpha + 255 * (1 - alpha);
+        overlay.fill(Math.round(255 - (255 - gray) * 0.3), i, i + 3);
+      }
+      overlay[i + 3] = 255;
+    }
+
+    return overlay;
+  }
+}
+
+module.exports = QualityMeter;
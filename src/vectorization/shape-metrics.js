@@ -0,0 +1,294 @@
+const CncExporter = require('./cnc-exporter');
+
+/**
+ * Per-shape geometry of traced layers, for clients that edit individual
+ * shapes instead of parsing path data.
+ *
+ * Metrics are measured on the flattened paths (curves subdivided roughly
+ * every two pixels), so area, perimeter and centroid of curved shapes are
+ * close approximations.
+ */
+
+class ShapeMetrics {
+  /**
+   * Describe every drawable shape of traced layers, in drawing order.
+   * Coordinates and metrics are multiplied by options.scale and rounded to
+   * options.precision decimals. Returns an array of
+   * { id, layer, kind?, color, fill, stroke, closed, start, segments, holes,
+   * parent, bbox, area, perimeter, centroid }; holes carry their own start,
+   * segments, area and perimeter, and parent is the id of the shape of the
+   * same layer whose hole contains the shape (null for top-level shapes).
+   */
+  static describe(layers, options = {}) {
+    const scale = options.scale || 1;
+    const precision = Number.isInteger(options.precision) ? options.precision : 3;
+    const round = (value) => Number(value.toFixed(precision));
+    const roundPoint = (point) => ({ x: round(point.x), y: round(point.y) });
+    const shapes = [];
+
+    layers.forEach((layer, layerIndex) => {
+      const { fill, stroke } = this.paint(layer, options);
+      const described = [];
+
+      for (const shape of layer.paths) {
+        if (options.mode !== 'centerline' && shape.outline.segments.length < 2) continue;
+
+        const outline = this.scalePath(shape.outline, scale);
+        const holes = shape.holes.map(hole => this.scalePath(hole, scale));
+        const polygon = CncExporter.flatten(outline);
+        const holePolygons = holes.map(hole => CncExporter.flatten(hole));
+        const measured = this.measure(outline.closed ? polygon : null, holePolygons);
+        const bounds = this.bounds(polygon);
+
+        const perimeter = [polygon, ...holePolygons].reduce(
+          (sum, points, index) => sum + this.length(points, index > 0 || outline.closed),
+          0
+        );
+        const centroid = outline.closed && measured.area > 0
+          ? measured.centroid
+          : this.lineCentroid(polygon, outline.closed);
+
+        const description = {
+          id: shapes.length,
+          layer: layerIndex,
+          color: layer.color,
+          fill,
+          stroke,
+          closed: outline.closed,
+          start: roundPoint(outline.start),
+          segments: outline.segments.map(segment => ({
+            type: segment.type,
+            points: segment.points.map(roundPoint)
+          })),
+          holes: holes.map((hole, index) => ({
+            start: roundPoint(hole.start),
+            segments: hole.segments.map(segment => ({
+              type: segment.type,
+              points: segment.points.map(roundPoint)
+            })),
+            area: round(Math.abs(this.signedArea(holePolygons[index]))),
+            perimeter: round(this.length(holePolygons[index], true))
+          })),
+          parent: null,
+          bbox: {
+            x: round(bounds.minX),
+            y: round(bounds.minY),
+            width: round(bounds.maxX - bounds.minX),
+            height: round(bounds.maxY - bounds.minY)
+          },
+          area: round(measured.area),
+          perimeter: round(perimeter),
+          centroid: roundPoint(centroid)
+        };
+
+        if (layer.kind) {
+          description.kind = layer.kind;
+        }
+
+        shapes.push(description);
+        described.push({ description, polygon, holePolygons });
+      }
+
+      this.linkParents(described);
+    });
+
+    return shapes;
+  }
+
+  /**
+   * Fill and stroke color of a layer's shapes (null when not painted),
+   * following the SVG output
+   */
+  static paint(layer, options) {
+    if (layer.kind === 'offset') {
+      return { fill: null, stroke: layer.color };
+    }
+    if (layer.kind === 'sticker') {
+      return { fill: layer.color, stroke: null };
+    }
+
+    const strokeColor = options.strokeColor || layer.color;
+    if (options.mode === 'centerline') {
+      return { fill: null, stroke: strokeColor };
+    }
+
+    const style = options.style || 'filled';
+    return {
+      fill: style === 'stroke' ? null : layer.color,
+      stroke: style === 'filled' ? null : strokeColor
+    };
+  }
+
+  /**
+   * Area and centroid of a polygon minus its holes. Open paths (polygon
+   * null) have no area.
+   */
+  static measure(polygon, holePolygons) {
+    if (!polygon) {
+      return { area: 0, centroid: null };
+    }
+
+    let area = 0;
+    let momentX = 0;
+    let momentY = 0;
+
+    [polygon, ...holePolygons].forEach((points, index) => {
+      const signed = this.signedArea(points);
+      if (signed === 0) return;
+
+      const centroid = this.polygonCentroid(points, signed);
+      const part = index === 0 ? Math.abs(signed) : -Math.abs(signed);
+      area += part;
+      momentX += part * centroid.x;
+      momentY += part * centroid.y;
+    });
+
+    return {
+      area: Math.max(0, area),
+      centroid: area > 0 ? { x: momentX / area, y: momentY / area } : null
+    };
+  }
+
+  /**
+   * Shoelace area of a closed polygon, positive for clockwise winding in
+   * image coordinates
+   */
+  static signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Centroid of a closed polygon with a non-zero signed area
+   */
+  static polygonCentroid(points, signedArea) {
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const cross = a.x * b.y - b.x * a.y;
+      x += (a.x + b.x) * cross;
+      y += (a.y + b.y) * cross;
+    }
+    return { x: x / (6 * signedArea), y: y / (6 * signedArea) };
+  }
+
+  /**
+   * Length-weighted centroid of a polyline, for open paths and degenerate
+   * polygons
+   */
+  static lineCentroid(points, closed) {
+    const count = closed ? points.length : points.length - 1;
+    let total = 0;
+    let x = 0;
+    let y = 0;
+
+    for (let i = 0; i < count; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      total += length;
+      x += length * (a.x + b.x) / 2;
+      y += length * (a.y + b.y) / 2;
+    }
+
+    return total > 0 ? { x: x / total, y: y / total } : { ...points[0] };
+  }
+
+  /**
+   * Length of a polyline, including the closing edge when closed
+   */
+  static length(points, closed) {
+    let length = 0;
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      length += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    return length;
+  }
+
+  /**
+   * Set the parent of every shape lying inside a hole of another shape of
+   * the same layer, to the shape with the smallest such hole
+   */
+  static linkParents(described) {
+    for (const inner of described) {
+      const probe = inner.polygon[0];
+      let parent = null;
+      let smallest = Infinity;
+
+      for (const outer of described) {
+        if (outer === inner) continue;
+
+        for (const hole of outer.holePolygons) {
+          const area = Math.abs(this.signedArea(hole));
+          if (area < smallest && this.contains(hole, probe)) {
+            parent = outer;
+            smallest = area;
+          }
+        }
+      }
+
+      if (parent) {
+        inner.description.parent = parent.description.id;
+      }
+    }
+  }
+
+  /**
+   * Bounding box of a polygon, in one pass so long flattened outlines do
+   * not overflow the call stack
+   */
+  static bounds(points) {
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const { x, y } of points) {
+      box.minX = Math.min(box.minX, x);
+      box.minY = Math.min(box.minY, y);
+      box.maxX = Math.max(box.maxX, x);
+      box.maxY = Math.max(box.maxY, y);
+    }
+    return box;
+  }
+
+  /**
+   * Even-odd point in polygon test
+   */
+  static contains(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Multiply every point of a fitted path by scale
+   */
+  static scalePath(path, scale) {
+    if (scale === 1) {
+      return path;
+    }
+
+    const move = (point) => ({ x: point.x * scale, y: point.y * scale });
+    return {
+      ...path,
+      start: move(path.start),
+      segments: path.segments.map(segment => ({ ...segment, points: segment.points.map(move) }))
+    };
+  }
+}
+
+module.exports = ShapeMetrics;
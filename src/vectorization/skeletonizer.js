@@ -0,0 +1,365 @@
+/**
+ * Skeletonization for centerline (single-stroke) tracing of line art
+ */
+
+// Neighbor offsets in clockwise order starting north: P2..P9
+const NEIGHBORS = [
+  [0, -1], [1, -1], [1, 0], [1, 1],
+  [0, 1], [-1, 1], [-1, 0], [-1, -1]
+];
+
+class Skeletonizer {
+  /**
+   * Thin a binary bitmap ({ data, width, height }) to a one pixel wide
+   * skeleton using Zhang-Suen thinning
+   */
+  static thin(bitmap) {
+    const { width, height } = bitmap;
+    const skeleton = Uint8Array.from(bitmap.data);
+    const toRemove = [];
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (let step = 0; step < 2; step++) {
+        toRemove.length = 0;
+
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            if (!skeleton[y * width + x]) continue;
+
+            const p = this.neighborValues(skeleton, width, height, x, y);
+            const count = p.reduce((sum, v) => sum + v, 0);
+            if (count < 2 || count > 6) continue;
+            if (this.transitions(p) !== 1) continue;
+
+            // p[0]=N, p[2]=E, p[4]=S, p[6]=W
+            if (step === 0) {
+              if (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0) continue;
+            } else if (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0) {
+              continue;
+            }
+
+            toRemove.push(y * width + x);
+          }
+        }
+
+        for (const index of toRemove) {
+          skeleton[index] = 0;
+        }
+        if (toRemove.length > 0) changed = true;
+      }
+    }
+
+    this.removeRedundant(skeleton, width, height);
+
+    return { data: skeleton, width, height };
+  }
+
+  /**
+   * Zhang-Suen leaves 4-connected staircases and 2x2 clumps at corners.
+   * Drop every non-endpoint pixel whose removal keeps its neighbors
+   * 8-connected (Yokoi connectivity number of 1).
+   */
+  static removeRedundant(skeleton, width, height) {
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!skeleton[y * width + x]) continue;
+
+          const p = this.neighborValues(skeleton, width, height, x, y);
+          const count = p.reduce((sum, v) => sum + v, 0);
+          if (count < 2) continue;
+
+          let connectivity = 0;
+          for (let k = 0; k < 8; k += 2) {
+            const q0 = 1 - p[k];
+            const q1 = 1 - p[k + 1];
+            const q2 = 1 - p[(k + 2) % 8];
+            connectivity += q0 - q0 * q1 * q2;
+          }
+
+          if (connectivity === 1) {
+            skeleton[y * width + x] = 0;
+            changed = true;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Values of the eight neighbors of (x, y), outside pixels count as 0
+   */
+  static neighborValues(data, width, height, x, y) {
+    return NEIGHBORS.map(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      return nx >= 0 && nx < width && ny >= 0 && ny < height && data[ny * width + nx] ? 1 : 0;
+    });
+  }
+
+  /**
+   * Number of 0 -> 1 transitions around the neighborhood
+   */
+  static transitions(p) {
+    let count = 0;
+    for (let i = 0; i < 8; i++) {
+      if (!p[i] && p[(i + 1) % 8]) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Split a skeleton into polylines running between endpoints and junctions.
+   * Adjacent junction pixels are merged so branches meet at a single point.
+   * Closed loops without any endpoint become closed polylines.
+   * Points are pixel centers.
+   */
+  static tracePolylines(skeleton) {
+    const { data, width, height } = skeleton;
+    const visited = new Uint8Array(width * height);
+    const polylines = [];
+
+    const countAt = (x, y) =>
+      this.neighborValues(data, width, height, x, y).reduce((sum, v) => sum + v, 0);
+    const isNode = (x, y) => countAt(x, y) !== 2;
+    const junctions = this.labelJunctions(data, width, height, countAt);
+
+    const nextPixel = (x, y, fromIndex) => {
+      // Prefer edge neighbors so diagonal shortcuts do not skip pixels
+      const order = [0, 2, 4, 6, 1, 3, 5, 7];
+      for (const n of order) {
+        const nx = x + NEIGHBORS[n][0];
+        const ny = y + NEIGHBORS[n][1];
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const index = ny * width + nx;
+        if (index === fromIndex || !data[index] || visited[index]) continue;
+        return { x: nx, y: ny };
+      }
+      return null;
+    };
+
+    const walk = (startX, startY, firstX, firstY) => {
+      const points = [{ x: startX, y: startY }];
+      let prev = startY * width + startX;
+      let x = firstX;
+      let y = firstY;
+
+      while (true) {
+        points.push({ x, y });
+        const index = y * width + x;
+        if (isNode(x, y)) break;
+        visited[index] = 1;
+
+        const next = nextPixel(x, y, prev);
+        if (!next) {
+          // Loop closed back onto the start pixel
+          if (this.isAdjacent(x, y, startX, startY) && points.length > 3) {
+            points.push({ x: startX, y: startY });
+          }
+          break;
+        }
+        prev = index;
+        x = next.x;
+        y = next.y;
+      }
+
+      return points;
+    };
+
+    // Pixel centers, with ends on a junction moved to the junction center
+    const toPolyline = (points, closed) => {
+      const centers = points.map(p => ({ x: p.x + 0.5, y: p.y + 0.5 }));
+      if (!closed) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const startJunction = junctions.labels[first.y * width + first.x];
+        const endJunction = junctions.labels[last.y * width + last.x];
+        if (startJunction >= 0) centers[0] = junctions.centers[startJunction];
+        if (endJunction >= 0) centers[centers.length - 1] = junctions.centers[endJunction];
+      }
+      return { points: centers, closed };
+    };
+
+    const segmentKeys = new Set();
+
+    // Branches starting at endpoints and junctions
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (!data[index] || !isNode(x, y)) continue;
+
+        visited[index] = 1;
+        const p = this.neighborValues(data, width, height, x, y);
+
+        if (p.every(v => !v)) {
+          polylines.push(toPolyline([{ x, y }, { x, y }], false));
+          continue;
+        }
+
+        for (let n = 0; n < 8; n++) {
+          if (!p[n]) continue;
+          const nx = x + NEIGHBORS[n][0];
+          const ny = y + NEIGHBORS[n][1];
+          const nIndex = ny * width + nx;
+
+          if (isNode(nx, ny)) {
+            // Pixels of the same junction are already joined at its center
+            const label = junctions.labels[index];
+            if (label >= 0 && label === junctions.labels[nIndex]) continue;
+
+            // Direct node-to-node link, recorded once
+            const key = index < nIndex ? `${index}-${nIndex}` : `${nIndex}-${index}`;
+            if (segmentKeys.has(key)) continue;
+            segmentKeys.add(key);
+            polylines.push(toPolyline([{ x, y }, { x: nx, y: ny }], false));
+          } else if (!visited[nIndex]) {
+            polylines.push(toPolyline(walk(x, y, nx, ny), false));
+          }
+        }
+      }
+    }
+
+    // Remaining pixels belong to closed loops
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (!data[index] || visited[index]) continue;
+
+        visited[index] = 1;
+        const next = nextPixel(x, y, -1);
+        if (!next) continue;
+
+        const points = walk(x, y, next.x, next.y);
+        const closed = points.length > 3 &&
+          points[points.length - 1].x === x && points[points.length - 1].y === y;
+        polylines.push(toPolyline(closed ? points.slice(0, -1) : points, closed));
+      }
+    }
+
+    return polylines;
+  }
+
+  /**
+   * Group 8-connected junction pixels (three or more neighbors).
+   * Returns a label per pixel (-1 outside junctions) and the center of each group.
+   */
+  static labelJunctions(data, width, height, countAt) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const centers = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (!data[index] || labels[index] >= 0 || countAt(x, y) < 3) continue;
+
+        const label = centers.length;
+        const stack = [[x, y]];
+        let sumX = 0, sumY = 0, count = 0;
+        labels[index] = label;
+
+        while (stack.length > 0) {
+          const [cx, cy] = stack.pop();
+          sumX += cx;
+          sumY += cy;
+          count++;
+
+          for (const [dx, dy] of NEIGHBORS) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            const nIndex = ny * width + nx;
+            if (!data[nIndex] || labels[nIndex] >= 0 || countAt(nx, ny) < 3) continue;
+            labels[nIndex] = label;
+            stack.push([nx, ny]);
+          }
+        }
+
+        centers.push({ x: sumX / count + 0.5, y: sumY / count + 0.5 });
+      }
+    }
+
+    return { labels, centers };
+  }
+
+  /**
+   * Whether two pixels are 8-connected neighbors
+   */
+  static isAdjacent(x1, y1, x2, y2) {
+    return Math.abs(x1 - x2) <= 1 && Math.abs(y1 - y2) <= 1 && (x1 !== x2 || y1 !== y2);
+  }
+
+  /**
+   * Estimate the stroke width of line art from the distance between the
+   * skeleton and the nearest background pixel
+   */
+  static estimateStrokeWidth(bitmap, skeleton) {
+    const distances = this.distanceTransform(bitmap);
+    let total = 0;
+    let count = 0;
+
+    for (let i = 0; i < skeleton.data.length; i++) {
+      if (skeleton.data[i]) {
+        total += distances[i];
+        count++;
+      }
+    }
+
+    if (count === 0) return 1;
+    return Math.max(1, 2 * (total / count) - 1);
+  }
+
+  /**
+   * Two-pass chamfer distance from each ink pixel to the nearest background pixel
+   */
+  static distanceTransform(bitmap) {
+    const { data, width, height } = bitmap;
+    const diagonal = Math.SQRT2;
+    const distances = new Float32Array(width * height);
+
+    for (let i = 0; i < distances.length; i++) {
+      distances[i] = data[i] ? Infinity : 0;
+    }
+
+    const relax = (x, y, dx, dy, cost) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      // Pixels outside the bitmap count as background
+      const neighbor = nx < 0 || nx >= width || ny < 0 || ny >= height ? 0 : distances[ny * width + nx];
+      const index = y * width + x;
+      if (neighbor + cost < distances[index]) {
+        distances[index] = neighbor + cost;
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!distances[y * width + x]) continue;
+        relax(x, y, -1, 0, 1);
+        relax(x, y, 0, -1, 1);
+        relax(x, y, -1, -1, diagonal);
+        relax(x, y, 1, -1, diagonal);
+      }
+    }
+
+    for (let y = height - 1; y >= 0; y--) {
+      for (let x = width - 1; x >= 0; x--) {
+        if (!distances[y * width + x]) continue;
+        relax(x, y, 1, 0, 1);
+        relax(x, y, 0, 1, 1);
+        relax(x, y, 1, 1, diagonal);
+        relax(x, y, -1, 1, diagonal);
+      }
+    }
+
+    return distances;
+  }
+}
+
+module.exports = Skeletonizer;
@@ -0,0 +1,251 @@
+/**
+ * Binarization of image data for tracing: fixed, Otsu and adaptive thresholds
+ */
+
+// Largest adaptive neighborhood, bounding the cost of local thresholds
+const MAX_BLOCK_SIZE = 255;
+
+class Thresholder {
+  /**
+   * Convert image data to a binary bitmap ({ data, width, height }, 1 = ink).
+   * threshold is a gray level (0-255), "otsu" or "adaptive".
+   * The returned bitmap carries the applied threshold: the gray level for
+   * fixed and Otsu thresholds, "adaptive" for local thresholds.
+   */
+  static binarize(imageData, threshold = 128, options = {}) {
+    const { width, height } = imageData;
+    const { gray, opaque } = this.toGray(imageData);
+    const bitmap = new Array(width * height);
+
+    if (threshold === 'adaptive') {
+      const {
+        adaptiveMethod = 'mean',
+        blockSize = 15,
+        adaptiveOffset = 5
+      } = options;
+
+      const local = this.localThresholds(gray, width, height, adaptiveMethod, blockSize);
+
+      for (let p = 0; p < bitmap.length; p++) {
+        bitmap[p] = opaque[p] && gray[p] <= local[p] - adaptiveOffset ? 1 : 0;
+      }
+
+      return { data: bitmap, width, height, threshold: 'adaptive' };
+    }
+
+    const level = threshold === 'otsu' ? this.otsu(gray, opaque) : threshold;
+
+    for (let p = 0; p < bitmap.length; p++) {
+      // Transparent pixels count as background
+      bitmap[p] = opaque[p] && gray[p] <= level ? 1 : 0;
+    }
+
+    return { data: bitmap, width, height, threshold: level };
+  }
+
+  /**
+   * Luma of every pixel; transparent pixels are reported as white
+   */
+  static toGray(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Float32Array(width * height);
+    const opaque = new Uint8Array(width * height);
+
+    for (let p = 0; p < gray.length; p++) {
+      const i = p * 4;
+      if (data[i + 3] < 128) {
+        gray[p] = 255;
+      } else {
+        gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        opaque[p] = 1;
+      }
+    }
+
+    return { gray, opaque };
+  }
+
+  /**
+   * Otsu's method: the gray level that maximizes the between-class variance
+   * of the opaque pixels
+   */
+  static otsu(gray, opaque) {
+    return this.otsuLevel(this.histogram(gray, opaque));
+  }
+
+  /**
+   * Gray level histogram of the opaque pixels, optionally added to an
+   * existing histogram (used to accumulate tiles)
+   */
+  static histogram(gray, opaque, histogram = new Array(256).fill(0)) {
+    for (let p = 0; p < gray.length; p++) {
+      if (!opaque[p]) continue;
+      histogram[Math.round(gray[p])]++;
+    }
+
+    return histogram;
+  }
+
+  /**
+   * Otsu threshold of a gray level histogram
+   */
+  static otsuLevel(histogram) {
+    let total = 0;
+    let sum = 0;
+    for (let level = 0; level < 256; level++) {
+      total += histogram[level];
+      sum += level * histogram[level];
+    }
+
+    if (total === 0) return 128;
+
+    let backgroundSum = 0;
+    let backgroundCount = 0;
+    let bestLevel = 128;
+    let bestVariance = -1;
+
+    for (let level = 0; level < 256; level++) {
+      backgroundCount += histogram[level];
+      if (backgroundCount === 0) continue;
+
+      const foregroundCount = total - backgroundCount;
+      if (foregroundCount === 0) break;
+
+      backgroundSum += level * histogram[level];
+      const meanBackground = backgroundSum / backgroundCount;
+      const meanForeground = (sum - backgroundSum) / foregroundCount;
+      const variance = backgroundCount * foregroundCount * (meanBackground - meanForeground) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        bestLevel = level;
+      }
+    }
+
+    return bestLevel;
+  }
+
+  /**
+   * Local threshold per pixel: mean or Gaussian weighted mean of the
+   * blockSize x blockSize neighborhood
+   */
+  static localThresholds(gray, width, height, method = 'mean', blockSize = 15) {
+    const size = this.blockSize(blockSize);
+
+    return method === 'gaussian'
+      ? this.gaussianMean(gray, width, height, size)
+      : this.boxMean(gray, width, height, size);
+  }
+
+  /**
+   * Odd neighborhood size between 3 and MAX_BLOCK_SIZE for a requested
+   * block size; 15 when it is not a number
+   */
+  static blockSize(blockSize = 15) {
+    const requested = Math.floor(blockSize);
+    const size = Number.isNaN(requested) ? 15 : Math.min(MAX_BLOCK_SIZE, Math.max(3, requested));
+    return size % 2 === 0 ? size + 1 : size;
+  }
+
+  /**
+   * Box mean using an integral image; windows are clipped at the borders
+   */
+  static boxMean(gray, width, height, size) {
+    const radius = (size - 1) / 2;
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += gray[y * width + x];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+      }
+    }
+
+    const means = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - radius);
+      const y1 = Math.min(height, y + radius + 1);
+
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - radius);
+        const x1 = Math.min(width, x + radius + 1);
+        const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+          integral[y1 * stride + x0] + integral[y0 * stride + x0];
+        means[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+      }
+    }
+
+    return means;
+  }
+
+  /**
+   * Separable Gaussian blur with sigma derived from the block size,
+   * replicating border pixels
+   */
+  static gaussianMean(gray, width, height, size) {
+    const radius = (size - 1) / 2;
+    const sigma = 0.3 * ((size - 1) * 0.5 - 1) + 0.8;
+    const kernel = [];
+    let kernelSum = 0;
+
+    for (let i = -radius; i <= radius; i++) {
+      const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+      kernel.push(weight);
+      kernelSum += weight;
+    }
+    for (let i = 0; i < kernel.length; i++) {
+      kernel[i] /= kernelSum;
+    }
+
+    const clamp = (value, max) => (value < 0 ? 0 : value > max ? max : value);
+    const horizontal = new Float32Array(width * height);
+    const means = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          sum += kernel[k + radius] * gray[y * width + clamp(x + k, width - 1)];
+        }
+        horizontal[y * width + x] = sum;
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          sum += kernel[k + radius] * horizontal[clamp(y + k, height - 1) * width + x];
+        }
+        means[y * width + x] = sum;
+      }
+    }
+
+    return means;
+  }
+
+  /**
+   * Parse a threshold from a request value: gray level, "otsu" or "adaptive"
+   */
+  static parseThreshold(value, defaultValue = 128) {
+    if (value === undefined || value === null || value === '') return defaultValue;
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'otsu' || text === 'adaptive') {
+      return text;
+    }
+
+    const level = parseInt(text);
+    if (Number.isNaN(level) || level < 0 || level > 255) {
+      throw new Error(`Invalid threshold: ${value}. Use 0-255, otsu or adaptive`);
+    }
+
+    return level;
+  }
+}
+
+Thresholder.MAX_BLOCK_SIZE = MAX_BLOCK_SIZE;
+
+module.exports = Thresholder;
@@ -0,0 +1,301 @@
+const ContourTracer = require('./contour-tracer');
+const Thresholder = require('./thresholder');
+
+/**
+ * Tiled boundary tracing for images too large to trace in one piece.
+ *
+ * Every lattice point (pixel corner) belongs to exactly one tile. A tile
+ * follows the boundary edges leaving its own lattice points, with ink on the
+ * same side as ContourTracer, and cuts the boundary into a chain wherever it
+ * crosses into another tile. Chains are keyed by their first edge and name
+ * the edge that continues them, so the chains of all tiles stitch into closed
+ * contours regardless of where the seams fall. Tiles are binarized with a
+ * margin, so turn policies and adaptive thresholds see the same pixels on
+ * both sides of a seam.
+ */
+
+// Unit steps by direction index: down, right, up, left
+const DIRECTIONS = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+// Pixels around a lattice point read by ContourTracer.majority, plus the
+// step across the tile border taken before a chain is cut
+const POLICY_MARGIN = 5;
+
+class TiledTracer {
+  /**
+   * Split a width x height image into tiles of tileSize lattice points.
+   * A tile owns the lattice points [x0, x1) x [y0, y1) and reads the pixels
+   * [left, right) x [top, bottom): the pixels it owns plus margin.
+   */
+  static tiles(width, height, tileSize, margin = POLICY_MARGIN) {
+    const tiles = [];
+    let y1;
+
+    for (let y0 = 0; y0 <= height; y0 = y1) {
+      // The last row and column also own the lattice points on the far border
+      y1 = y0 + tileSize >= height ? height + 1 : y0 + tileSize;
+      let x1;
+
+      for (let x0 = 0; x0 <= width; x0 = x1) {
+        x1 = x0 + tileSize >= width ? width + 1 : x0 + tileSize;
+        tiles.push({
+          x0,
+          y0,
+          x1,
+          y1,
+          left: Math.max(0, x0 - margin),
+          top: Math.max(0, y0 - margin),
+          right: Math.min(width, x1 + margin),
+          bottom: Math.min(height, y1 + margin),
+          width,
+          height
+        });
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Margin in pixels each tile needs around its own pixels
+   */
+  static margin(options = {}) {
+    if (options.threshold !== 'adaptive') {
+      return POLICY_MARGIN;
+    }
+
+    return POLICY_MARGIN + (Thresholder.blockSize(options.blockSize) - 1) / 2;
+  }
+
+  /**
+   * Trace the boundary chains leaving the lattice points of one tile.
+   * imageData holds the tile's pixels with margin. options.threshold must be
+   * a gray level or "adaptive"; Otsu levels are resolved over the whole image
+   * beforehand. Returns chains of { first, next, points }: the key of the
+   * chain's first edge, the key of the edge continuing it (null when the chain
+   * is a closed contour) and its lattice points as a flat x, y list.
+   */
+  static traceTile(imageData, tile, options = {}) {
+    const { turnpolicy = 'minority', threshold = 128 } = options;
+
+    if (!ContourTracer.TURN_POLICIES.includes(turnpolicy)) {
+      throw new Error(`Invalid turn policy: ${turnpolicy}. Use ${ContourTracer.TURN_POLICIES.join(', ')}`);
+    }
+
+    const bitmap = Thresholder.binarize(imageData, threshold, options);
+    const { x0, y0, x1, y1, left, top } = tile;
+    const lattice = tile.width + 1;
+    const tileWidth = x1 - x0;
+    const visited = new Uint8Array(tileWidth * (y1 - y0));
+
+    const at = (x, y) => {
+      const px = x - left;
+      const py = y - top;
+      return px >= 0 && px < bitmap.width && py >= 0 && py < bitmap.height &&
+        bitmap.data[py * bitmap.width + px] === 1;
+    };
+    const key = (x, y, d) => (y * lattice + x) * 4 + d;
+    const owned = (x, y) => x >= x0 && x < x1 && y >= y0 && y < y1;
+    const isVisited = (x, y, d) => (visited[(y - y0) * tileWidth + x - x0] >> d) & 1;
+
+    // Boundary edge leaving (x, y) in direction d with ink on the contour side
+    const hasEdge = (x, y, d) => {
+      switch (d) {
+        case 0: return at(x, y) && !at(x - 1, y);
+        case 1: return at(x, y - 1) && !at(x, y);
+        case 2: return at(x - 1, y - 1) && !at(x, y - 1);
+        default: return at(x - 1, y) && !at(x - 1, y - 1);
+      }
+    };
+
+    // Direction leaving (x, y) after arriving in direction d, as in ContourTracer.findPath
+    const nextDirection = (x, y, d) => {
+      const [dirx, diry] = DIRECTIONS[d];
+      const l = at(x + (dirx + diry - 1) / 2, y + (diry - dirx - 1) / 2);
+      const r = at(x + (dirx - diry - 1) / 2, y + (diry + dirx - 1) / 2);
+
+      if (r && !l) {
+        return this.joinsInk(turnpolicy, at, x, y) ? (d + 3) % 4 : (d + 1) % 4;
+      }
+      if (r) return (d + 3) % 4;
+      if (!l) return (d + 1) % 4;
+      return d;
+    };
+
+    const walk = (startX, startY, startD) => {
+      const points = [];
+      let x = startX;
+      let y = startY;
+      let d = startD;
+
+      while (true) {
+        visited[(y - y0) * tileWidth + x - x0] |= 1 << d;
+        points.push(x, y);
+
+        x += DIRECTIONS[d][0];
+        y += DIRECTIONS[d][1];
+        d = nextDirection(x, y, d);
+
+        if (x === startX && y === startY && d === startD) {
+          return { first: key(startX, startY, startD), next: null, points };
+        }
+
+        // Cut the chain where it leaves the tile or runs into a traced chain
+        if (!owned(x, y) || isVisited(x, y, d)) {
+          return { first: key(startX, startY, startD), next: key(x, y, d), points };
+        }
+      }
+    };
+
+    const chains = [];
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        for (let d = 0; d < 4; d++) {
+          if (!isVisited(x, y, d) && hasEdge(x, y, d)) {
+            chains.push(walk(x, y, d));
+          }
+        }
+      }
+    }
+
+    return chains;
+  }
+
+  /**
+   * Turn policy decision at an ambiguous lattice point: whether the two
+   * diagonal ink pixels are connected. Tiles only see the original bitmap,
+   * so left and right, which depend on the order contours are found in,
+   * resolve like white and black.
+   */
+  static joinsInk(turnpolicy, at, x, y) {
+    switch (turnpolicy) {
+      case 'black':
+      case 'right':
+        return true;
+      case 'white':
+      case 'left':
+        return false;
+      case 'majority':
+        return ContourTracer.majority(at, x, y);
+      case 'random':
+        return ContourTracer.detrand(x, y);
+      default:
+        return !ContourTracer.majority(at, x, y);
+    }
+  }
+
+  /**
+   * Join the chains of all tiles into closed contours in the format of
+   * ContourTracer.trace, in the same order as a whole-image trace.
+   * Contours enclosing turdsize pixels or fewer are dropped.
+   */
+  static stitch(chains, turdsize = 0) {
+    const open = new Map();
+    for (const chain of chains) {
+      if (chain.next !== null) {
+        open.set(chain.first, chain);
+      }
+    }
+
+    const contours = [];
+    const add = (points) => {
+      const contour = this.toContour(points);
+      if (contour.area > turdsize) {
+        contours.push(contour);
+      }
+    };
+
+    for (const chain of chains) {
+      if (chain.next === null) {
+        add(chain.points);
+        continue;
+      }
+
+      if (!open.has(chain.first)) continue;
+
+      const points = [];
+      let current = chain;
+
+      while (true) {
+        open.delete(current.first);
+        for (const value of current.points) {
+          points.push(value);
+        }
+
+        if (current.next === chain.first) break;
+
+        current = open.get(current.next);
+        if (!current) {
+          throw new Error('Tiled tracing could not close a contour across tile seams');
+        }
+      }
+
+      add(points);
+    }
+
+    return contours.sort((a, b) => a.seed.y - b.seed.y || a.seed.x - b.seed.x);
+  }
+
+  /**
+   * Build a contour from a closed loop of lattice points (flat x, y list).
+   * Loops around ink become '+' contours; loops around holes are reversed so
+   * they wind like the holes ContourTracer finds, and become '-' contours.
+   * Both start at the top-left corner of their first pixel, heading down.
+   */
+  static toContour(flat) {
+    const n = flat.length / 2;
+    let area = 0;
+
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      area -= flat[2 * j] * (flat[2 * j + 1] - flat[2 * i + 1]);
+    }
+
+    const sign = area > 0 ? '+' : '-';
+    let points = [];
+    for (let i = 0; i < n; i++) {
+      points.push({ x: flat[2 * i], y: flat[2 * i + 1] });
+    }
+
+    if (sign === '-') {
+      points.reverse();
+      area = -area;
+    }
+
+    let start = -1;
+    for (let i = 0; i < n; i++) {
+      const point = points[i];
+      const next = points[(i + 1) % n];
+      if (next.x !== point.x || next.y !== point.y + 1) continue;
+      if (start < 0 || point.y < points[start].y || (point.y === points[start].y && point.x < points[start].x)) {
+        start = i;
+      }
+    }
+    points = points.slice(start).concat(points.slice(0, start));
+
+    const contour = {
+      points,
+      sign,
+      area,
+      minX: points[0].x,
+      maxX: points[0].x,
+      minY: points[0].y,
+      maxY: points[0].y,
+      seed: { x: points[0].x, y: points[0].y }
+    };
+
+    for (const { x, y } of points) {
+      if (x < contour.minX) contour.minX = x;
+      if (x > contour.maxX) contour.maxX = x;
+      if (y < contour.minY) contour.minY = y;
+      if (y > contour.maxY) contour.maxY = y;
+    }
+
+    return contour;
+  }
+}
+
+TiledTracer.POLICY_MARGIN = POLICY_MARGIN;
+
+module.exports = TiledTracer;
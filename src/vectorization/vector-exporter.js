@@ -0,0 +1,287 @@
+const zlib = require('zlib');
+
+/**
+ * Native PDF and EPS output for traced layers.
+ *
+ * Both formats draw in traced pixel coordinates under a transform that applies
+ * the scale and flips the y axis, so the page measures width x height points
+ * at scale 1.
+ */
+
+const PRODUCER = 'convec-api';
+
+// Line cap and join names by their PDF/PostScript operand
+const LINE_CAPS = ['butt', 'round', 'square'];
+const LINE_JOINS = ['miter', 'round', 'bevel'];
+
+/**
+ * Format a number for PDF/PostScript operands
+ */
+function num(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+/**
+ * Hex color to PDF/PostScript RGB operands (0-1)
+ */
+function rgb(color) {
+  const hex = String(color).replace(/^#/, '');
+  const channels = hex.length === 3
+    ? hex.split('').map(c => parseInt(c + c, 16))
+    : [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+  return channels.map(v => num((Number.isNaN(v) ? 0 : v) / 255)).join(' ');
+}
+
+class VectorExporter {
+  /**
+   * Render traced layers ({ width, height, layers }) as a single page PDF.
+   * Each layer becomes an optional content group so it shows up as a layer
+   * in prepress tools.
+   */
+  static toPDF(traced, options = {}) {
+    const { pageWidth, pageHeight, scale } = this.pageSize(traced, options);
+    const layers = this.drawableLayers(traced.layers, options);
+
+    let content = `${num(scale)} 0 0 ${num(-scale)} 0 ${num(pageHeight)} cm\n`;
+    layers.forEach((layer, index) => {
+      content += `/OC /L${index} BDC\n`;
+      content += this.layerOperators(layer, options, 'pdf');
+      content += 'EMC\n';
+    });
+
+    const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    const firstLayerObject = 6;
+    const layerRefs = layers.map((layer, index) => `${firstLayerObject + index} 0 R`).join(' ');
+    const properties = layers.map((layer, index) => `/L${index} ${firstLayerObject + index} 0 R`).join(' ');
+
+    const objects = [
+      `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${layerRefs}] /D << /Order [${layerRefs}] /ON [${layerRefs}] >> >> >>`,
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] /Resources << /Properties << ${properties} >> >> /Contents 4 0 R >>`,
+      { dictionary: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream },
+      `<< /Producer (${PRODUCER}) >>`,
+      ...layers.map(layer => `<< /Type /OCG /Name (${this.escapeString(layer.name || layer.color)}) >>`)
+    ];
+
+    return this.writePDF(objects, 5);
+  }
+
+  /**
+   * Serialize numbered PDF objects with a cross-reference table
+   */
+  static writePDF(objects, infoObject) {
+    const chunks = [Buffer.from('%PDF-1.5\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((object, index) => {
+      offsets.push(length);
+
+      let chunk;
+      if (typeof object === 'string') {
+        chunk = Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1');
+      } else {
+        chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`, 'latin1'),
+          object.stream,
+          Buffer.from('\nendstream\nendobj\n', 'latin1')
+        ]);
+      }
+
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) {
+      xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+    xref += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoObject} 0 R >>\n`;
+    xref += `startxref\n${length}\n%%EOF\n`;
+
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Render traced layers as Encapsulated PostScript
+   */
+  static toEPS(traced, options = {}) {
+    const { pageWidth, pageHeight, scale } = this.pageSize(traced, options);
+    const layers = this.drawableLayers(traced.layers, options);
+
+    let eps = '%!PS-Adobe-3.0 EPSF-3.0\n';
+    eps += `%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}\n`;
+    eps += `%%HiResBoundingBox: 0 0 ${num(pageWidth)} ${num(pageHeight)}\n`;
+    eps += `%%Creator: ${PRODUCER}\n`;
+    eps += '%%LanguageLevel: 2\n';
+    eps += '%%Pages: 1\n';
+    eps += '%%EndComments\n';
+    eps += '%%BeginProlog\n';
+    eps += '/m { moveto } bind def /l { lineto } bind def /c { curveto } bind def /h { closepath } bind def\n';
+    eps += '%%EndProlog\n';
+    eps += '%%Page: 1 1\n';
+    eps += 'gsave\n';
+    eps += `0 ${num(pageHeight)} translate ${num(scale)} ${num(-scale)} scale\n`;
+
+    for (const layer of layers) {
+      eps += `% Layer ${layer.name || layer.color}\n`;
+      eps += 'gsave\n';
+      eps += this.layerOperators(layer, options, 'eps');
+      eps += 'grestore\n';
+    }
+
+    eps += 'grestore\n';
+    eps += 'showpage\n';
+    eps += '%%EOF\n';
+
+    return eps;
+  }
+
+  /**
+   * Page size in points: traced pixels times scale
+   */
+  static pageSize(traced, options) {
+    const scale = options.scale || 1;
+    return {
+      scale,
+      pageWidth: traced.width * scale,
+      pageHeight: traced.height * scale
+    };
+  }
+
+  /**
+   * Drop shapes too small to draw, matching the SVG output
+   */
+  static drawableLayers(layers, options) {
+    if (options.mode === 'centerline') {
+      return layers;
+    }
+
+    return layers.map(layer => ({
+      ...layer,
+      paths: layer.paths.filter(shape => shape.outline.segments.length >= 2)
+    }));
+  }
+
+  /**
+   * Paint operators for one layer: even-odd fills and/or outline strokes
+   * by options.style, strokes for centerlines
+   */
+  static layerOperators(layer, options, format) {
+    const pdf = format === 'pdf';
+    const color = rgb(layer.color);
+    let ops = '';
+
+    // Cut lines are hairline strokes, sticker borders plain fills
+    if (layer.kind) {
+      const offset = layer.kind === 'offset';
+      ops += offset
+        ? this.strokeState(color, 1, { strokeLinejoin: 'round' }, pdf)
+        : (pdf ? `${color} rg\n` : `${color} setrgbcolor\n`);
+
+      for (const shape of layer.paths) {
+        for (const path of [shape.outline, ...shape.holes]) {
+          ops += this.pathOperators(path);
+        }
+        if (pdf) {
+          ops += offset ? 'S\n' : 'f*\n';
+        } else {
+          ops += offset ? 'stroke\n' : 'eofill\n';
+        }
+      }
+      return ops;
+    }
+
+    if (options.mode === 'centerline') {
+      ops += this.strokeState(rgb(options.strokeColor || layer.color), layer.strokeWidth, options, pdf);
+
+      for (const shape of layer.paths) {
+        ops += this.pathOperators(shape.outline);
+        ops += pdf ? 'S\n' : 'stroke\n';
+      }
+      return ops;
+    }
+
+    const style = options.style || 'filled';
+    const fill = style !== 'stroke';
+
+    // Cut-out and pixel layers share edges; a hairline stroke hides seams as in the SVG
+    const seam = style === 'filled' && ((options.colorMode === 'color' && options.layering === 'cutout') ||
+      options.mode === 'pixel' || options.mode === 'depixelize');
+    const stroke = seam || style !== 'filled';
+    const strokeColor = seam ? color : rgb(options.strokeColor || layer.color);
+
+    if (fill) {
+      ops += pdf ? `${color} rg\n` : `${color} setrgbcolor\n`;
+    }
+    if (seam) {
+      ops += pdf ? `${color} RG 0.5 w\n` : '0.5 setlinewidth\n';
+    } else if (stroke) {
+      // EPS has a single current color, so filled layers set the stroke color per shape
+      const width = options.strokeWidth > 0 ? options.strokeWidth : 1;
+      ops += this.strokeState(pdf || !fill ? strokeColor : null, width, options, pdf);
+    }
+
+    const epsStroke = fill && strokeColor !== color
+      ? `gsave ${strokeColor} setrgbcolor stroke grestore`
+      : 'stroke';
+
+    for (const shape of layer.paths) {
+      for (const path of [shape.outline, ...shape.holes]) {
+        ops += this.pathOperators(path);
+      }
+
+      if (pdf) {
+        ops += fill && stroke ? 'B*\n' : (fill ? 'f*\n' : 'S\n');
+      } else {
+        ops += fill && stroke ? `gsave eofill grestore ${epsStroke}\n` : (fill ? 'eofill\n' : 'stroke\n');
+      }
+    }
+
+    return ops;
+  }
+
+  /**
+   * Stroke color, width, cap and join operators. color may be null to keep
+   * the current stroke color.
+   */
+  static strokeState(color, width, options, pdf) {
+    const cap = LINE_CAPS.indexOf(options.strokeLinecap || 'round');
+    const join = LINE_JOINS.indexOf(options.strokeLinejoin || 'round');
+
+    if (pdf) {
+      return `${color ? `${color} RG ` : ''}${num(width)} w ${cap} J ${join} j\n`;
+    }
+    return `${color ? `${color} setrgbcolor ` : ''}${num(width)} setlinewidth ${cap} setlinecap ${join} setlinejoin\n`;
+  }
+
+  /**
+   * Path construction operators for a fitted path. The EPS prolog defines
+   * m, l, c and h so both formats share the same operators.
+   */
+  static pathOperators(path) {
+    const point = (p) => `${num(p.x)} ${num(p.y)}`;
+    let ops = `${point(path.start)} m\n`;
+
+    for (const segment of path.segments) {
+      ops += `${segment.points.map(point).join(' ')} ${segment.type === 'C' ? 'c' : 'l'}\n`;
+    }
+
+    if (path.closed) {
+      ops += 'h\n';
+    }
+
+    return ops;
+  }
+
+  /**
+   * Escape a PDF literal string
+   */
+  static escapeString(text) {
+    return String(text).replace(/[\\()]/g, match => `\\${match}`);
+  }
+}
+
+module.exports = VectorExporter;
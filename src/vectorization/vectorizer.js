@@ -1,5 +1,16 @@
 const canvasManager = require('../canvas/canvas-manager');
+const BackgroundRemoval = require('../canvas/background-removal');
 const WorkerPool = require('../utils/worker-pool');
+const ImageTracer = require('./image-tracer');
+const TiledTracer = require('./tiled-tracer');
+const PixelTracer = require('./pixel-tracer');
+const QualityMeter = require('./quality-meter');
+const PathOffsetter = require('./path-offsetter');
+const ShapeMetrics = require('./shape-metrics');
+const Thresholder = require('./thresholder');
+const VectorExporter = require('./vector-exporter');
+const CncExporter = require('./cnc-exporter');
+const config = require('../config/canvas');
 const performanceMonitor = require('../utils/performance-monitor');
 const path = require('path');
 
@@ -7,12 +18,25 @@ class Vectorizer {
   constructor() {
     this.workerPool = null;
     this.useWorkers = process.env.USE_WORKER_THREADS === 'true';
+    this.taskTimeout = parseInt(process.env.WORKER_TASK_TIMEOUT) || config.workers.taskTimeout;
     this.defaultOptions = {
+      mode: 'outline',
       turdsize: 5,
       turnpolicy: 'minority',
       alphamax: 1,
       opttolerance: 1,
-      optcurve: true
+      optcurve: true,
+      colorMode: 'mono',
+      colors: 4,
+      layering: 'stacked',
+      style: 'filled',
+      strokeLinejoin: 'round',
+      strokeLinecap: 'round',
+      simplify: 'none',
+      simplifyTolerance: 1,
+      precision: 3,
+      relative: false,
+      mergePaths: false
     };
 
     if (this.useWorkers) {
@@ -26,7 +50,7 @@ class Vectorizer {
   initializeWorkerPool() {
     try {
       const workerFile = path.join(__dirname, '../workers/vectorization-worker.js');
-      this.workerPool = new WorkerPool(workerFile, 2);
+      this.workerPool = new WorkerPool(workerFile, config.workers.poolSize);
     } catch (error) {
       console.warn('Failed to initialize worker pool:', error.message);
       this.useWorkers = false;
@@ -34,226 +58,441 @@ class Vectorizer {
   }
 
   /**
-   * Vectorize canvas data and return SVG
+   * Run an operation of the vectorization worker on canvas pixels.
+   * The pixel buffer is transferred to the worker, so imageData must not be
+   * used afterwards. options.timeout (ms) overrides the default task timeout
+   * and options.signal cancels the task.
    */
-  async vectorizeCanvas(canvasId, options = {}) {
-    const opts = { ...this.defaultOptions, ...options };
+  async runTask(operation, imageData, options = {}) {
+    const { signal, timeout = this.taskTimeout, ...taskOptions } = options;
+    const { data, width, height } = imageData;
+
+    const message = await this.workerPool.execute(
+      { operation, imageData: { data, width, height }, options: taskOptions },
+      { timeout, signal, transferList: [data.buffer] }
+    );
+
+    if (!message.success) {
+      throw new Error(message.error);
+    }
+
+    return message.result;
+  }
+
+  /**
+   * Run a pixel operation of the worker and write the result back to the canvas
+   */
+  async runCanvasTask(operation, canvasId, options = {}) {
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
-    
-    // Get image data for processing
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    
-    // Convert to binary bitmap for potrace-like algorithm
-    const bitmap = this.createBitmap(imageData, opts.threshold || 128);
-    
-    // Trace paths
-    const paths = this.tracePaths(bitmap, canvas.width, canvas.height, opts);
-    
-    // Generate SVG
-    const svg = this.generateSVG(paths, canvas.width, canvas.height, opts);
-    
+    const result = await this.runTask(operation, imageData, options);
+
+    const output = ctx.createImageData(result.width, result.height);
+    output.data.set(result.data);
+    ctx.putImageData(output, 0, 0);
+
+    return canvasId;
+  }
+
+  /**
+   * Vectorize canvas data and return SVG
+   */
+  async vectorizeCanvas(canvasId, options = {}) {
+    const { svg } = await this.traceSVG(canvasId, options);
     return svg;
   }
 
   /**
-   * Create binary bitmap from image data
+   * Vectorize canvas data and return the SVG with the threshold that was
+   * applied (null in color mode) and the node counts before/after simplification
    */
-  createBitmap(imageData, threshold = 128) {
-    const data = imageData.data;
-    const width = imageData.width;
-    const height = imageData.height;
-    const bitmap = new Array(width * height);
+  async traceSVG(canvasId, options = {}) {
+    const traced = await this.traceCanvas(canvasId, options);
+    return this.renderSVG(traced, options);
+  }
 
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const alpha = data[i + 3];
-      
-      // Convert to grayscale and apply threshold
-      const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-      const pixelIndex = Math.floor(i / 4);
-      
-      // Consider transparent pixels as background (white)
-      bitmap[pixelIndex] = (alpha < 128 || gray > threshold) ? 0 : 1;
+  /**
+   * Vectorize canvas data into a vector file for print (pdf, eps)
+   * or cutters and plotters (dxf, gcode, hpgl).
+   * Returns { data, contentType, extension, threshold, nodes }.
+   */
+  async exportCanvas(canvasId, format, options = {}) {
+    const traced = await this.traceCanvas(canvasId, options);
+    return this.renderFile(traced, format, options);
+  }
+
+  /**
+   * Trace canvas into layers and apply path simplification, in a worker
+   * thread when the worker pool is enabled.
+   * Reports node counts before and after simplification.
+   */
+  async traceCanvas(canvasId, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    if (this.workerPool) {
+      return this.runTask('vectorize', imageData, opts);
     }
 
-    return { data: bitmap, width, height };
+    return ImageTracer.trace(imageData, opts);
   }
 
   /**
-   * Trace paths using a simplified potrace-like algorithm
+   * Trace a full resolution image (from canvasManager.loadImage) tile by tile,
+   * without the maxImageSize downsampling applied to canvases. Only the pixels
+   * of the tiles in flight are held for tracing: one tile at a time, or one
+   * per worker when the worker pool is enabled.
+   * Supports outline mode with mono colors; returns the same traced layers
+   * as traceCanvas.
    */
-  tracePaths(bitmap, width, height, options) {
-    const paths = [];
-    const visited = new Array(width * height).fill(false);
+  async traceTiled(image, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
 
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const index = y * width + x;
-        
-        if (bitmap.data[index] === 1 && !visited[index]) {
-          const path = this.traceContour(bitmap, x, y, width, height, visited);
-          if (path && path.length >= options.turdsize) {
-            const smoothPath = this.smoothPath(path, options);
-            paths.push(smoothPath);
-          }
+    if (opts.mode !== 'outline' || opts.colorMode === 'color') {
+      throw new Error('Tiled tracing supports outline mode with mono colors only');
+    }
+
+    const { width, height } = image;
+    const margin = TiledTracer.margin(opts);
+    const tileSize = Math.max(
+      config.tiling.minTileSize,
+      Math.min(parseInt(opts.tileSize) || config.tiling.tileSize, config.maxImageSize - 2 * margin)
+    );
+    const tiles = TiledTracer.tiles(width, height, tileSize, margin);
+
+    // Otsu needs the histogram of the whole image before any tile is binarized
+    let threshold = opts.threshold ?? 128;
+    if (threshold === 'otsu') {
+      const histogram = new Array(256).fill(0);
+      for (const tile of tiles) {
+        const right = Math.min(tile.x1, width);
+        const bottom = Math.min(tile.y1, height);
+        if (right <= tile.x0 || bottom <= tile.y0) continue;
+
+        const { gray, opaque } = Thresholder.toGray(
+          this.readPixels(image, tile.x0, tile.y0, right - tile.x0, bottom - tile.y0)
+        );
+        Thresholder.histogram(gray, opaque, histogram);
+      }
+      threshold = Thresholder.otsuLevel(histogram);
+    }
+
+    const tileOptions = { ...opts, threshold };
+    const concurrency = this.workerPool ? this.workerPool.poolSize : 1;
+    const chains = [];
+
+    for (let i = 0; i < tiles.length; i += concurrency) {
+      const batch = tiles.slice(i, i + concurrency).map(tile => this.traceTile(image, tile, tileOptions));
+      for (const tileChains of await Promise.all(batch)) {
+        for (const chain of tileChains) {
+          chains.push(chain);
         }
       }
     }
 
-    return paths;
+    const contours = TiledTracer.stitch(chains, opts.turdsize);
+
+    return ImageTracer.simplify({
+      width,
+      height,
+      layers: [{ color: opts.fillColor || '#000000', paths: ImageTracer.fitShapes(contours, opts) }],
+      threshold
+    }, opts);
+  }
+
+  /**
+   * Trace the boundary chains of one tile, in a worker thread when the
+   * worker pool is enabled
+   */
+  async traceTile(image, tile, opts) {
+    const imageData = this.readPixels(
+      image,
+      tile.left,
+      tile.top,
+      tile.right - tile.left,
+      tile.bottom - tile.top
+    );
+
+    if (this.workerPool) {
+      return this.runTask('traceTile', imageData, { ...opts, tile });
+    }
+
+    return TiledTracer.traceTile(imageData, tile, opts);
   }
 
   /**
-   * Trace contour starting from a point
+   * Read a region of an image through a temporary canvas
    */
-  traceContour(bitmap, startX, startY, width, height, visited) {
-    const path = [];
-    const directions = [
-      [1, 0],   // right
-      [0, 1],   // down
-      [-1, 0],  // left
-      [0, -1]   // up
-    ];
+  readPixels(image, x, y, width, height) {
+    const { canvasId, ctx } = canvasManager.createCanvas(width, height);
+
+    try {
+      ctx.drawImage(image, x, y, width, height, 0, 0, width, height);
+      return ctx.getImageData(0, 0, width, height);
+    } finally {
+      canvasManager.cleanup(canvasId);
+    }
+  }
+
+  /**
+   * Render traced layers, with any offset and sticker border layers, as SVG.
+   * Returns { svg, width, height, threshold, nodes }.
+   */
+  renderSVG(traced, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const { width, height, layers, threshold, nodes } = PathOffsetter.apply(traced, opts);
     
-    let x = startX;
-    let y = startY;
-    let dir = 0; // start going right
+    // Generate SVG
+    const svg = this.generateSVG(layers, width, height, opts);
     
-    do {
-      const index = y * width + x;
-      if (index >= 0 && index < visited.length) {
-        visited[index] = true;
-      }
-      
-      path.push({ x, y });
-      
-      // Find next direction
-      let found = false;
-      for (let i = 0; i < 4; i++) {
-        const newDir = (dir + i) % 4;
-        const dx = directions[newDir][0];
-        const dy = directions[newDir][1];
-        const newX = x + dx;
-        const newY = y + dy;
-        
-        if (this.isValidPixel(bitmap, newX, newY, width, height)) {
-          x = newX;
-          y = newY;
-          dir = newDir;
-          found = true;
-          break;
-        }
-      }
-      
-      if (!found) break;
-      
-      // Prevent infinite loops
-      if (path.length > width * height) break;
-      
-    } while (x !== startX || y !== startY);
+    return { svg, width, height, threshold, nodes };
+  }
 
-    return path.length > 2 ? path : null;
+  /**
+   * Render traced layers, with any offset and sticker border layers, as a
+   * vector file (pdf, eps, dxf, gcode, hpgl).
+   * Returns { data, contentType, extension, threshold, nodes }.
+   */
+  renderFile(traced, format, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    traced = PathOffsetter.apply(traced, opts);
+
+    switch (format) {
+      case 'pdf':
+        return {
+          data: VectorExporter.toPDF(traced, opts),
+          contentType: 'application/pdf',
+          extension: 'pdf',
+          threshold: traced.threshold,
+          nodes: traced.nodes
+        };
+      case 'eps':
+        return {
+          data: VectorExporter.toEPS(traced, opts),
+          contentType: 'application/postscript',
+          extension: 'eps',
+          threshold: traced.threshold,
+          nodes: traced.nodes
+        };
+      case 'dxf':
+        return {
+          data: CncExporter.toDXF(traced, opts),
+          contentType: 'application/dxf',
+          extension: 'dxf',
+          threshold: traced.threshold,
+          nodes: traced.nodes
+        };
+      case 'gcode':
+        return {
+          data: CncExporter.toGCode(traced, opts),
+          contentType: 'text/x-gcode',
+          extension: 'gcode',
+          threshold: traced.threshold,
+          nodes: traced.nodes
+        };
+      case 'hpgl':
+        return {
+          data: CncExporter.toHPGL(traced, opts),
+          contentType: 'application/vnd.hp-hpgl',
+          extension: 'plt',
+          threshold: traced.threshold,
+          nodes: traced.nodes
+        };
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
   }
 
   /**
-   * Check if pixel is valid (black and within bounds)
+   * Format a coordinate for path output
    */
-  isValidPixel(bitmap, x, y, width, height) {
-    if (x < 0 || x >= width || y < 0 || y >= height) return false;
-    return bitmap.data[y * width + x] === 1;
+  formatCoordinate(value, precision = 3) {
+    return String(Number(value.toFixed(precision)));
   }
 
   /**
-   * Smooth path using curve fitting
+   * Path data encoding from vectorize options
    */
-  smoothPath(path, options) {
-    if (!options.optcurve || path.length < 3) {
-      return path;
-    }
+  pathEncoding(options) {
+    const precision = parseInt(options.precision);
+    return {
+      precision: Number.isNaN(precision) ? 3 : Math.max(0, Math.min(8, precision)),
+      relative: options.relative === true
+    };
+  }
 
-    const smoothed = [];
-    const tolerance = options.opttolerance || 1;
-
-    for (let i = 0; i < path.length; i++) {
-      const prev = path[(i - 1 + path.length) % path.length];
-      const curr = path[i];
-      const next = path[(i + 1) % path.length];
-
-      // Simple curve fitting - could be enhanced with Bezier curves
-      if (this.shouldSmooth(prev, curr, next, tolerance)) {
-        smoothed.push({
-          x: (prev.x + curr.x + next.x) / 3,
-          y: (prev.y + curr.y + next.y) / 3,
-          smooth: true
-        });
+  /**
+   * Convert a fitted path into SVG path data.
+   * Coordinates are rounded to encoding.precision decimals; with
+   * encoding.relative segments use relative commands (l, c).
+   */
+  toPathData(path, scale = 1, encoding = {}) {
+    const { precision = 3, relative = false } = encoding;
+    const round = (p) => ({
+      x: Number((p.x * scale).toFixed(precision)),
+      y: Number((p.y * scale).toFixed(precision))
+    });
+    const format = (x, y) => `${this.formatCoordinate(x, precision)} ${this.formatCoordinate(y, precision)}`;
+
+    let current = round(path.start);
+    let d = `M ${format(current.x, current.y)}`;
+
+    for (const segment of path.segments) {
+      const points = segment.points.map(round);
+
+      if (relative) {
+        // Every point of a relative segment is measured from the segment start
+        d += ` ${segment.type.toLowerCase()} ${points.map(p => format(p.x - current.x, p.y - current.y)).join(' ')}`;
       } else {
-        smoothed.push(curr);
+        d += ` ${segment.type} ${points.map(p => format(p.x, p.y)).join(' ')}`;
       }
+
+      current = points[points.length - 1];
+    }
+
+    if (path.closed) {
+      d += ' Z';
     }
 
-    return smoothed;
+    return d;
   }
 
   /**
-   * Determine if point should be smoothed
+   * Convert a compound shape (outline and holes) into SVG path data
    */
-  shouldSmooth(prev, curr, next, tolerance) {
-    const dx1 = curr.x - prev.x;
-    const dy1 = curr.y - prev.y;
-    const dx2 = next.x - curr.x;
-    const dy2 = next.y - curr.y;
-
-    // Calculate angle between vectors
-    const dot = dx1 * dx2 + dy1 * dy2;
-    const len1 = Math.sqrt(dx1 * dx1 + dy1 * dy1);
-    const len2 = Math.sqrt(dx2 * dx2 + dy2 * dy2);
-
-    if (len1 === 0 || len2 === 0) return false;
-
-    const angle = Math.acos(dot / (len1 * len2));
-    return angle < Math.PI - tolerance;
+  toShapeData(shape, scale = 1, encoding = {}) {
+    return [shape.outline, ...shape.holes]
+      .map(path => this.toPathData(path, scale, encoding))
+      .join(' ');
   }
 
   /**
-   * Generate SVG from paths
+   * Generate SVG from traced layers.
+   * With options.mergePaths every layer is written as a single <path>.
    */
-  generateSVG(paths, width, height, options) {
+  generateSVG(layers, width, height, options) {
     const scale = options.scale || 1;
     const scaledWidth = width * scale;
     const scaledHeight = height * scale;
+    const encoding = this.pathEncoding(options);
+    const merge = options.mergePaths === true;
+
+    // Path data per drawable shape of a layer
+    const shapeData = (layer) => layer.paths
+      .filter(shape => options.mode === 'centerline' || shape.outline.segments.length >= 2)
+      .map(shape => this.toShapeData(shape, scale, encoding));
 
     let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${scaledWidth} ${scaledHeight}" width="${scaledWidth}" height="${scaledHeight}">`;
+
+    // Sticker borders go behind the artwork, cut lines on top
+    const artwork = layers.filter(layer => !layer.kind);
+    for (const layer of layers.filter(layer => layer.kind === 'sticker')) {
+      svg += `<g id="${layer.name}" fill="${layer.color}" fill-rule="evenodd">`;
+      for (const d of shapeData(layer)) {
+        svg += `<path d="${d}"/>`;
+      }
+      svg += '</g>';
+    }
     
-    for (const path of paths) {
-      if (path.length < 2) continue;
-
-      let pathData = `M ${path[0].x * scale} ${path[0].y * scale}`;
-      
-      for (let i = 1; i < path.length; i++) {
-        const point = path[i];
-        if (point.smooth) {
-          // Could add curve commands here for smoother results
-          pathData += ` L ${point.x * scale} ${point.y * scale}`;
-        } else {
-          pathData += ` L ${point.x * scale} ${point.y * scale}`;
+    if (options.mode === 'centerline') {
+      for (const layer of artwork) {
+        const data = shapeData(layer);
+        svg += `<g fill="none" ${this.strokeAttributes(options.strokeColor || layer.color, layer.strokeWidth, options)}>`;
+        for (const d of merge ? [data.join(' ')].filter(Boolean) : data) {
+          svg += `<path d="${d}"/>`;
         }
+        svg += '</g>';
       }
-      
-      pathData += ' Z'; // Close path
+    } else if (options.colorMode === 'color' || PixelTracer.MODES.includes(options.mode)) {
+      for (const layer of artwork) {
+        const data = shapeData(layer);
+
+        // Cut-out layers share edges; a hairline stroke hides anti-aliasing seams
+        // of filled layers. Pixel polygons are axis-aligned and render without
+        // anti-aliasing instead.
+        let seam = '';
+        if (options.mode === 'pixel') {
+          seam = ' shape-rendering="crispEdges"';
+        } else if ((options.style || 'filled') === 'filled' &&
+          (options.mode === 'depixelize' || options.layering === 'cutout')) {
+          seam = ` stroke="${layer.color}" stroke-width="${this.formatCoordinate(0.5 * scale)}"`;
+        }
 
-      svg += `<path d="${pathData}" fill="${options.fillColor || '#000000'}" fill-rule="evenodd"/>`;
+        svg += `<g ${this.paintAttributes(layer, options)}${seam}>`;
+        for (const d of merge ? [data.join(' ')].filter(Boolean) : data) {
+          svg += `<path d="${d}"/>`;
+        }
+        svg += '</g>';
+      }
+    } else {
+      for (const layer of artwork) {
+        const data = shapeData(layer);
+
+        for (const d of merge ? [data.join(' ')].filter(Boolean) : data) {
+          svg += `<path d="${d}" ${this.paintAttributes(layer, options)}/>`;
+        }
+      }
+    }
+
+    for (const layer of layers.filter(layer => layer.kind === 'offset')) {
+      svg += `<g id="${layer.name}" fill="none" stroke="${layer.color}" stroke-width="${this.formatCoordinate(scale)}" stroke-linejoin="round">`;
+      for (const d of shapeData(layer)) {
+        svg += `<path d="${d}"/>`;
+      }
+      svg += '</g>';
     }
 
     svg += '</svg>';
     return svg;
   }
 
+  /**
+   * Fill and stroke attributes of a filled layer for options.style:
+   * filled (default), stroke (outlines only) or both
+   */
+  paintAttributes(layer, options) {
+    const style = options.style || 'filled';
+    const fill = `fill="${layer.color}" fill-rule="evenodd"`;
+
+    if (style === 'filled') {
+      return fill;
+    }
+
+    const width = options.strokeWidth > 0 ? options.strokeWidth : 1;
+    const stroke = this.strokeAttributes(options.strokeColor || layer.color, width, options);
+    return style === 'stroke' ? `fill="none" ${stroke}` : `${fill} ${stroke}`;
+  }
+
+  /**
+   * Stroke attributes with the width in source pixels
+   */
+  strokeAttributes(color, width, options) {
+    const scale = options.scale || 1;
+    return `stroke="${color}" stroke-width="${this.formatCoordinate(width * scale)}" ` +
+      `stroke-linecap="${options.strokeLinecap || 'round'}" stroke-linejoin="${options.strokeLinejoin || 'round'}"`;
+  }
+
   /**
    * Vectorize with custom preprocessing
    */
   async vectorizeWithPreprocessing(canvasId, preprocessOptions = {}, vectorizeOptions = {}) {
+    await this.applyPreprocessing(canvasId, preprocessOptions);
+
+    // Vectorize the processed image
+    return this.vectorizeCanvas(canvasId, vectorizeOptions);
+  }
+
+  /**
+   * Apply blur, contrast and brightness filters to a canvas in place,
+   * in a worker thread when the worker pool is enabled
+   */
+  async applyPreprocessing(canvasId, preprocessOptions = {}) {
+    if (this.workerPool) {
+      await this.runCanvasTask('preprocessing', canvasId, preprocessOptions);
+      return;
+    }
+
     const { canvas, ctx } = canvasManager.getCanvas(canvasId);
 
     // Apply preprocessing filters
@@ -268,9 +507,25 @@ class Vectorizer {
     if (preprocessOptions.brightness) {
       this.applyBrightness(ctx, canvas.width, canvas.height, preprocessOptions.brightness);
     }
+  }
 
-    // Vectorize the processed image
-    return this.vectorizeCanvas(canvasId, vectorizeOptions);
+  /**
+   * Remove a background color (method "color") or a chroma key
+   * (method "chroma-key") from a canvas in place, in a worker thread when the
+   * worker pool is enabled. Returns the canvas id.
+   */
+  async removeBackground(canvasId, options = {}) {
+    const { method = 'color', targetColor = [255, 255, 255], tolerance = 10 } = options;
+
+    if (this.workerPool) {
+      return this.runCanvasTask('backgroundRemoval', canvasId, { ...options, method, targetColor, tolerance });
+    }
+
+    if (method === 'chroma-key') {
+      return BackgroundRemoval.chromaKey(canvasId, options.targetHue, options.hueTolerance, options.saturationMin, options);
+    }
+
+    return BackgroundRemoval.removeByColor(canvasId, targetColor, tolerance, options.colorSpace);
   }
 
   /**
@@ -355,32 +610,168 @@ class Vectorizer {
    * Generate SVG path data only (without wrapper)
    */
   async generatePathData(canvasId, options = {}) {
+    const layers = await this.generateLayerData(canvasId, options);
+    return layers.map(layer => layer.pathData).filter(Boolean).join(' ');
+  }
+
+  /**
+   * Generate SVG path data per layer
+   */
+  async generateLayerData(canvasId, options = {}) {
+    const { layers } = await this.traceLayerData(canvasId, options);
+    return layers;
+  }
+
+  /**
+   * Generate SVG path data per layer together with the scaled dimensions,
+   * the threshold that was applied (null in color mode) and the node counts
+   */
+  async traceLayerData(canvasId, options = {}) {
+    const traced = await this.traceCanvas(canvasId, options);
+    return this.renderLayerData(traced, options);
+  }
+
+  /**
+   * SVG path data per layer of traced layers and any offset and sticker
+   * border layers, with the scaled dimensions, threshold and node counts
+   */
+  renderLayerData(traced, options = {}) {
     const opts = { ...this.defaultOptions, ...options };
-    const { canvas, ctx } = canvasManager.getCanvas(canvasId);
-    
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const bitmap = this.createBitmap(imageData, opts.threshold || 128);
-    const paths = this.tracePaths(bitmap, canvas.width, canvas.height, opts);
-    
-    const scale = options.scale || 1;
-    let pathData = '';
-    
-    for (const path of paths) {
-      if (path.length < 2) continue;
-
-      let d = `M ${path[0].x * scale} ${path[0].y * scale}`;
-      
-      for (let i = 1; i < path.length; i++) {
-        const point = path[i];
-        d += ` L ${point.x * scale} ${point.y * scale}`;
+    const { width, height, layers, threshold, nodes } = PathOffsetter.apply(traced, opts);
+    const scale = opts.scale || 1;
+
+    return {
+      width: width * scale,
+      height: height * scale,
+      threshold,
+      nodes,
+      layers: this.toLayerData(layers, opts)
+    };
+  }
+
+  /**
+   * Shapes of traced layers and any offset and sticker border layers with
+   * their segments and geometry (see ShapeMetrics.describe), with the scaled
+   * dimensions, threshold and node counts
+   */
+  renderShapes(traced, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const { width, height, layers, threshold, nodes } = PathOffsetter.apply(traced, opts);
+    const scale = opts.scale || 1;
+
+    return {
+      width: width * scale,
+      height: height * scale,
+      threshold,
+      nodes,
+      layers: layers.map(layer => {
+        const info = { color: layer.color };
+        if (layer.kind) {
+          info.kind = layer.kind;
+          info.name = layer.name;
+        }
+        return info;
+      }),
+      shapes: ShapeMetrics.describe(layers, { ...opts, precision: this.pathEncoding(opts).precision })
+    };
+  }
+
+  /**
+   * Convert traced layers into SVG path data
+   */
+  toLayerData(layers, opts) {
+    const scale = opts.scale || 1;
+    const encoding = this.pathEncoding(opts);
+
+    if (opts.mode === 'centerline') {
+      return layers.map(layer => ({
+        color: layer.color,
+        strokeWidth: Number(this.formatCoordinate(layer.strokeWidth * scale)),
+        pathData: layer.paths
+          .map(shape => this.toPathData(shape.outline, scale, encoding))
+          .join(' ')
+      }));
+    }
+
+    return layers.map(layer => {
+      const data = {
+        color: layer.color,
+        pathData: layer.paths
+          .filter(shape => shape.outline.segments.length >= 2)
+          .map(shape => this.toShapeData(shape, scale, encoding))
+          .join(' ')
+      };
+
+      // Offset and sticker border layers
+      if (layer.kind) {
+        data.kind = layer.kind;
+      }
+      return data;
+    });
+  }
+
+  /**
+   * Rasterize the SVG of traced layers back onto a canvas and compare it
+   * with the canvas they were traced from. Returns the QualityMeter report;
+   * with options.qualityDiff it also holds the diff overlay as a PNG data URL.
+   */
+  async measureQuality(canvasId, traced, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const { width, height } = traced;
+    const { ctx } = canvasManager.getCanvas(canvasId);
+    const imageData = ctx.getImageData(0, 0, width, height);
+
+    const reference = QualityMeter.referenceLabels(imageData, traced, opts);
+    const rendered = await this.renderLabels(traced, opts);
+    const report = QualityMeter.compare(reference, rendered, traced.layers);
+
+    if (opts.qualityDiff) {
+      const { canvasId: diffId, ctx: diffCtx } = canvasManager.createCanvas(width, height);
+
+      try {
+        const diff = diffCtx.createImageData(width, height);
+        diff.data.set(QualityMeter.diffOverlay(imageData, reference, rendered));
+        diffCtx.putImageData(diff, 0, 0);
+        report.diff = canvasManager.toDataURL(diffId, 'png');
+      } finally {
+        canvasManager.cleanup(diffId);
       }
-      
-      d += ' Z';
-      pathData += d + ' ';
     }
 
-    return pathData.trim();
+    return report;
+  }
+
+  /**
+   * Rasterize the SVG of traced layers at the traced size without
+   * anti-aliasing, each layer painted in a color encoding its index, and
+   * read back the layer index of every pixel (-1 for none). Paint style,
+   * strokes and path precision count as in the SVG output; offset and
+   * sticker layers are not part of the trace.
+   */
+  async renderLabels(traced, opts) {
+    const { width, height } = traced;
+    // Labels start at 1 so transparent black stays background
+    const layers = traced.layers.map((layer, index) => ({
+      ...layer,
+      color: `#${(index + 1).toString(16).padStart(6, '0')}`
+    }));
+    const svg = this.generateSVG(layers, width, height, { ...opts, strokeColor: undefined })
+      .replace('<svg ', '<svg shape-rendering="crispEdges" ');
+    const { canvasId, ctx } = await canvasManager.rasterizeSVG(svg, { width, height });
+
+    try {
+      const { data } = ctx.getImageData(0, 0, width, height);
+      const labels = new Int32Array(width * height);
+      for (let p = 0; p < labels.length; p++) {
+        const i = p * 4;
+        const label = ((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) - 1;
+        labels[p] = data[i + 3] >= 128 && label < layers.length ? label : -1;
+      }
+      return labels;
+    } finally {
+      canvasManager.cleanup(canvasId);
+    }
   }
 }
 
-module.exports = new Vectorizer();
\ No newline at end of file
+module.exports = new Vectorizer();
@@ -48,6 +48,216 @@ describe('API Integration Tests', () => {
       expect(response.headers['content-type']).toBe('image/png');
     });
 
+    test('POST /api/background/chroma-key should accept soft keying and despill', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/chroma-key')
+        .attach('image', testImage, 'test.png')
+        .field('hueFalloff', '15')
+        .field('saturationFalloff', '0.1')
+        .field('despill', '0.8');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+    });
+
+    test('POST /api/background/remove should measure tolerance in the chosen color space', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', '#ffffff')
+        .field('tolerance', '5')
+        .field('colorSpace', 'ciede2000');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+
+      const invalid = await request(app)
+        .post('/api/background/batch')
+        .attach('images', testImage, 'test.png')
+        .field('colorSpace', 'cmyk');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Validation failed');
+      expect(invalid.body.details[0].path).toBe('colorSpace');
+    });
+
+    test('POST /api/background/batch should detect the background color of each image', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/batch')
+        .attach('images', testImage, 'first.png')
+        .attach('images', testImage, 'second.png')
+        .field('targetColor', 'auto');
+
+      expect(response.status).toBe(200);
+      expect(response.body.processed).toBe(2);
+      expect(response.body.results.map(result => result.detectedBackground)).toEqual([['#ffffff'], ['#ffffff']]);
+    });
+
+    test('POST /api/background/remove should detect the background color', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', 'auto');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-detected-background']).toBe('#ffffff');
+    });
+
+    test('POST /api/background/remove should accept the edge-detection method', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('method', 'edge-detection')
+        .field('tolerance', '20');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+    });
+
+    test('POST /api/background/remove should segment with GrabCut', async () => {
+      const testImage = createTestImage();
+      const { createCanvas } = require('canvas');
+      const mask = createCanvas(100, 100);
+      const maskCtx = mask.getContext('2d');
+      maskCtx.fillStyle = 'black';
+      maskCtx.fillRect(0, 0, 100, 100);
+      maskCtx.fillStyle = 'white';
+      maskCtx.fillRect(45, 45, 10, 10);
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .attach('foregroundMask', mask.toBuffer('image/png'), 'foreground.png')
+        .field('method', 'grabcut')
+        .field('rect', '5,5,90,90');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+
+      const invalid = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('method', 'grabcut')
+        .field('rect', '5,5,0,90');
+
+      expect(invalid.status).toBe(400);
+    });
+
+    test('POST /api/background/remove should refine the edge by matting', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', '#ffffff')
+        .field('refine', 'matting')
+        .field('refineRadius', '3');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+
+      const invalid = await request(app)
+        .post('/api/background/flood-fill')
+        .attach('image', testImage, 'test.png')
+        .field('refine', 'blur');
+
+      expect(invalid.status).toBe(400);
+    });
+
+    test('POST /api/background/remove should free the matte source when removal fails', async () => {
+      const canvasManager = require('../../src/canvas/canvas-manager');
+      const cloneCanvas = jest.spyOn(canvasManager, 'cloneCanvas');
+
+      try {
+        const response = await request(app)
+          .post('/api/background/remove')
+          .attach('image', createTestImage(), 'test.png')
+          .attach('mask', Buffer.from('not an image'), 'mask.png')
+          .field('refine', 'matting');
+
+        expect(response.status).toBe(500);
+        expect(cloneCanvas).toHaveBeenCalledTimes(1);
+        expect(canvasManager.canvases.has(cloneCanvas.mock.results[0].value.canvasId)).toBe(false);
+      } finally {
+        cloneCanvas.mockRestore();
+      }
+    });
+
+    test('POST /api/background/remove should apply an uploaded mask and return the mask', async () => {
+      const testImage = createTestImage();
+      const { createCanvas } = require('canvas');
+      const mask = createCanvas(100, 100);
+      const maskCtx = mask.getContext('2d');
+      maskCtx.fillStyle = 'black';
+      maskCtx.fillRect(0, 0, 100, 100);
+      maskCtx.fillStyle = 'white';
+      maskCtx.fillRect(20, 20, 60, 60);
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .attach('mask', mask.toBuffer('image/png'), 'mask.png')
+        .field('outputFormat', 'mask');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toContain('background_removed_mask.png');
+
+      const invalid = await request(app)
+        .post('/api/background/replace')
+        .attach('image', testImage, 'test.png')
+        .attach('mask', mask.toBuffer('image/png'), 'mask.png')
+        .field('maskMode', 'invert');
+
+      expect(invalid.status).toBe(400);
+    });
+
+    test('POST /api/background/replace should return the subject mask', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/replace')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', '#ffffff')
+        .field('backgroundColor', '#ff0000')
+        .field('outputFormat', 'mask');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toContain('background_replaced_mask.png');
+    });
+
+    test('POST /api/background/remove should post-process the alpha channel', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/background/remove')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', '#ffffff')
+        .field('postProcess', '{"removeIslands":20,"fillHoles":20,"feather":2}');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+
+      const invalid = await request(app)
+        .post('/api/background/chroma-key')
+        .attach('image', testImage, 'test.png')
+        .field('postProcess', '{"dilate":50}');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details[0].path).toBe('postProcess');
+    });
+
     test('POST /api/background/remove should handle missing image', async () => {
       const response = await request(app)
         .post('/api/background/remove')
@@ -91,6 +301,181 @@ describe('API Integration Tests', () => {
       expect(response.body).toHaveProperty('height', 200);
     });
 
+    test('POST /api/vectorize should return color layers in color mode', async () => {
+      const testImage = createTestImage();
+      
+      const response = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'path')
+        .field('colorMode', 'color')
+        .field('palette', '["#ffffff","#000000"]');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('layers');
+      expect(response.body.layers.map(layer => layer.color)).toEqual(['#ffffff', '#000000']);
+    });
+
+    test('POST /api/vectorize should report the Otsu threshold', async () => {
+      const testImage = createTestImage();
+      
+      const svgResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'svg')
+        .field('threshold', 'otsu');
+
+      expect(svgResponse.status).toBe(200);
+      expect(svgResponse.headers).toHaveProperty('x-threshold');
+
+      const pathResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'path')
+        .field('threshold', 'otsu');
+
+      expect(pathResponse.status).toBe(200);
+      expect(typeof pathResponse.body.threshold).toBe('number');
+    });
+
+    test('POST /api/vectorize should report trace quality', async () => {
+      const testImage = createTestImage();
+
+      const svgResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'svg')
+        .field('quality', 'true');
+
+      expect(svgResponse.status).toBe(200);
+      expect(Number(svgResponse.headers['x-quality-iou'])).toBeGreaterThan(0.99);
+
+      const pathResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'path')
+        .field('qualityDiff', 'true');
+
+      expect(pathResponse.status).toBe(200);
+      expect(pathResponse.body.quality).toHaveProperty('pixelError');
+      expect(pathResponse.body.quality.diff).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test('POST /api/vectorize should return offset and sticker border paths', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'path')
+        .field('offset', '2')
+        .field('offsetUnits', 'mm')
+        .field('sticker', 'true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.offsetPathData).toMatch(/^M /);
+      expect(response.body.stickerPathData).toMatch(/^M /);
+
+      const centerline = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('mode', 'centerline')
+        .field('offset', '2');
+
+      expect(centerline.status).toBe(400);
+    });
+
+    test('POST /api/vectorize should return shapes as JSON', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.shapes.length).toBeGreaterThan(0);
+      expect(response.body.shapes[0]).toHaveProperty('bbox');
+      expect(response.body.shapes[0]).toHaveProperty('centroid');
+      expect(response.body.shapes[0].segments[0]).toHaveProperty('type');
+    });
+
+    test('POST /api/process/rasterize should render SVG to PNG', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40"/></svg>';
+
+      const response = await request(app)
+        .post('/api/process/rasterize')
+        .field('svg', svg)
+        .field('width', '64');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['x-image-width']).toBe('64');
+      expect(response.headers['x-image-height']).toBe('64');
+
+      const notSvg = await request(app)
+        .post('/api/process/rasterize')
+        .attach('image', createTestImage(), 'test.png');
+
+      expect(notSvg.status).toBe(400);
+    });
+
+    test('POST /api/process/complete should report the detected background', async () => {
+      const testImage = createTestImage();
+
+      const response = await request(app)
+        .post('/api/process/complete')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', 'auto')
+        .field('outputFormat', 'path');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-detected-background']).toBe('#ffffff');
+      expect(response.body.detectedBackground).toEqual(['#ffffff']);
+    });
+
+    test('POST /api/process/complete should reject invalid target colors and tolerances', async () => {
+      const testImage = createTestImage();
+
+      const color = await request(app)
+        .post('/api/process/complete')
+        .attach('image', testImage, 'test.png')
+        .field('targetColor', 'white');
+
+      expect(color.status).toBe(400);
+      expect(color.body.details[0].path).toBe('targetColor');
+
+      const tolerance = await request(app)
+        .post('/api/process/complete')
+        .attach('image', testImage, 'test.png')
+        .field('tolerance', '500');
+
+      expect(tolerance.status).toBe(400);
+      expect(tolerance.body.details[0].path).toBe('tolerance');
+    });
+
+    test('POST /api/vectorize should return PDF and EPS files', async () => {
+      const testImage = createTestImage();
+      
+      const pdfResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'pdf')
+        .field('scale', '2');
+
+      expect(pdfResponse.status).toBe(200);
+      expect(pdfResponse.headers['content-type']).toBe('application/pdf');
+      expect(pdfResponse.headers['content-disposition']).toContain('vectorized.pdf');
+
+      const epsResponse = await request(app)
+        .post('/api/vectorize')
+        .attach('image', testImage, 'test.png')
+        .field('outputFormat', 'eps');
+
+      expect(epsResponse.status).toBe(200);
+      expect(epsResponse.headers['content-type']).toBe('application/postscript');
+    });
+
     test('POST /api/process/complete should remove background and vectorize', async () => {
       const testImage = createTestImage();
       
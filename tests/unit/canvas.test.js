@@ -1,5 +1,9 @@
 const canvasManager = require('../../src/canvas/canvas-manager');
 const BackgroundRemoval = require('../../src/canvas/background-removal');
+const ColorDistance = require('../../src/canvas/color-distance');
+const GraphCut = require('../../src/canvas/graph-cut');
+const MaskProcessing = require('../../src/canvas/mask-processing');
+const config = require('../../src/config/canvas');
 const { createCanvas } = require('canvas');
 
 describe('Canvas Manager', () => {
@@ -101,6 +105,68 @@ describe('Canvas Manager', () => {
       }).toThrow('Canvas not found');
     });
   });
+
+  describe('SVG Rasterization', () => {
+    const svg = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">' +
+      '<rect x="0" y="0" width="50" height="50" fill="#ff0000"/></svg>';
+
+    test('should detect SVG documents', () => {
+      expect(canvasManager.isSVG(Buffer.from(svg))).toBe(true);
+      expect(canvasManager.isSVG(Buffer.from([0x89, 0x50, 0x4e, 0x47]))).toBe(false);
+    });
+
+    test('should read the SVG size from width, height and viewBox', () => {
+      expect(canvasManager.svgSize(svg)).toEqual({ width: 100, height: 50 });
+      expect(canvasManager.svgSize('<svg width="1in" height="72pt">')).toEqual({ width: 96, height: 96 });
+      expect(canvasManager.svgSize('<svg width="40" viewBox="0 0 100 50">')).toEqual({ width: 40, height: 20 });
+      expect(canvasManager.svgSize('<svg width="100%">')).toEqual({ width: 300, height: 150 });
+    });
+
+    test('should resize SVG documents without cropping them', () => {
+      const resized = canvasManager.resizeSVG('<svg width="100" height="50"><g/></svg>', 200, 100);
+
+      expect(resized).toBe('<svg width="200" height="100" viewBox="0 0 100 50"><g/></svg>');
+      expect(canvasManager.resizeSVG('<svg width="100" height="50" id="$&$\'$`"><g/></svg>', 200, 100))
+        .toBe('<svg width="200" height="100" viewBox="0 0 100 50" id="$&$\'$`"><g/></svg>');
+    });
+
+    test('should render SVG at the requested size and background', async () => {
+      const { canvasId, ctx, width, height } = await canvasManager.rasterizeSVG(svg, {
+        width: 200,
+        background: '#0000ff'
+      });
+
+      expect(width).toBe(200);
+      expect(height).toBe(100);
+      expect(Array.from(ctx.getImageData(50, 50, 1, 1).data)).toEqual([255, 0, 0, 255]);
+      expect(Array.from(ctx.getImageData(150, 50, 1, 1).data)).toEqual([0, 0, 255, 255]);
+
+      canvasManager.cleanup(canvasId);
+    });
+
+    test('should fit sizes into maxImageSize', () => {
+      expect(canvasManager.fitSize(100000, 50000)).toEqual({ width: 2400, height: 1200 });
+      expect(canvasManager.fitSize(640.4, 0.2)).toEqual({ width: 640, height: 1 });
+    });
+
+    test('should load oversized SVG uploads at most maxImageSize', async () => {
+      const huge = '<svg xmlns="http://www.w3.org/2000/svg" width="100000" height="50000">' +
+        '<rect width="100000" height="50000" fill="#ff0000"/></svg>';
+      const image = await canvasManager.loadImage(Buffer.from(huge));
+
+      expect(image.width).toBe(2400);
+      expect(image.height).toBe(1200);
+    });
+
+    test('should scale the SVG size by dpi', async () => {
+      const { canvasId, width, height } = await canvasManager.rasterizeSVG(Buffer.from(svg), { dpi: 192 });
+
+      expect(width).toBe(200);
+      expect(height).toBe(100);
+
+      canvasManager.cleanup(canvasId);
+    });
+  });
 });
 
 describe('Background Removal', () => {
@@ -174,4 +240,408 @@ describe('Background Removal', () => {
     
     canvasManager.cleanup(canvas2Id);
   });
+  describe('Edge Detection', () => {
+    test('should keep the object enclosed by its edges', () => {
+      // Gradient background that defeats color matching
+      for (let x = 0; x < 100; x++) {
+        ctx.fillStyle = `rgb(${155 + x}, ${155 + x}, 255)`;
+        ctx.fillRect(x, 0, 1, 100);
+      }
+      ctx.fillStyle = '#c83232';
+      ctx.fillRect(30, 30, 40, 40);
+      ctx.fillStyle = '#ffff00';
+      ctx.fillRect(45, 45, 10, 10);
+
+      BackgroundRemoval.edgeDetection(canvasId, 20);
+      const alpha = (x, y) => ctx.getImageData(x, y, 1, 1).data[3];
+
+      expect(alpha(5, 5)).toBe(0);
+      expect(alpha(95, 50)).toBe(0);
+      expect(alpha(31, 31)).toBe(255);
+      expect(alpha(50, 50)).toBe(255);
+    });
+
+    test('should close small gaps in the outline', () => {
+      const mask = (closeRadius) => {
+        const imageData = ctx.createImageData(60, 60);
+        imageData.data.fill(255);
+        // A dark ring with a two pixel gap
+        for (let y = 10; y < 50; y++) {
+          for (let x = 10; x < 50; x++) {
+            const ring = x < 13 || x >= 47 || y < 13 || y >= 47;
+            if (ring && !(y >= 29 && y < 31 && x >= 47)) {
+              imageData.data.fill(0, (y * 60 + x) * 4, (y * 60 + x) * 4 + 3);
+            }
+          }
+        }
+        return BackgroundRemoval.edgeMask(imageData, { tolerance: 20, closeRadius });
+      };
+
+      expect(mask(2)[30 * 60 + 30]).toBe(1);
+      expect(mask(0)[30 * 60 + 30]).toBe(0);
+    });
+
+    test('should leave the canvas unchanged without enclosed foreground', async () => {
+      const results = await BackgroundRemoval.batchRemoval([canvasId], 'edge-detection', { tolerance: 20 });
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      BackgroundRemoval.edgeDetection(canvasId, 20);
+
+      expect(results[0].success).toBe(true);
+      expect(ctx.getImageData(50, 50, 1, 1).data[3]).toBe(255);
+    });
+  });
+
+  describe('GrabCut', () => {
+    test('should find the minimum cut of a graph', () => {
+      const graph = new GraphCut(3, 2);
+      graph.addTerminal(0, 5, 0);
+      graph.addTerminal(2, 0, 4);
+      graph.addEdge(0, 1, 3, 0);
+      graph.addEdge(1, 2, 2, 0);
+
+      expect(graph.maxflow()).toBe(2);
+      expect(graph.isSource(0)).toBe(true);
+      expect(graph.isSource(2)).toBe(false);
+    });
+
+    test('should segment the object inside the rectangle from a busy background', () => {
+      // Green and blue stripes around a red square
+      for (let x = 0; x < 100; x += 4) {
+        ctx.fillStyle = x % 8 === 0 ? '#28a046' : '#3c5ac8';
+        ctx.fillRect(x, 0, 4, 100);
+      }
+      ctx.fillStyle = '#dc3c28';
+      ctx.fillRect(30, 30, 40, 40);
+
+      const alpha = BackgroundRemoval.grabCut(canvasId, { rect: { x: 20, y: 20, width: 60, height: 60 } });
+      const data = ctx.getImageData(0, 0, 100, 100).data;
+
+      expect(alpha).toHaveLength(100 * 100);
+      expect(data[(50 * 100 + 50) * 4 + 3]).toBe(255);
+      expect(data[(25 * 100 + 50) * 4 + 3]).toBe(0);
+      expect(data[3]).toBe(0);
+      // The cut edge is soft
+      expect(alpha.some(value => value > 0 && value < 255)).toBe(true);
+    });
+
+    test('should keep scribbled foreground in the background colors', () => {
+      ctx.fillStyle = '#28a046';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = '#c82828';
+      ctx.fillRect(25, 25, 50, 50);
+      ctx.fillStyle = '#28a046';
+      ctx.fillRect(40, 40, 20, 20);
+
+      const rect = { x: 20, y: 20, width: 60, height: 60 };
+      const copy = canvasManager.cloneCanvas(canvasId);
+      const plain = BackgroundRemoval.grabCut(copy.canvasId, { rect });
+      canvasManager.cleanup(copy.canvasId);
+      const foreground = new Uint8Array(100 * 100);
+      for (let y = 48; y < 52; y++) foreground.fill(1, y * 100 + 45, y * 100 + 55);
+      const scribbled = BackgroundRemoval.grabCut(canvasId, { rect, foreground });
+
+      expect(plain[50 * 100 + 50]).toBe(0);
+      expect(scribbled[50 * 100 + 50]).toBe(255);
+      expect(scribbled[30 * 100 + 30]).toBe(255);
+      expect(scribbled[22 * 100 + 50]).toBe(0);
+    });
+
+    test('should need background outside the rectangle', () => {
+      expect(() => BackgroundRemoval.grabCut(canvasId, { rect: { x: 0, y: 0, width: 100, height: 100 } }))
+        .toThrow('GrabCut needs both foreground and background pixels');
+    });
+  });
+
+  describe('Soft Chroma Key', () => {
+    const pixel = (x) => Array.from(ctx.getImageData(x, 50, 1, 1).data);
+
+    beforeEach(() => {
+      ctx.fillStyle = 'rgb(0, 200, 0)';
+      ctx.fillRect(0, 0, 100, 100);
+      // Hue 102, just outside a 15 degree tolerance
+      ctx.fillStyle = 'rgb(60, 200, 0)';
+      ctx.fillRect(50, 0, 25, 100);
+      // Pale skin tone with a green cast
+      ctx.fillStyle = 'rgb(180, 200, 170)';
+      ctx.fillRect(75, 0, 25, 100);
+    });
+
+    test('should keep the hard cut by default', () => {
+      BackgroundRemoval.chromaKey(canvasId, 120, 15, 0.3);
+
+      expect(pixel(10)[3]).toBe(0);
+      expect(pixel(60)[3]).toBe(255);
+      expect(pixel(90)).toEqual([180, 200, 170, 255]);
+    });
+
+    test('should fade transparency out over the falloff range', () => {
+      BackgroundRemoval.chromaKey(canvasId, 120, 15, 0.3, { hueFalloff: 30 });
+
+      expect(pixel(10)[3]).toBe(0);
+      expect(pixel(60)[3]).toBeGreaterThan(0);
+      expect(pixel(60)[3]).toBeLessThan(255);
+    });
+
+    test('should remove the key color cast by despill strength', () => {
+      const copy = canvasManager.cloneCanvas(canvasId);
+      BackgroundRemoval.chromaKey(copy.canvasId, 120, 15, 0.3, { despill: 0.5 });
+      const half = Array.from(copy.ctx.getImageData(90, 50, 1, 1).data);
+      canvasManager.cleanup(copy.canvasId);
+      BackgroundRemoval.chromaKey(canvasId, 120, 15, 0.3, { despill: 1 });
+
+      expect(pixel(90)).toEqual([180, 180, 170, 255]);
+      expect(half).toEqual([180, 190, 170, 255]);
+    });
+
+    test('should despill other key colors', () => {
+      // Sky blue with a blue cast, outside the keyed hues
+      ctx.fillStyle = 'rgb(120, 170, 200)';
+      ctx.fillRect(0, 0, 100, 100);
+
+      BackgroundRemoval.chromaKey(canvasId, 240, 15, 0.3, { despill: 1 });
+
+      expect(pixel(50)).toEqual([120, 170, 170, 255]);
+    });
+
+    test('should keep despilled colors through matting refinement', () => {
+      const source = canvasManager.cloneCanvas(canvasId);
+      BackgroundRemoval.chromaKey(canvasId, 120, 15, 0.3, { despill: 1 });
+      BackgroundRemoval.refineMatte(canvasId, source.canvasId, 3);
+      canvasManager.cleanup(source.canvasId);
+
+      expect(pixel(10)[3]).toBe(0);
+      expect(pixel(90)).toEqual([180, 180, 170, 255]);
+    });
+  });
+
+  describe('Alpha Matting', () => {
+    beforeEach(() => {
+      // A soft black to white edge from x = 40 to x = 60
+      for (let x = 0; x < 100; x++) {
+        const gray = Math.round(255 * Math.min(1, Math.max(0, (x - 40) / 20)));
+        ctx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+        ctx.fillRect(x, 0, 1, 100);
+      }
+    });
+
+    test('should solve fractional alpha along a soft edge', () => {
+      const source = canvasManager.cloneCanvas(canvasId);
+      BackgroundRemoval.removeByColor(canvasId, [255, 255, 255], 10);
+      BackgroundRemoval.refineMatte(canvasId, source.canvasId, 20);
+      canvasManager.cleanup(source.canvasId);
+      const alpha = (x) => ctx.getImageData(x, 50, 1, 1).data[3];
+
+      expect(alpha(20)).toBe(255);
+      expect(alpha(90)).toBe(0);
+      expect(Math.abs(alpha(45) - 191)).toBeLessThan(20);
+      expect(Math.abs(alpha(50) - 128)).toBeLessThan(20);
+      expect(Math.abs(alpha(55) - 64)).toBeLessThan(20);
+    });
+
+    test('should refine batch results', async () => {
+      const results = await BackgroundRemoval.batchRemoval([canvasId], 'color', {
+        targetColor: [255, 255, 255],
+        tolerance: 10,
+        refine: 'matting',
+        refineRadius: 20
+      });
+      const opacity = ctx.getImageData(50, 50, 1, 1).data[3];
+
+      expect(results[0].success).toBe(true);
+      expect(opacity).toBeGreaterThan(0);
+      expect(opacity).toBeLessThan(255);
+    });
+  });
+
+  describe('Masks', () => {
+    test('should multiply alpha by a mask', () => {
+      ctx.fillStyle = 'red';
+      ctx.fillRect(0, 0, 100, 100);
+      const mask = new Uint8Array(100 * 100).fill(255);
+      mask.fill(0, 0, 100 * 20);
+      mask.fill(128, 100 * 20, 100 * 40);
+
+      BackgroundRemoval.applyMask(canvasId, mask);
+      const alpha = (y) => ctx.getImageData(50, y, 1, 1).data[3];
+
+      expect(alpha(10)).toBe(0);
+      expect(alpha(30)).toBe(128);
+      expect(alpha(70)).toBe(255);
+    });
+
+    test('should return alpha as an opaque grayscale mask', () => {
+      ctx.clearRect(0, 0, 100, 100);
+      ctx.fillStyle = 'red';
+      ctx.fillRect(0, 0, 50, 100);
+      ctx.fillStyle = 'rgba(0, 0, 255, 0.5)';
+      ctx.fillRect(50, 0, 25, 100);
+
+      const maskCanvasId = BackgroundRemoval.alphaMask(canvasId);
+      const { ctx: maskCtx } = canvasManager.getCanvas(maskCanvasId);
+      const pixel = (x) => Array.from(maskCtx.getImageData(x, 50, 1, 1).data);
+
+      expect(pixel(25)).toEqual([255, 255, 255, 255]);
+      expect(pixel(60)[0]).toBeGreaterThan(120);
+      expect(pixel(60)[0]).toBeLessThan(135);
+      expect(pixel(90)).toEqual([0, 0, 0, 255]);
+      canvasManager.cleanup(maskCanvasId);
+    });
+  });
+
+  describe('Mask Post-Processing', () => {
+    const alpha = (x, y) => ctx.getImageData(x, y, 1, 1).data[3];
+
+    beforeEach(() => {
+      // Black square with a pinhole, a speck and a thin crack on white
+      ctx.fillStyle = 'white';
+      ctx.fillRect(45, 30, 1, 10);
+      ctx.fillRect(50, 60, 1, 1);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(5, 5, 2, 2);
+      BackgroundRemoval.removeByColor(canvasId, [255, 255, 255], 10);
+    });
+
+    test('should remove islands and fill holes below their size', () => {
+      BackgroundRemoval.postProcess(canvasId, { removeIslands: 10, fillHoles: 20 });
+
+      expect(alpha(5, 5)).toBe(0);
+      expect(alpha(45, 35)).toBe(255);
+      expect(alpha(50, 60)).toBe(255);
+      expect(alpha(15, 50)).toBe(0);
+    });
+
+    test('should open and close with a disc', () => {
+      BackgroundRemoval.postProcess(canvasId, { open: 1, close: 1 });
+
+      expect(alpha(5, 5)).toBe(0);
+      expect(alpha(45, 35)).toBe(255);
+      expect(alpha(50, 60)).toBe(255);
+      expect(alpha(25, 50)).toBe(255);
+      expect(alpha(24, 50)).toBe(0);
+    });
+
+    test('should feather edges inwards only', () => {
+      BackgroundRemoval.postProcess(canvasId, { feather: 3 });
+
+      expect(alpha(24, 50)).toBe(0);
+      expect(alpha(25, 50)).toBeGreaterThan(0);
+      expect(alpha(25, 50)).toBeLessThan(255);
+      expect(alpha(35, 68)).toBe(255);
+    });
+
+    test('should skip feathering when the configuration turns it off', () => {
+      config.processing.useFeathering = false;
+      try {
+        BackgroundRemoval.postProcess(canvasId, { feather: 3 });
+      } finally {
+        config.processing.useFeathering = true;
+      }
+
+      expect(alpha(25, 50)).toBe(255);
+    });
+
+    test('should reject unknown operations and oversized radii', () => {
+      expect(MaskProcessing.isValid({ open: 2, removeIslands: 500 })).toBe(true);
+      expect(MaskProcessing.isValid({ blur: 2 })).toBe(false);
+      expect(MaskProcessing.isValid({ dilate: 21 })).toBe(false);
+      expect(MaskProcessing.isValid({ feather: -1 })).toBe(false);
+    });
+  });
+
+  describe('Background Detection', () => {
+    test('should detect a uniform background from the border', () => {
+      ctx.fillStyle = 'rgb(240, 240, 230)';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 40, 100, 20);
+
+      const { colors, shares } = BackgroundRemoval.detectBackground(canvasId);
+
+      expect(colors).toEqual([[240, 240, 230]]);
+      expect(shares[0]).toBeGreaterThan(0.7);
+    });
+
+    test('should detect every dominant color of a split background', () => {
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, 50, 100);
+      ctx.fillStyle = '#0000ff';
+      ctx.fillRect(50, 0, 50, 100);
+
+      const { colors } = BackgroundRemoval.detectBackground(canvasId);
+
+      expect(colors).toHaveLength(2);
+      expect(colors).toContainEqual([255, 0, 0]);
+      expect(colors).toContainEqual([0, 0, 255]);
+    });
+
+    test('should detect nothing on a transparent border', () => {
+      ctx.clearRect(0, 0, 100, 100);
+
+      expect(BackgroundRemoval.detectBackground(canvasId).colors).toEqual([]);
+    });
+
+    test('should detect and remove the background of every batch image', async () => {
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, 50, 100);
+      ctx.fillStyle = '#0000ff';
+      ctx.fillRect(50, 0, 50, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(40, 40, 20, 20);
+
+      const [result] = await BackgroundRemoval.batchRemoval([canvasId], 'color', { targetColor: 'auto', tolerance: 10 });
+      const alpha = (x, y) => ctx.getImageData(x, y, 1, 1).data[3];
+
+      expect(result.success).toBe(true);
+      expect(result.detectedBackground).toHaveLength(2);
+      expect(alpha(10, 10)).toBe(0);
+      expect(alpha(90, 10)).toBe(0);
+      expect(alpha(50, 50)).toBe(255);
+    });
+  });
+
+  describe('Color Spaces', () => {
+    test('should match the CIEDE2000 reference data', () => {
+      expect(ColorDistance.ciede2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+      expect(ColorDistance.ciede2000([50, 2.5, 0], [73, 25, -18])).toBeCloseTo(27.1492, 4);
+      expect(ColorDistance.ciede2000([2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514])).toBeCloseTo(0.9082, 4);
+    });
+
+    test('should keep the per-channel RGB comparison by default', () => {
+      const distance = ColorDistance.metric([255, 255, 255]);
+
+      expect(distance(250, 245, 240)).toBe(15);
+      expect(ColorDistance.metric([0, 0, 0], 'rgb', { euclidean: true })(3, 4, 0)).toBe(5);
+      expect(ColorDistance.toLab(255, 255, 255)[0]).toBeCloseTo(100, 3);
+    });
+
+    test('should measure tolerance in the selected color space', () => {
+      // A shaded background: much darker, but the same color
+      ctx.fillStyle = 'rgb(200, 200, 200)';
+      ctx.fillRect(0, 0, 100, 10);
+
+      BackgroundRemoval.removeByColor(canvasId, [230, 230, 230], 20, 'ycbcr');
+      const data = ctx.getImageData(0, 0, 100, 100).data;
+
+      expect(data[3]).toBe(0);
+      expect(data[(50 * 100 + 50) * 4 + 3]).toBe(255);
+    });
+
+    test('should pass the color space through batch removal', async () => {
+      const results = await BackgroundRemoval.batchRemoval([canvasId], 'flood-fill', {
+        startX: 0,
+        startY: 0,
+        tolerance: 5,
+        colorSpace: 'ciede2000'
+      });
+
+      expect(results[0].success).toBe(true);
+      expect(ctx.getImageData(0, 0, 1, 1).data[3]).toBe(0);
+      expect(ctx.getImageData(50, 50, 1, 1).data[3]).toBe(255);
+    });
+
+    test('should reject unknown color spaces', () => {
+      expect(() => BackgroundRemoval.removeByColor(canvasId, [255, 255, 255], 10, 'cmyk')).toThrow('Unknown color space');
+    });
+  });
 });
\ No newline at end of file
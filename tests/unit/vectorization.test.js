@@ -1,5 +1,58 @@
 const Vectorizer = require('../../src/vectorization/vectorizer');
+const CurveFitter = require('../../src/vectorization/curve-fitter');
+const ColorQuantizer = require('../../src/vectorization/color-quantizer');
+const ContourTracer = require('../../src/vectorization/contour-tracer');
+const Skeletonizer = require('../../src/vectorization/skeletonizer');
+const Thresholder = require('../../src/vectorization/thresholder');
+const CncExporter = require('../../src/vectorization/cnc-exporter');
+const PathSimplifier = require('../../src/vectorization/path-simplifier');
+const ImageTracer = require('../../src/vectorization/image-tracer');
+const TiledTracer = require('../../src/vectorization/tiled-tracer');
+const PixelTracer = require('../../src/vectorization/pixel-tracer');
+const QualityMeter = require('../../src/vectorization/quality-meter');
+const PathOffsetter = require('../../src/vectorization/path-offsetter');
+const ShapeMetrics = require('../../src/vectorization/shape-metrics');
+const WorkerPool = require('../../src/utils/worker-pool');
+const path = require('path');
 const canvasManager = require('../../src/canvas/canvas-manager');
+const { createCanvas } = require('canvas');
+const { validationResult } = require('express-validator');
+const { vectorizationValidation } = require('../../src/middleware/validation');
+const zlib = require('zlib');
+
+const WORKER_FILE = path.join(__dirname, '../../src/workers/vectorization-worker.js');
+
+// Walk the pixel-edge outline of a filled shape, returning lattice points
+const latticeOutline = (inside, startX, startY) => {
+  const points = [];
+  let x = startX, y = startY + 1, dx = 0, dy = -1;
+
+  do {
+    points.push({ x, y });
+    x += dx;
+    y += dy;
+    const left = inside(x + (dx + dy - 1) / 2, y + (dy - dx - 1) / 2);
+    const right = inside(x + (dx - dy - 1) / 2, y + (dy + dx - 1) / 2);
+    if (left && right) {
+      [dx, dy] = [dy, -dx];
+    } else if (!right) {
+      [dx, dy] = [-dy, dx];
+    }
+  } while (x !== startX || y !== startY + 1);
+
+  return points;
+};
+
+// Binary bitmap with ink wherever inside(x, y) holds
+const bitmapFrom = (width, height, inside) => {
+  const data = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = inside(x, y) ? 1 : 0;
+    }
+  }
+  return { data, width, height };
+};
 
 describe('Vectorizer', () => {
   let canvasId, ctx;
@@ -91,6 +144,1311 @@ describe('Vectorizer', () => {
     });
   });
 
+  describe('Curve Fitting', () => {
+    const disc = (cx, cy, r) => (x, y) => (x + 0.5 - cx) ** 2 + (y + 0.5 - cy) ** 2 < r * r;
+    const square = (x0, y0, size) => (x, y) => x >= x0 && x < x0 + size && y >= y0 && y < y0 + size;
+
+    test('should fit round shapes with cubic Bezier curves', () => {
+      const outline = latticeOutline(disc(50, 50, 30), 20, 49);
+      const curve = CurveFitter.fit(outline);
+
+      expect(curve.closed).toBe(true);
+      expect(curve.segments.some(segment => segment.type === 'C')).toBe(true);
+      expect(curve.segments.length).toBeLessThan(outline.length / 10);
+    });
+
+    test('should keep sharp corners as line segments', () => {
+      const curve = CurveFitter.fit(latticeOutline(square(25, 25, 50), 25, 25));
+
+      expect(curve.segments.every(segment => segment.type === 'L')).toBe(true);
+      expect(curve.segments.map(segment => segment.points[0])).toContainEqual({ x: 75, y: 75 });
+    });
+
+    test('should emit only corners when alphamax is 0', () => {
+      const curve = CurveFitter.fit(latticeOutline(disc(50, 50, 30), 20, 49), { alphamax: 0 });
+
+      expect(curve.segments.every(segment => segment.type === 'L')).toBe(true);
+    });
+
+    test('should merge more curve segments with a larger opttolerance', () => {
+      const outline = latticeOutline(disc(50, 50, 30), 20, 49);
+      const tight = CurveFitter.fit(outline, { opttolerance: 0.05 });
+      const loose = CurveFitter.fit(outline, { opttolerance: 1 });
+      const unmerged = CurveFitter.fit(outline, { optcurve: false });
+
+      expect(loose.segments.length).toBeLessThanOrEqual(tight.segments.length);
+      expect(tight.segments.length).toBeLessThanOrEqual(unmerged.segments.length);
+    });
+
+    test('should reject paths that are not closed lattice paths', () => {
+      expect(CurveFitter.fit([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }])).toBeNull();
+    });
+  });
+
+  describe('Hole-Aware Tracing', () => {
+    // Ring with an island inside its counter
+    const ring = (x, y) =>
+      (x >= 2 && x < 18 && y >= 2 && y < 18 && !(x >= 6 && x < 14 && y >= 6 && y < 14)) ||
+      (x >= 8 && x < 12 && y >= 8 && y < 12);
+
+    test('should trace outer contours and holes on pixel edges', () => {
+      const contours = ContourTracer.trace(bitmapFrom(20, 20, ring));
+
+      expect(contours.map(contour => contour.sign)).toEqual(['+', '-', '+']);
+      expect(contours.map(contour => contour.area)).toEqual([256, 64, 16]);
+      expect(contours[0].points).toContainEqual({ x: 18, y: 18 });
+    });
+
+    test('should nest holes under their enclosing outline', () => {
+      const contours = ContourTracer.trace(bitmapFrom(20, 20, ring));
+      const roots = ContourTracer.buildTree(contours);
+
+      expect(roots).toHaveLength(1);
+      expect(contours[1].parent).toBe(contours[0]);
+      expect(contours[2].parent).toBe(contours[1]);
+    });
+
+    test('should group holes into compound shapes with opposite winding', () => {
+      const shapes = ContourTracer.toShapes(ContourTracer.trace(bitmapFrom(20, 20, ring)));
+      const signedArea = points => points.reduce((sum, p, i) => {
+        const q = points[(i + 1) % points.length];
+        return sum + p.x * q.y - q.x * p.y;
+      }, 0);
+
+      expect(shapes).toHaveLength(2);
+      expect(shapes[0].holes).toHaveLength(1);
+      expect(shapes[0].area).toBe(192);
+      expect(Math.sign(signedArea(shapes[0].holes[0]))).toBe(-Math.sign(signedArea(shapes[0].outline)));
+    });
+
+    test('should drop contours not larger than turdsize', () => {
+      const speck = (x, y) => x === 1 && y === 1;
+      expect(ContourTracer.trace(bitmapFrom(5, 5, speck), { turdsize: 1 })).toHaveLength(0);
+      expect(ContourTracer.trace(bitmapFrom(5, 5, speck), { turdsize: 0 })).toHaveLength(1);
+    });
+
+    test('should emit letter counters as compound paths', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(20, 20, 60, 60);
+      ctx.fillStyle = 'white';
+      ctx.fillRect(35, 35, 30, 30);
+
+      const svg = await Vectorizer.vectorizeCanvas(canvasId);
+      const paths = svg.match(/<path d="[^"]+"/g) || [];
+
+      expect(paths).toHaveLength(1);
+      expect((paths[0].match(/M/g) || []).length).toBe(2);
+      expect(svg).toContain('fill-rule="evenodd"');
+    });
+  });
+
+  describe('Turn Policy and Alphamax', () => {
+    // Two ink squares touching only at a corner, and the inverse image
+    const touching = (x, y) => (x >= 1 && x < 5 && y >= 1 && y < 5) || (x >= 5 && x < 9 && y >= 5 && y < 9);
+    const inkContours = (turnpolicy) =>
+      ContourTracer.trace(bitmapFrom(10, 10, touching), { turnpolicy }).filter(c => c.sign === '+');
+    const holeContours = (turnpolicy) =>
+      ContourTracer.trace(bitmapFrom(10, 10, (x, y) => !touching(x, y)), { turnpolicy }).filter(c => c.sign === '-');
+
+    test('should join or split diagonal pixels according to the turn policy', () => {
+      expect(inkContours('black')).toHaveLength(1);
+      expect(holeContours('black')).toHaveLength(2);
+      expect(inkContours('white')).toHaveLength(2);
+      expect(holeContours('white')).toHaveLength(1);
+      expect(inkContours('right')).toHaveLength(1);
+      expect(holeContours('right')).toHaveLength(1);
+      expect(inkContours('left')).toHaveLength(2);
+      expect(holeContours('left')).toHaveLength(2);
+    });
+
+    test('should connect the locally rarer color with minority and the dominant with majority', () => {
+      expect(inkContours('minority')).toHaveLength(1);
+      expect(inkContours('majority')).toHaveLength(2);
+    });
+
+    test('should resolve random turns deterministically', () => {
+      const first = ContourTracer.trace(bitmapFrom(10, 10, touching), { turnpolicy: 'random' });
+      const second = ContourTracer.trace(bitmapFrom(10, 10, touching), { turnpolicy: 'random' });
+
+      expect(first.map(c => c.area)).toEqual(second.map(c => c.area));
+    });
+
+    test('should reject unknown turn policies', () => {
+      expect(() => ContourTracer.trace(bitmapFrom(10, 10, touching), { turnpolicy: 'sideways' }))
+        .toThrow('Invalid turn policy');
+    });
+
+    test('should pass turnpolicy and alphamax through the vectorizer', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.beginPath();
+      ctx.arc(50, 50, 30, 0, 2 * Math.PI);
+      ctx.fill();
+
+      const corners = await Vectorizer.vectorizeCanvas(canvasId, { alphamax: 0, turnpolicy: 'black' });
+      const curves = await Vectorizer.vectorizeCanvas(canvasId, { alphamax: 1.3334, turnpolicy: 'black' });
+
+      expect(corners).not.toMatch(/ C /);
+      expect(curves).toMatch(/ C /);
+      await expect(Vectorizer.vectorizeCanvas(canvasId, { turnpolicy: 'sideways' })).rejects.toThrow();
+    });
+
+    test('should validate turnpolicy and alphamax request fields', async () => {
+      const validate = async (body) => {
+        const req = { body };
+        for (const chain of vectorizationValidation.slice(0, -1)) {
+          await chain.run(req);
+        }
+        return validationResult(req).array().map(error => error.path);
+      };
+
+      expect(await validate({ turnpolicy: 'majority', alphamax: '0.5' })).toEqual([]);
+      expect(await validate({ turnpolicy: 'sideways', alphamax: '2' })).toEqual(['turnpolicy', 'alphamax']);
+      expect(await validate({ threshold: 'otsu', scale: '2' })).toEqual([]);
+      expect(await validate({ threshold: '300' })).toEqual(['threshold']);
+      expect(await validate({ threshold: 'adaptive', adaptiveMethod: 'gaussian', blockSize: '31', adaptiveOffset: '-2.5' }))
+        .toEqual([]);
+      expect(await validate({ adaptiveMethod: 'median', blockSize: '100000000', adaptiveOffset: 'abc' }))
+        .toEqual(['adaptiveMethod', 'blockSize', 'adaptiveOffset']);
+      expect(await validate({ palette: '["#ffffff","#000000"]' })).toEqual([]);
+      expect(await validate({ palette: '#ffffff, #ff0000' })).toEqual([]);
+      expect(await validate({ palette: '[#fff' })).toEqual(['palette']);
+      expect(await validate({ palette: 'zz' })).toEqual(['palette']);
+      expect(await validate({ palette: new Array(257).fill('#000000').join(',') })).toEqual(['palette']);
+      expect(await validate({ mode: 'depixelize' })).toEqual([]);
+      expect(await validate({ style: 'dashed', strokeColor: 'red' })).toEqual(['style', 'strokeColor']);
+      expect(await validate({ offset: '-3', kerf: '-1', offsetUnits: 'cm', sticker: 'yes' }))
+        .toEqual(['kerf', 'offsetUnits', 'sticker']);
+      expect(await validate({ units: 'in', dpi: '300', feedRate: '1500', power: '250.5' })).toEqual([]);
+      expect(await validate({ units: 'cm', dpi: '0', feedRate: 'abc', power: '-1' }))
+        .toEqual(['units', 'dpi', 'feedRate', 'power']);
+    });
+  });
+
+  describe('Color Mode', () => {
+    beforeEach(() => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(10, 10, 30, 30);
+      ctx.fillStyle = '#0000ff';
+      ctx.fillRect(60, 60, 30, 30);
+    });
+
+    test('should quantize image to the requested number of colors', () => {
+      const imageData = ctx.getImageData(0, 0, 100, 100);
+      const { palette, indices, counts } = ColorQuantizer.quantize(imageData, { colors: 3 });
+
+      expect(palette.map(color => ColorQuantizer.toHex(color)).sort())
+        .toEqual(['#0000ff', '#ff0000', '#ffffff']);
+      expect(indices).toHaveLength(100 * 100);
+      expect(counts.reduce((a, b) => a + b, 0)).toBe(100 * 100);
+    });
+
+    test('should map pixels to an explicit palette', () => {
+      const imageData = ctx.getImageData(0, 0, 100, 100);
+      const { palette, counts } = ColorQuantizer.quantize(imageData, {
+        palette: ['#ffffff', '#ff0000', '#0000ff', '#00ff00']
+      });
+
+      expect(palette).toHaveLength(4);
+      expect(counts[3]).toBe(0);
+    });
+
+    test('should emit one group per color', async () => {
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, { colorMode: 'color', colors: 3 });
+      const groups = svg.match(/<g fill="#[0-9a-f]{6}"/g) || [];
+
+      expect(groups).toHaveLength(3);
+      expect(svg).toContain('<g fill="#ff0000"');
+      expect(svg).toContain('<g fill="#0000ff"');
+    });
+
+    test('should stack the largest color layer first', async () => {
+      const layers = await Vectorizer.generateLayerData(canvasId, { colorMode: 'color', colors: 3 });
+
+      expect(layers[0].color).toBe('#ffffff');
+      expect(layers.every(layer => layer.pathData.startsWith('M'))).toBe(true);
+    });
+
+    test('should add seam strokes in cutout layering', async () => {
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, {
+        colorMode: 'color',
+        colors: 3,
+        layering: 'cutout'
+      });
+
+      expect(svg).toContain('stroke="#ff0000"');
+    });
+  });
+
+  describe('Automatic Threshold', () => {
+    // Gray image data with the given luma wherever fill(x, y) returns one
+    const grayImage = (width, height, fill) => {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          data[i] = data[i + 1] = data[i + 2] = fill(x, y);
+          data[i + 3] = 255;
+        }
+      }
+      return { data, width, height };
+    };
+
+    // Low-contrast square that a fixed threshold of 128 misses
+    const faint = grayImage(40, 40, (x, y) => (x >= 10 && x < 30 && y >= 10 && y < 30 ? 150 : 210));
+
+    test('should pick a threshold between the two gray levels with otsu', () => {
+      const bitmap = Thresholder.binarize(faint, 'otsu');
+      const ink = bitmap.data.reduce((sum, v) => sum + v, 0);
+
+      expect(bitmap.threshold).toBeGreaterThanOrEqual(150);
+      expect(bitmap.threshold).toBeLessThan(210);
+      expect(ink).toBe(400);
+      expect(Thresholder.binarize(faint, 128).data.every(v => v === 0)).toBe(true);
+    });
+
+    test('should separate strokes on uneven lighting with adaptive thresholds', () => {
+      // Dark and light halves, each with a stroke slightly darker than its surroundings
+      const shaded = grayImage(60, 20, (x, y) => {
+        const background = x < 30 ? 100 : 230;
+        return y >= 9 && y < 12 ? background - 50 : background;
+      });
+
+      for (const adaptiveMethod of ['mean', 'gaussian']) {
+        const bitmap = Thresholder.binarize(shaded, 'adaptive', { adaptiveMethod, blockSize: 11 });
+        // Columns away from the lighting edge
+        const row = (y) => bitmap.data
+          .slice(y * 60, (y + 1) * 60)
+          .filter((v, x) => x < 20 || x >= 40);
+
+        expect(bitmap.threshold).toBe('adaptive');
+        expect(row(10).every(v => v === 1)).toBe(true);
+        expect(row(2).every(v => v === 0)).toBe(true);
+      }
+    });
+
+    test('should parse threshold request values', () => {
+      expect(Thresholder.parseThreshold('otsu')).toBe('otsu');
+      expect(Thresholder.parseThreshold('Adaptive')).toBe('adaptive');
+      expect(Thresholder.parseThreshold('100')).toBe(100);
+      expect(Thresholder.parseThreshold(undefined)).toBe(128);
+      expect(() => Thresholder.parseThreshold('bright')).toThrow('Invalid threshold');
+    });
+
+    test('should bound the adaptive block size', () => {
+      expect(Thresholder.blockSize(10)).toBe(11);
+      expect(Thresholder.blockSize(1)).toBe(3);
+      expect(Thresholder.blockSize(100000000)).toBe(Thresholder.MAX_BLOCK_SIZE);
+      expect(Thresholder.blockSize(parseInt('abc'))).toBe(15);
+    });
+
+    test('should report the applied threshold', async () => {
+      ctx.fillStyle = '#d2d2d2';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = '#969696';
+      ctx.fillRect(25, 25, 50, 50);
+
+      const { svg, threshold } = await Vectorizer.traceSVG(canvasId, { threshold: 'otsu' });
+      const { threshold: colorThreshold } = await Vectorizer.traceLayerData(canvasId, { colorMode: 'color' });
+
+      expect(threshold).toBeGreaterThanOrEqual(150);
+      expect(svg).toContain('<path');
+      expect(colorThreshold).toBeNull();
+    });
+
+    test('should trace only pure black with threshold 0', async () => {
+      ctx.fillStyle = '#323232';
+      ctx.fillRect(5, 5, 10, 10);
+      const options = { threshold: 0, turdsize: 0 };
+
+      const traced = await Vectorizer.traceCanvas(canvasId, options);
+      const { canvas } = canvasManager.getCanvas(canvasId);
+      const tiled = await Vectorizer.traceTiled(canvas, { ...options, tileSize: 64 });
+
+      expect(traced.layers[0].paths.map(path => path.area)).toEqual([2500]);
+      expect(tiled.layers[0].paths.map(path => path.area)).toEqual([2500]);
+      expect((await Vectorizer.measureQuality(canvasId, traced, options)).missed).toBe(0);
+    });
+  });
+
+  describe('Centerline Mode', () => {
+    // 5 pixel thick horizontal bar
+    const bar = (x, y) => x >= 5 && x < 35 && y >= 8 && y < 13;
+
+    test('should thin strokes to a one pixel wide skeleton', () => {
+      const skeleton = Skeletonizer.thin(bitmapFrom(40, 20, bar));
+
+      for (let x = 10; x < 30; x++) {
+        let count = 0;
+        for (let y = 0; y < 20; y++) {
+          count += skeleton.data[y * 40 + x];
+        }
+        expect(count).toBe(1);
+      }
+    });
+
+    test('should trace a single open polyline along a bar', () => {
+      const skeleton = Skeletonizer.thin(bitmapFrom(40, 20, bar));
+      const polylines = Skeletonizer.tracePolylines(skeleton);
+
+      expect(polylines).toHaveLength(1);
+      expect(polylines[0].closed).toBe(false);
+    });
+
+    test('should join branches at a single junction point', () => {
+      const plus = (x, y) =>
+        (x >= 17 && x < 23 && y >= 5 && y < 35) || (y >= 17 && y < 23 && x >= 5 && x < 35);
+      const polylines = Skeletonizer.tracePolylines(Skeletonizer.thin(bitmapFrom(40, 40, plus)));
+      const ends = polylines
+        .flatMap(line => [line.points[0], line.points[line.points.length - 1]])
+        .map(p => `${p.x},${p.y}`);
+      const shared = ends.filter(key => ends.indexOf(key) !== ends.lastIndexOf(key));
+
+      expect(polylines).toHaveLength(4);
+      expect(shared).toHaveLength(4);
+      expect(new Set(shared).size).toBe(1);
+    });
+
+    test('should trace a ring as a closed polyline', () => {
+      const ring = (x, y) =>
+        x >= 4 && x < 26 && y >= 4 && y < 26 && !(x >= 8 && x < 22 && y >= 8 && y < 22);
+      const polylines = Skeletonizer.tracePolylines(Skeletonizer.thin(bitmapFrom(30, 30, ring)));
+
+      expect(polylines).toHaveLength(1);
+      expect(polylines[0].closed).toBe(true);
+    });
+
+    test('should estimate stroke width from line thickness', () => {
+      const bitmap = bitmapFrom(40, 20, bar);
+      const width = Skeletonizer.estimateStrokeWidth(bitmap, Skeletonizer.thin(bitmap));
+
+      expect(width).toBeGreaterThanOrEqual(4);
+      expect(width).toBeLessThanOrEqual(6);
+    });
+
+    test('should emit stroked open paths', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(10, 45, 80, 6);
+
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, { mode: 'centerline' });
+
+      expect(svg).toContain('fill="none"');
+      expect(svg).toContain('stroke="#000000"');
+      expect(svg).toContain('stroke-linecap="round"');
+      expect(svg).not.toContain(' Z');
+    });
+
+    test('should scale a configured stroke width', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(10, 45, 80, 6);
+
+      const layers = await Vectorizer.generateLayerData(canvasId, {
+        mode: 'centerline',
+        strokeWidth: 3,
+        scale: 2
+      });
+
+      expect(layers).toHaveLength(1);
+      expect(layers[0].strokeWidth).toBe(6);
+      expect(layers[0].pathData).toMatch(/^M /);
+    });
+  });
+
+  describe('Paint Style', () => {
+    test('should draw outlines only with the stroke style', async () => {
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, { style: 'stroke', scale: 2 });
+
+      expect(svg).toContain('fill="none" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"');
+      expect(svg).not.toContain('fill="#000000"');
+    });
+
+    test('should fill and stroke with the both style', async () => {
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, {
+        style: 'both',
+        strokeColor: '#ff0000',
+        strokeWidth: 3,
+        strokeLinejoin: 'miter',
+        strokeLinecap: 'square'
+      });
+
+      expect(svg).toContain('fill="#000000" fill-rule="evenodd" stroke="#ff0000" stroke-width="3" stroke-linecap="square" stroke-linejoin="miter"');
+    });
+
+    test('should replace the seam stroke of cutout layers', async () => {
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, {
+        colorMode: 'color',
+        colors: 2,
+        layering: 'cutout',
+        style: 'stroke'
+      });
+
+      expect(svg).toContain('<g fill="none" stroke="#000000" stroke-width="1"');
+      expect(svg).not.toContain('stroke-width="0.5"');
+    });
+  });
+
+  describe('Path Offset', () => {
+    const bounds = (shapes) => {
+      const points = shapes.flatMap(shape => [shape.outline.start, ...shape.outline.segments.flatMap(s => s.points)]);
+      return {
+        minX: Math.min(...points.map(p => p.x)),
+        maxX: Math.max(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)),
+        maxY: Math.max(...points.map(p => p.y))
+      };
+    };
+
+    test('should add a cut line around the artwork and grow the canvas', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const result = PathOffsetter.apply(traced, { offset: 5 });
+      const cut = result.layers.find(layer => layer.kind === 'offset');
+      const box = bounds(cut.paths);
+
+      expect(result.width).toBe(110);
+      expect(result.height).toBe(110);
+      expect(cut.name).toBe('CutContour');
+      expect(cut.paths).toHaveLength(1);
+      // The 50px square starts at 25 + 5 margin; the cut line is 5px outside it
+      expect(box.minX).toBeCloseTo(25, 0);
+      expect(box.maxX).toBeCloseTo(85, 0);
+      expect(cut.paths[0].area).toBeGreaterThan(60 * 60 - 30);
+      expect(cut.paths[0].area).toBeLessThan(60 * 60);
+    });
+
+    test('should shrink the outline with a negative offset and widen it by half the kerf', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const inset = PathOffsetter.apply(traced, { offset: -5 });
+      const kerf = PathOffsetter.apply(traced, { offset: -5, kerf: 4 });
+
+      expect(inset.width).toBe(100);
+      expect(bounds(inset.layers[1].paths).minX).toBeCloseTo(30, 0);
+      expect(bounds(kerf.layers[1].paths).minX).toBeCloseTo(28, 0);
+    });
+
+    test('should convert physical offsets with dpi and scale', () => {
+      expect(PathOffsetter.toPixels(25.4, { offsetUnits: 'mm', dpi: 96 })).toBeCloseTo(96);
+      expect(PathOffsetter.toPixels(0.5, { offsetUnits: 'in', dpi: 300, scale: 2 })).toBeCloseTo(75);
+      expect(PathOffsetter.toPixels(3, { offsetUnits: 'px', dpi: 300 })).toBe(3);
+    });
+
+    test('should write sticker border and cut line groups around the artwork', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(40, 40, 20, 20);
+
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, { offset: 4, sticker: true, stickerColor: '#eeeeee' });
+      const sticker = svg.indexOf('<g id="StickerBorder" fill="#eeeeee"');
+      const artwork = svg.indexOf('fill="#000000"');
+      const cut = svg.indexOf('<g id="CutContour" fill="none" stroke="#ff0000"');
+
+      expect(svg).toContain('viewBox="0 0 108 108"');
+      expect(sticker).toBeGreaterThan(-1);
+      expect(artwork).toBeGreaterThan(sticker);
+      expect(cut).toBeGreaterThan(artwork);
+
+      // The sticker border closes the hole of the artwork
+      const result = PathOffsetter.apply(await Vectorizer.traceCanvas(canvasId, {}), { offset: 4, sticker: true });
+      expect(result.layers[0].paths[0].holes).toHaveLength(0);
+    });
+
+    test('should put the cut line on its own DXF layer without the sticker border', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'dxf', { offset: 2, sticker: true });
+
+      expect(data).toContain('CUTCONTOUR');
+      expect(data).not.toContain('STICKERBORDER');
+    });
+
+    test('should reject offsets in centerline mode', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, { mode: 'centerline' });
+
+      expect(() => PathOffsetter.apply(traced, { mode: 'centerline', offset: 2 })).toThrow('centerline');
+      expect(PathOffsetter.apply(traced, { mode: 'centerline' })).toBe(traced);
+    });
+  });
+
+  describe('PDF and EPS Export', () => {
+    beforeEach(() => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(10, 10, 30, 30);
+      ctx.fillStyle = '#0000ff';
+      ctx.fillRect(60, 60, 30, 30);
+    });
+
+    const pdfContent = (pdf) => {
+      const text = pdf.toString('latin1');
+      const start = text.indexOf('stream\n') + 'stream\n'.length;
+      const end = text.indexOf('\nendstream');
+      return zlib.inflateSync(pdf.subarray(start, end)).toString('latin1');
+    };
+
+    test('should write a PDF with a valid cross-reference table', async () => {
+      const { data, contentType } = await Vectorizer.exportCanvas(canvasId, 'pdf', { scale: 2 });
+      const text = data.toString('latin1');
+      const xref = text.slice(text.lastIndexOf('xref\n'));
+      const offsets = xref.split('\n').slice(3).filter(line => / n $/.test(line)).map(line => parseInt(line));
+
+      expect(contentType).toBe('application/pdf');
+      expect(text.startsWith('%PDF-1.5')).toBe(true);
+      expect(text).toContain('/MediaBox [0 0 200 200]');
+      offsets.forEach((offset, index) => {
+        expect(text.slice(offset, offset + 10)).toBe(`${index + 1} 0 obj\n`.slice(0, 10));
+      });
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    });
+
+    test('should flip the y axis and fill with the even-odd rule', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'pdf', { scale: 2 });
+      const content = pdfContent(data);
+
+      expect(content.startsWith('2 0 0 -2 0 200 cm')).toBe(true);
+      expect(content).toContain('0 0 0 rg');
+      expect(content).toContain('f*');
+    });
+
+    test('should write one PDF layer per color', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'pdf', { colorMode: 'color', colors: 3 });
+      const text = data.toString('latin1');
+      const content = pdfContent(data);
+
+      expect((text.match(/\/Type \/OCG/g) || [])).toHaveLength(3);
+      expect(text).toContain('/Name (#ff0000)');
+      expect(content).toContain('1 0 0 rg');
+      expect(content).toContain('0 0 1 rg');
+    });
+
+    test('should write EPS with a scaled bounding box', async () => {
+      const { data, contentType } = await Vectorizer.exportCanvas(canvasId, 'eps', {
+        colorMode: 'color',
+        colors: 3,
+        scale: 1.5
+      });
+
+      expect(contentType).toBe('application/postscript');
+      expect(data.startsWith('%!PS-Adobe-3.0 EPSF-3.0')).toBe(true);
+      expect(data).toContain('%%BoundingBox: 0 0 150 150');
+      expect(data).toContain('0 150 translate 1.5 -1.5 scale');
+      expect(data).toContain('1 0 0 setrgbcolor');
+      expect(data).toContain('eofill');
+    });
+
+    test('should stroke centerlines in EPS', async () => {
+      ctx.fillStyle = 'black';
+      ctx.fillRect(10, 45, 80, 6);
+
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'eps', { mode: 'centerline', strokeWidth: 2 });
+
+      expect(data).toContain('2 setlinewidth 1 setlinecap 1 setlinejoin');
+      expect(data).toContain('stroke');
+      expect(data).not.toContain('eofill');
+    });
+
+    test('should stroke outlines in the stroke and both styles', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'pdf', { style: 'stroke', strokeLinejoin: 'bevel' });
+      const content = pdfContent(data);
+
+      expect(content).toContain('0 0 0 RG 1 w 1 J 2 j');
+      expect(content).toContain('S\n');
+      expect(content).not.toContain('f*');
+
+      const eps = (await Vectorizer.exportCanvas(canvasId, 'eps', { style: 'both', strokeColor: '#00ff00' })).data;
+      expect(eps).toContain('gsave eofill grestore gsave 0 1 0 setrgbcolor stroke grestore');
+    });
+
+    test('should reject unknown export formats', async () => {
+      await expect(Vectorizer.exportCanvas(canvasId, 'tiff')).rejects.toThrow('Unsupported export format');
+    });
+  });
+
+  describe('CNC Export', () => {
+    beforeEach(() => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(25, 25, 50, 50);
+    });
+
+    // 25.4 dpi makes one pixel one millimeter
+    const cncOptions = { dpi: 25.4, optcurve: false };
+
+    test('should write G-code in machine coordinates with feed and power', async () => {
+      const { data, extension } = await Vectorizer.exportCanvas(canvasId, 'gcode', {
+        ...cncOptions,
+        feedRate: 1500,
+        power: 300
+      });
+
+      expect(extension).toBe('gcode');
+      expect(data).toContain('G21');
+      expect(data).toContain('M3 S300');
+      expect(data).toMatch(/G1 X\d+(\.\d+)? Y\d+(\.\d+)? F1500/);
+      // The square spans 25-75 mm, flipped so y grows upwards
+      expect(data).toContain('X25 Y75');
+      expect(data).toContain('X75 Y25');
+      expect(data.trimEnd().endsWith('M2')).toBe(true);
+    });
+
+    test('should convert to inches', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'gcode', { ...cncOptions, units: 'in' });
+
+      expect(data).toContain('G20');
+      expect(data).toContain('X0.9843 Y2.9528');
+    });
+
+    test('should write DXF polylines on a layer per color', async () => {
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'dxf', cncOptions);
+      const lines = data.split('\n');
+
+      expect(lines.filter(line => line === 'POLYLINE')).toHaveLength(1);
+      expect(data).toContain('COLOR_000000');
+      expect(lines[lines.indexOf('$EXTMAX') + 2]).toBe('100');
+      // R12 headers have no units variable
+      expect(data).not.toContain('$INSUNITS');
+      expect(data.trimEnd().endsWith('EOF')).toBe(true);
+    });
+
+    test('should write HPGL in plotter units', async () => {
+      const { data, extension } = await Vectorizer.exportCanvas(canvasId, 'hpgl', cncOptions);
+
+      expect(extension).toBe('plt');
+      expect(data.startsWith('IN;SP1;PU')).toBe(true);
+      expect(data).toContain('1000,3000');
+      expect(data.trimEnd().endsWith('PU;SP0;')).toBe(true);
+    });
+
+    test('should order contours to shorten travel', () => {
+      const square = (x, y) => ({
+        points: [{ x, y }, { x: x + 1, y }, { x: x + 1, y: y + 1 }, { x, y: y + 1 }],
+        closed: true
+      });
+      const polylines = [square(90, 90), square(10, 10), square(50, 50), square(20, 20)];
+      const ordered = CncExporter.orderPaths(polylines);
+
+      expect(ordered.map(p => p.points[0].x)).toEqual([10, 20, 50, 90]);
+      expect(CncExporter.travelDistance(ordered)).toBeLessThan(CncExporter.travelDistance(polylines));
+    });
+
+    test('should cut inner contours before the contours around them', () => {
+      const square = (x, y, size) => ({
+        points: [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }],
+        closed: true
+      });
+      // An outline with a hole holding an island, next to the start position
+      const polylines = [square(0, 0, 30), square(5, 5, 20), square(10, 10, 10), square(40, 0, 5)];
+      const ordered = CncExporter.orderPaths(polylines);
+
+      expect(ordered.map(p => p.points.length)).toEqual([4, 4, 4, 4]);
+      expect(ordered.map(p => Math.min(...p.points.map(point => point.x)))).toEqual([10, 5, 0, 40]);
+    });
+
+    test('should cut the hole of a ring before its outline', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(40, 40, 20, 20);
+
+      const { data } = await Vectorizer.exportCanvas(canvasId, 'gcode', cncOptions);
+      const [x, y] = data.match(/^G0 X(\S+) Y(\S+)$/m).slice(1).map(Number);
+
+      // The hole spans 40-60 mm, the outline 25-75 mm
+      expect(x).toBeGreaterThanOrEqual(40);
+      expect(x).toBeLessThanOrEqual(60);
+      expect(y).toBeGreaterThanOrEqual(40);
+      expect(y).toBeLessThanOrEqual(60);
+    });
+
+    test('should flatten curves into polylines', () => {
+      const points = CncExporter.flatten({
+        start: { x: 0, y: 0 },
+        segments: [{ type: 'C', points: [{ x: 0, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 0 }] }],
+        closed: false
+      });
+
+      expect(points.length).toBeGreaterThan(3);
+      expect(points[points.length - 1]).toEqual({ x: 10, y: 0 });
+    });
+  });
+
+  describe('Simplification and Encoding', () => {
+    // Staircase approximating a diagonal line, one point per pixel step
+    const staircase = [];
+    for (let i = 0; i < 20; i++) {
+      staircase.push({ x: i, y: i }, { x: i + 1, y: i });
+    }
+    staircase.push({ x: 20, y: 20 });
+
+    test('should collapse a staircase with douglas-peucker', () => {
+      const simplified = PathSimplifier.douglasPeucker(staircase, 1);
+
+      expect(simplified).toEqual([{ x: 0, y: 0 }, { x: 20, y: 20 }]);
+    });
+
+    test('should collapse a staircase with visvalingam', () => {
+      const simplified = PathSimplifier.visvalingam(staircase, 4);
+
+      expect(simplified.length).toBeLessThan(staircase.length / 4);
+      expect(simplified[0]).toEqual(staircase[0]);
+      expect(simplified[simplified.length - 1]).toEqual(staircase[staircase.length - 1]);
+    });
+
+    test('should keep curve segments while simplifying straight runs', () => {
+      const path = {
+        start: { x: 0, y: 0 },
+        segments: [
+          { type: 'L', points: [{ x: 5, y: 0.1 }] },
+          { type: 'L', points: [{ x: 10, y: 0 }] },
+          { type: 'C', points: [{ x: 15, y: 0 }, { x: 20, y: 5 }, { x: 20, y: 10 }] },
+          { type: 'L', points: [{ x: 0, y: 10 }] },
+          { type: 'L', points: [{ x: 0, y: 0 }] }
+        ],
+        closed: true
+      };
+      const simplified = PathSimplifier.simplifyPath(path, { method: 'douglas-peucker', tolerance: 1 });
+
+      expect(simplified.segments.map(segment => segment.type)).toEqual(['L', 'C', 'L', 'L']);
+      expect(simplified.segments[1]).toBe(path.segments[2]);
+    });
+
+    test('should report node counts before and after simplification', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.beginPath();
+      ctx.arc(50, 50, 40, 0, 2 * Math.PI);
+      ctx.fill();
+
+      // alphamax 0 keeps every vertex a corner, so the outline is all straight runs
+      const plain = await Vectorizer.traceSVG(canvasId, { alphamax: 0 });
+      const simplified = await Vectorizer.traceSVG(canvasId, {
+        alphamax: 0,
+        simplify: 'douglas-peucker',
+        simplifyTolerance: 3
+      });
+
+      expect(plain.nodes.after).toBe(plain.nodes.before);
+      expect(simplified.nodes.before).toBe(plain.nodes.before);
+      expect(simplified.nodes.after).toBeLessThan(simplified.nodes.before);
+      expect(simplified.svg.length).toBeLessThan(plain.svg.length);
+    });
+
+    test('should encode relative commands with the requested precision', () => {
+      const path = {
+        start: { x: 1.23456, y: 2 },
+        segments: [
+          { type: 'L', points: [{ x: 3.5, y: 2 }] },
+          { type: 'C', points: [{ x: 4, y: 3 }, { x: 5, y: 4 }, { x: 6, y: 6 }] }
+        ],
+        closed: true
+      };
+
+      expect(Vectorizer.toPathData(path, 1, { precision: 1, relative: true }))
+        .toBe('M 1.2 2 l 2.3 0 c 0.5 1 1.5 2 2.5 4 Z');
+      expect(Vectorizer.toPathData(path, 2, { precision: 0 }))
+        .toBe('M 2 4 L 7 4 C 8 6 10 8 12 12 Z');
+    });
+
+    test('should merge same-fill shapes into one path', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(10, 10, 20, 20);
+      ctx.fillRect(60, 60, 20, 20);
+
+      const separate = await Vectorizer.vectorizeCanvas(canvasId);
+      const merged = await Vectorizer.vectorizeCanvas(canvasId, { mergePaths: true });
+
+      expect((separate.match(/<path/g) || [])).toHaveLength(2);
+      expect((merged.match(/<path/g) || [])).toHaveLength(1);
+      expect((merged.match(/M /g) || [])).toHaveLength(2);
+    });
+  });
+
+  describe('Pixel Mode', () => {
+    const PALETTE = { r: [255, 0, 0], b: [0, 0, 255], g: [0, 128, 0] };
+
+    // Image data from rows of palette letters; '.' is transparent
+    const pixelImage = (rows) => {
+      const width = rows[0].length;
+      const data = new Uint8ClampedArray(width * rows.length * 4);
+      rows.forEach((row, y) => [...row].forEach((letter, x) => {
+        if (PALETTE[letter]) {
+          data.set([...PALETTE[letter], 255], (y * width + x) * 4);
+        }
+      }));
+      return { data, width, height: rows.length };
+    };
+
+    const corners = (path) => [path.start, ...path.segments.map(segment => segment.points[0])];
+
+    // Directed edges of polygons, as "x1,y1>x2,y2"
+    const edges = (paths) => paths.flatMap(path => {
+      const points = corners(path);
+      return points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        return `${point.x},${point.y}>${next.x},${next.y}`;
+      });
+    });
+
+    test('should trace exact color runs as merged polygons', () => {
+      const layers = PixelTracer.trace(pixelImage([
+        'rrrb',
+        'rbbb',
+        'rb.b',
+        'rbbb'
+      ]), { mode: 'pixel' });
+
+      expect(layers.map(layer => layer.color)).toEqual(['#0000ff', '#ff0000']);
+      const [blue, red] = layers;
+
+      expect(red.paths).toHaveLength(1);
+      expect(red.paths[0].area).toBe(6);
+      expect(corners(red.paths[0].outline)).toHaveLength(6);
+      expect(red.paths[0].outline.segments.every(segment => segment.type === 'L')).toBe(true);
+
+      expect(blue.paths[0].area).toBe(9);
+      expect(blue.paths[0].holes).toHaveLength(1);
+      expect(corners(blue.paths[0].holes[0])).toHaveLength(4);
+    });
+
+    test('should smooth staircases and keep blocks square when depixelizing', () => {
+      const rows = [];
+      for (let y = 0; y < 8; y++) {
+        rows.push('r'.repeat(y) + 'b'.repeat(8 - y) + 'gg');
+      }
+      const layers = PixelTracer.trace(pixelImage(rows), { mode: 'depixelize' });
+      const red = layers.find(layer => layer.color === '#ff0000');
+      const green = layers.find(layer => layer.color === '#008000');
+
+      // The 45 degree staircase collapses into a single diagonal edge
+      const points = corners(red.paths[0].outline);
+      expect(points.some(point => !Number.isInteger(point.x))).toBe(true);
+      expect(points.length).toBeLessThan(8);
+
+      expect(corners(green.paths[0].outline)).toEqual([
+        { x: 8, y: 0 }, { x: 8, y: 8 }, { x: 10, y: 8 }, { x: 10, y: 0 }
+      ]);
+    });
+
+    test('should keep shared edges identical between colors', () => {
+      const layers = PixelTracer.trace(pixelImage([
+        'bbbbbb',
+        'brbbbb',
+        'brrbbb',
+        'bbrrbb',
+        'bbbrrb',
+        'bbbbbb'
+      ]), { mode: 'depixelize' });
+      const [blue, red] = layers;
+      const reversed = edge => edge.split('>').reverse().join('>');
+
+      // The blue hole runs along the red outline in the opposite direction
+      expect(red.paths[0].outline.segments.some(segment => !Number.isInteger(segment.points[0].x))).toBe(true);
+      expect(edges(blue.paths[0].holes).map(reversed).sort())
+        .toEqual(edges([red.paths[0].outline]).sort());
+    });
+
+    test('should render pixel layers with crisp edges', async () => {
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(10, 10, 5, 5);
+
+      const svg = await Vectorizer.vectorizeCanvas(canvasId, { mode: 'pixel', scale: 4 });
+
+      expect(svg).toContain('<g fill="#ff0000" fill-rule="evenodd" shape-rendering="crispEdges">');
+      expect(svg).toContain('M 40 40 L 40 60 L 60 60 L 60 40 Z');
+    });
+  });
+
+  describe('Shape Metrics', () => {
+    test('should describe the geometry of each traced shape', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const { shapes, layers, width } = Vectorizer.renderShapes(traced, { scale: 2 });
+      const [square] = shapes;
+
+      expect(width).toBe(200);
+      expect(layers).toEqual([{ color: '#000000' }]);
+      expect(shapes).toHaveLength(1);
+      expect(square).toMatchObject({
+        id: 0,
+        layer: 0,
+        fill: '#000000',
+        stroke: null,
+        closed: true,
+        parent: null,
+        bbox: { x: 50, y: 50, width: 100, height: 100 },
+        area: 10000,
+        perimeter: 400,
+        centroid: { x: 100, y: 100 }
+      });
+      expect(square.segments.every(segment => segment.type === 'L')).toBe(true);
+    });
+
+    test('should report holes and islands inside them', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(35, 35, 30, 30);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(45, 45, 10, 10);
+
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const { shapes } = Vectorizer.renderShapes(traced, {});
+      const ring = shapes.find(shape => shape.holes.length === 1);
+      const island = shapes.find(shape => shape !== ring);
+
+      expect(ring.holes[0].area).toBe(900);
+      expect(ring.holes[0].perimeter).toBe(120);
+      expect(ring.area).toBe(2500 - 900);
+      expect(ring.perimeter).toBe(320);
+      expect(island.parent).toBe(ring.id);
+      expect(island.centroid).toEqual({ x: 50, y: 50 });
+    });
+
+    test('should measure open centerline paths by their length', () => {
+      const layers = [{
+        color: '#000000',
+        paths: [{
+          outline: {
+            start: { x: 0, y: 0 },
+            segments: [{ type: 'L', points: [{ x: 30, y: 40 }] }, { type: 'L', points: [{ x: 60, y: 0 }] }],
+            closed: false
+          },
+          holes: []
+        }]
+      }];
+      const [line] = ShapeMetrics.describe(layers, { mode: 'centerline' });
+
+      expect(line).toMatchObject({ fill: null, stroke: '#000000', closed: false, area: 0, perimeter: 100 });
+      expect(line.centroid).toEqual({ x: 30, y: 20 });
+      expect(line.bbox).toEqual({ x: 0, y: 0, width: 60, height: 40 });
+    });
+
+    test('should describe outlines with more points than fit in a call', () => {
+      // A zigzag far longer than the argument limit of Math.min(...points)
+      const segments = [];
+      for (let i = 1; i <= 300000; i++) {
+        segments.push({ type: 'L', points: [{ x: i / 100, y: i % 2 }] });
+      }
+      const layers = [{
+        color: '#000000',
+        paths: [{ outline: { start: { x: 0, y: 0 }, segments, closed: false }, holes: [] }]
+      }];
+      const [line] = ShapeMetrics.describe(layers, { mode: 'centerline' });
+
+      expect(line.bbox).toEqual({ x: 0, y: 0, width: 3000, height: 1 });
+    });
+
+    test('should mark offset shapes and follow the paint style', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const { shapes, layers } = Vectorizer.renderShapes(traced, { offset: 3, style: 'stroke' });
+
+      expect(layers[1]).toEqual({ color: '#ff0000', kind: 'offset', name: 'CutContour' });
+      expect(shapes[0]).toMatchObject({ fill: null, stroke: '#000000' });
+      expect(shapes[1]).toMatchObject({ layer: 1, kind: 'offset', fill: null, stroke: '#ff0000' });
+    });
+  });
+
+  describe('Quality Report', () => {
+    test('should count missed and extra pixels per layer', () => {
+      const reference = Int32Array.from([0, 0, 0, 1, -1, -1]);
+      const rendered = Int32Array.from([0, 0, -1, 0, 0, -1]);
+      const report = QualityMeter.compare(reference, rendered, [{ color: '#000000' }, { color: '#ff0000' }]);
+
+      expect(report.missed).toBe(2);
+      expect(report.extra).toBe(2);
+      expect(report.pixelError).toBe(0.5);
+      expect(report.layers).toEqual([
+        { color: '#000000', iou: 0.4 },
+        { color: '#ff0000', iou: 0 }
+      ]);
+      expect(report.iou).toBe(0.3333);
+    });
+
+    test('should report a faithful trace and the specks removed by turdsize', async () => {
+      ctx.fillRect(5, 5, 2, 2);
+
+      const exact = await Vectorizer.traceCanvas(canvasId, { turdsize: 0 });
+      expect(await Vectorizer.measureQuality(canvasId, exact, { turdsize: 0 })).toMatchObject({
+        iou: 1,
+        pixelError: 0,
+        missed: 0,
+        extra: 0
+      });
+
+      const report = await Vectorizer.measureQuality(canvasId, await Vectorizer.traceCanvas(canvasId), {});
+      expect(report.missed).toBe(4);
+      expect(report.iou).toBeLessThan(1);
+    });
+
+    test('should measure the shapes as painted in the SVG style', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, {});
+      const filled = await Vectorizer.measureQuality(canvasId, traced, { style: 'filled' });
+      const stroked = await Vectorizer.measureQuality(canvasId, traced, {
+        style: 'stroke',
+        strokeWidth: 2,
+        strokeColor: '#ff0000'
+      });
+
+      expect(filled.iou).toBe(1);
+      // Only a band of about two pixels along the square's edge is painted
+      expect(stroked.missed).toBeGreaterThan(2000);
+      expect(stroked.layers[0].iou).toBeLessThan(0.2);
+    });
+
+    test('should mark missed pixels red and extra pixels blue in the diff overlay', () => {
+      const imageData = { data: new Uint8ClampedArray(3 * 4).fill(255), width: 3, height: 1 };
+      const overlay = QualityMeter.diffOverlay(imageData, Int32Array.from([0, -1, 0]), Int32Array.from([-1, 0, 0]));
+
+      expect(Array.from(overlay.slice(0, 4))).toEqual([255, 0, 0, 255]);
+      expect(Array.from(overlay.slice(4, 8))).toEqual([0, 0, 255, 255]);
+      expect(Array.from(overlay.slice(8, 12))).toEqual([255, 255, 255, 255]);
+    });
+
+    test('should return the diff overlay as a PNG data URL', async () => {
+      const traced = await Vectorizer.traceCanvas(canvasId, { mode: 'pixel' });
+      const report = await Vectorizer.measureQuality(canvasId, traced, { mode: 'pixel', qualityDiff: true });
+
+      expect(report.iou).toBe(1);
+      expect(report.layers.map(layer => layer.color)).toEqual(['#ffffff', '#000000']);
+      expect(report.diff).toMatch(/^data:image\/png;base64,/);
+    });
+  });
+
+  describe('Tiled Tracing', () => {
+    // Trace a bitmap tile by tile and stitch the chains
+    const traceInTiles = (bitmap, tileSize, options = {}) => {
+      const { width, data } = bitmap;
+      const chains = [];
+
+      for (const tile of TiledTracer.tiles(bitmap.width, bitmap.height, tileSize)) {
+        const tileWidth = tile.right - tile.left;
+        const tileHeight = tile.bottom - tile.top;
+        const pixels = new Uint8ClampedArray(tileWidth * tileHeight * 4);
+
+        for (let y = 0; y < tileHeight; y++) {
+          for (let x = 0; x < tileWidth; x++) {
+            const i = (y * tileWidth + x) * 4;
+            pixels.fill(data[(y + tile.top) * width + x + tile.left] ? 0 : 255, i, i + 3);
+            pixels[i + 3] = 255;
+          }
+        }
+
+        chains.push(...TiledTracer.traceTile({ data: pixels, width: tileWidth, height: tileHeight }, tile, options));
+      }
+
+      return TiledTracer.stitch(chains, options.turdsize);
+    };
+
+    const rings = (x, y) => {
+      const d = Math.hypot(x - 20, y - 16);
+      return (d < 14 && d > 9) || d < 4 || (x + y) % 11 === 0;
+    };
+
+    test('should stitch contours across tile seams like a whole-image trace', () => {
+      const bitmap = bitmapFrom(43, 35, rings);
+
+      for (const turnpolicy of ['black', 'white']) {
+        const whole = ContourTracer.trace(bitmap, { turnpolicy });
+        const tiled = traceInTiles(bitmap, 7, { turnpolicy });
+
+        expect(tiled.length).toBe(whole.length);
+        tiled.forEach((contour, i) => {
+          expect(contour.sign).toBe(whole[i].sign);
+          expect(contour.area).toBe(whole[i].area);
+          expect(contour.points).toEqual(whole[i].points);
+        });
+      }
+    });
+
+    test('should not depend on the tile size', () => {
+      const bitmap = bitmapFrom(43, 35, (x, y) => rings(x, y) || (x * 7 + y * 3) % 5 === 0);
+      const single = traceInTiles(bitmap, 100);
+
+      for (const tileSize of [3, 8, 16]) {
+        expect(traceInTiles(bitmap, tileSize)).toEqual(single);
+      }
+    });
+
+    test('should vectorize an image like the canvas trace', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(10, 10, 30, 60);
+      ctx.beginPath();
+      ctx.arc(65, 50, 20, 0, 2 * Math.PI);
+      ctx.fill();
+
+      const expected = await Vectorizer.traceSVG(canvasId, { threshold: 'otsu' });
+      const { canvas } = canvasManager.getCanvas(canvasId);
+      const traced = await Vectorizer.traceTiled(canvas, { threshold: 'otsu', tileSize: 64 });
+      const { svg, threshold } = Vectorizer.renderSVG(traced, { threshold: 'otsu' });
+
+      expect(svg).toBe(expected.svg);
+      expect(threshold).toBe(expected.threshold);
+      expect(traced.nodes).toEqual(expected.nodes);
+    });
+
+    test('should keep the full resolution of images beyond maxImageSize', async () => {
+      const image = createCanvas(2600, 20);
+      const imageCtx = image.getContext('2d');
+      imageCtx.fillStyle = 'white';
+      imageCtx.fillRect(0, 0, 2600, 20);
+      imageCtx.fillStyle = 'black';
+      imageCtx.fillRect(5, 5, 2590, 10);
+
+      const traced = await Vectorizer.traceTiled(image, { tileSize: 1024, alphamax: 0 });
+
+      expect(traced.width).toBe(2600);
+      expect(traced.layers[0].paths).toHaveLength(1);
+      expect(traced.layers[0].paths[0].area).toBe(25900);
+    });
+
+    test('should reject modes that need the whole image', async () => {
+      const { canvas } = canvasManager.getCanvas(canvasId);
+
+      await expect(Vectorizer.traceTiled(canvas, { colorMode: 'color' })).rejects.toThrow('Tiled tracing');
+      await expect(Vectorizer.traceTiled(canvas, { mode: 'centerline' })).rejects.toThrow('Tiled tracing');
+    });
+  });
+
+  describe('Worker Pool', () => {
+    // RGBA pixels with a black square on white
+    const squarePixels = (size) => {
+      const data = new Uint8ClampedArray(size * size * 4).fill(255);
+      for (let y = size / 4; y < size * 3 / 4; y++) {
+        for (let x = size / 4; x < size * 3 / 4; x++) {
+          data.fill(0, (y * size + x) * 4, (y * size + x) * 4 + 3);
+        }
+      }
+      return { data, width: size, height: size };
+    };
+
+    test('should trace in a worker like in the main thread', async () => {
+      const pool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        const opts = { ...Vectorizer.defaultOptions };
+        const expected = ImageTracer.trace(squarePixels(40), opts);
+        const pixels = squarePixels(40);
+
+        const message = await pool.execute(
+          { operation: 'vectorize', imageData: pixels, options: opts },
+          { transferList: [pixels.data.buffer] }
+        );
+
+        expect(message.success).toBe(true);
+        expect(message.result).toEqual(expected);
+        // The pixel buffer was moved to the worker, not copied
+        expect(pixels.data.byteLength).toBe(0);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should transfer processed pixels back from the worker', async () => {
+      const pool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        const pixels = squarePixels(20);
+        const message = await pool.execute(
+          { operation: 'backgroundRemoval', imageData: pixels, options: { targetColor: [255, 255, 255], tolerance: 10 } },
+          { transferList: [pixels.data.buffer] }
+        );
+
+        const { data } = message.result;
+        // Created outside the test sandbox, so instanceof cannot be used
+        expect(Object.prototype.toString.call(data)).toBe('[object Uint8ClampedArray]');
+        expect(data.length).toBe(20 * 20 * 4);
+        expect(data[3]).toBe(0);
+        expect(data[(10 * 20 + 10) * 4 + 3]).toBe(255);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should chroma key a red key at hue 0 in the worker', async () => {
+      const pool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        // Red left half, blue right half
+        const data = new Uint8ClampedArray(10 * 10 * 4);
+        for (let p = 0; p < 100; p++) {
+          data.set(p % 10 < 5 ? [255, 0, 0, 255] : [0, 0, 255, 255], p * 4);
+        }
+        const message = await pool.execute({
+          operation: 'backgroundRemoval',
+          imageData: { data, width: 10, height: 10 },
+          options: { method: 'chroma-key', targetHue: 0, hueTolerance: 15 }
+        });
+
+        expect(message.result.data[3]).toBe(0);
+        expect(message.result.data[9 * 4 + 3]).toBe(255);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should time out and replace the worker', async () => {
+      const pool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        await expect(pool.execute(
+          { operation: 'vectorize', imageData: squarePixels(400), options: { ...Vectorizer.defaultOptions } },
+          { timeout: 1 }
+        )).rejects.toThrow('timed out');
+
+        // The pool keeps working with a fresh worker
+        const message = await pool.execute(
+          { operation: 'vectorize', imageData: squarePixels(20), options: { ...Vectorizer.defaultOptions } }
+        );
+        expect(message.success).toBe(true);
+        expect(pool.getStats().totalWorkers).toBe(1);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should cancel running and queued tasks', async () => {
+      const pool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        const controller = new AbortController();
+        const task = { operation: 'vectorize', imageData: squarePixels(200), options: { ...Vectorizer.defaultOptions } };
+        const running = pool.execute(task, { signal: controller.signal });
+        const queued = pool.execute(task, { signal: controller.signal });
+
+        expect(pool.getStats().queuedTasks).toBe(1);
+        controller.abort();
+
+        await expect(running).rejects.toThrow('cancelled');
+        await expect(queued).rejects.toThrow('cancelled');
+        expect(pool.getStats().queuedTasks).toBe(0);
+        await expect(pool.execute(task, { signal: controller.signal })).rejects.toThrow('cancelled');
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should vectorize and preprocess canvases through the pool', async () => {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(25, 25, 50, 50);
+
+      const expected = await Vectorizer.vectorizeCanvas(canvasId);
+      Vectorizer.workerPool = new WorkerPool(WORKER_FILE, 1);
+      try {
+        expect(await Vectorizer.vectorizeCanvas(canvasId)).toBe(expected);
+
+        await Vectorizer.applyPreprocessing(canvasId, { brightness: 10 });
+        expect(ctx.getImageData(0, 0, 1, 1).data[0]).toBe(255);
+        expect(ctx.getImageData(50, 50, 1, 1).data[0]).toBe(10);
+      } finally {
+        await Vectorizer.workerPool.shutdown();
+        Vectorizer.workerPool = null;
+      }
+    });
+  });
+
   describe('Preprocessing', () => {
     test('should apply blur preprocessing', async () => {
       const svg = await Vectorizer.vectorizeWithPreprocessing(